@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import Link from 'next/link';
 import { useAuth } from '../../lib/AuthContext';
+import PushSettings from '../../components/PushSettings';
 
 export default function AccountPage() {
   const { user, loading, changePassword } = useAuth();
@@ -76,6 +77,8 @@ export default function AccountPage() {
         </div>
       </div>
 
+      <PushSettings />
+
       {/* Change password */}
       <div className="card">
         <h2 className="text-lg font-semibold mb-4">Change Password</h2>
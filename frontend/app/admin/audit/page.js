@@ -0,0 +1,42 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../../lib/AuthContext';
+import { api } from '../../../lib/api';
+import AuditTable from '../../../components/AuditTable';
+
+export default function AdminAuditPage() {
+  const { user, loading } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [loadingEntries, setLoadingEntries] = useState(true);
+
+  useEffect(() => {
+    if (!loading) loadEntries();
+  }, [loading]);
+
+  async function loadEntries() {
+    try {
+      const data = await api.getAuditLog();
+      setEntries(data.entries || []);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+    } finally {
+      setLoadingEntries(false);
+    }
+  }
+
+  if (loading || loadingEntries) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  if (!user || user.role !== 'admin') {
+    return <div className="card text-center"><p className="text-gray-600">Admin access required.</p></div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold">Audit Log</h1>
+      <AuditTable entries={entries} showGame />
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../../lib/AuthContext';
+import { api } from '../../../lib/api';
+
+const FIXTURE_STATUSES = ['scheduled', 'in_play', 'finished', 'postponed', 'abandoned'];
+
+// ISO date → value for a datetime-local input (in the browser's timezone)
+function toLocalInput(date) {
+  if (!date) return '';
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function fromLocalInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+export default function AdminFixturesPage() {
+  const { user, loading, currentSeason, currentGameweek } = useAuth();
+  const [competitions, setCompetitions] = useState([]);
+  const [competition, setCompetition] = useState('PL');
+  const [season, setSeason] = useState('');
+  const [gameweek, setGameweek] = useState(currentGameweek || 1);
+  const [fixtures, setFixtures] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loadingFixtures, setLoadingFixtures] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const selectedCompetition = competitions.find(c => c.code === competition);
+  const gameweekCount = selectedCompetition?.gameweeks || 38;
+  const seasonToUse = parseInt(season) || (competition === 'PL'
+    ? currentSeason
+    : (selectedCompetition?.current_season || currentSeason));
+
+  useEffect(() => {
+    if (!loading && user?.role === 'admin') {
+      api.getCompetitions()
+        .then(data => setCompetitions(data.competitions || []))
+        .catch(err => console.error('Failed to load competitions:', err));
+    }
+  }, [loading, user]);
+
+  useEffect(() => {
+    if (!loading && user?.role === 'admin' && seasonToUse) loadFixtures();
+  }, [loading, user, competition, seasonToUse, gameweek]);
+
+  async function loadFixtures() {
+    setLoadingFixtures(true);
+    try {
+      const params = { competition, season: seasonToUse };
+      const [fixturesData, teamsData] = await Promise.all([
+        api.getFixtures(gameweek, params),
+        api.getPlTeams(params),
+      ]);
+      setFixtures(fixturesData.fixtures || []);
+      setTeams(teamsData.teams || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load fixtures');
+    } finally {
+      setLoadingFixtures(false);
+    }
+  }
+
+  function handleCompetitionChange(code) {
+    setCompetition(code);
+    setSeason('');
+    setGameweek(1);
+  }
+
+  async function runAction(action, successMessage) {
+    setMessage('');
+    setError('');
+    try {
+      await action();
+      setMessage(successMessage);
+      await loadFixtures();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+      return false;
+    }
+  }
+
+  if (loading) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  if (!user || user.role !== 'admin') {
+    return <div className="card text-center"><p className="text-gray-600">Admin access required.</p></div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold">Fixtures</h1>
+        <p className="text-sm text-gray-600 mt-1">
+          Correct kickoff times, gameweeks and scores by hand. Edited fixtures are marked Manual and
+          aren&apos;t overwritten by imports or results updates until you release them.
+        </p>
+      </div>
+
+      {message && (
+        <div className="bg-positive-100 border border-positive-400 text-positive-700 px-4 py-3 rounded">{message}</div>
+      )}
+      {error && (
+        <div className="bg-danger-100 border border-danger-400 text-danger-700 px-4 py-3 rounded">{error}</div>
+      )}
+
+      <div className="card flex gap-3 flex-wrap items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Competition</label>
+          <select
+            value={competition}
+            onChange={(e) => handleCompetitionChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded text-sm"
+          >
+            {competitions.length === 0 && <option value="PL">Premier League</option>}
+            {competitions.map(c => (
+              <option key={c.code} value={c.code}>{c.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Season</label>
+          <input
+            type="number"
+            value={season}
+            onChange={(e) => setSeason(e.target.value)}
+            placeholder={String(seasonToUse || '')}
+            className="w-28 px-3 py-2 border border-gray-300 rounded text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Gameweek</label>
+          <select
+            value={gameweek}
+            onChange={(e) => setGameweek(parseInt(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded text-sm"
+          >
+            {Array.from({ length: gameweekCount }, (_, i) => i + 1).map(gw => (
+              <option key={gw} value={gw}>GW {gw}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loadingFixtures ? (
+        <div className="text-center py-8 text-gray-500">Loading fixtures...</div>
+      ) : (
+        <div className="card p-0">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b-2 border-gray-200 bg-gray-50">
+                  <th className="text-left py-3 px-4">Match</th>
+                  <th className="text-left py-3 px-4">Kickoff</th>
+                  <th className="text-center py-3 px-4">GW</th>
+                  <th className="text-center py-3 px-4">Status</th>
+                  <th className="text-center py-3 px-4">Score</th>
+                  <th className="text-right py-3 px-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {fixtures.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="py-6 text-center text-gray-500">No fixtures in GW{gameweek}.</td>
+                  </tr>
+                )}
+                {fixtures.map(fixture => (
+                  <FixtureRow
+                    key={`${fixture.fixture_id}-${fixture.updated_at || ''}`}
+                    fixture={fixture}
+                    gameweekCount={gameweekCount}
+                    onSave={(data) => runAction(() => api.updateFixture(fixture.fixture_id, data),
+                      `Saved ${fixture.home_short} v ${fixture.away_short}`)}
+                    onRelease={() => runAction(() => api.updateFixture(fixture.fixture_id, { manuallyEdited: false }),
+                      `${fixture.home_short} v ${fixture.away_short} will follow the next sync`)}
+                    onDelete={() => {
+                      if (!confirm(`Delete ${fixture.home_team} v ${fixture.away_team}?`)) return;
+                      runAction(() => api.deleteFixture(fixture.fixture_id),
+                        `Deleted ${fixture.home_short} v ${fixture.away_short}`);
+                    }}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <AddFixtureForm
+        teams={teams}
+        gameweek={gameweek}
+        onAdd={(data) => runAction(
+          () => api.createFixture({ ...data, competition, season: seasonToUse, gameweek }),
+          `Added fixture to GW${gameweek}`
+        )}
+      />
+    </div>
+  );
+}
+
+function FixtureRow({ fixture, gameweekCount, onSave, onRelease, onDelete }) {
+  const [matchDate, setMatchDate] = useState(toLocalInput(fixture.match_date));
+  const [gameweek, setGameweek] = useState(fixture.gameweek);
+  const [status, setStatus] = useState(fixture.status);
+  const [homeScore, setHomeScore] = useState(fixture.home_score ?? '');
+  const [awayScore, setAwayScore] = useState(fixture.away_score ?? '');
+
+  const changed = matchDate !== toLocalInput(fixture.match_date)
+    || gameweek !== fixture.gameweek
+    || status !== fixture.status
+    || String(homeScore) !== String(fixture.home_score ?? '')
+    || String(awayScore) !== String(fixture.away_score ?? '');
+
+  return (
+    <tr className="border-b border-gray-100">
+      <td className="py-3 px-4">
+        <span className="font-medium">{fixture.home_short} v {fixture.away_short}</span>
+        {fixture.manually_edited && (
+          <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-warning-100 text-warning-700">Manual</span>
+        )}
+      </td>
+      <td className="py-3 px-4">
+        <input
+          type="datetime-local"
+          value={matchDate}
+          onChange={(e) => setMatchDate(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      </td>
+      <td className="py-3 px-4 text-center">
+        <select
+          value={gameweek}
+          onChange={(e) => setGameweek(parseInt(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          {Array.from({ length: gameweekCount }, (_, i) => i + 1).map(gw => (
+            <option key={gw} value={gw}>{gw}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-3 px-4 text-center">
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          {FIXTURE_STATUSES.map(s => (
+            <option key={s} value={s}>{s.replace('_', ' ')}</option>
+          ))}
+        </select>
+      </td>
+      <td className="py-3 px-4 text-center whitespace-nowrap">
+        <input
+          type="number"
+          min={0}
+          value={homeScore}
+          onChange={(e) => setHomeScore(e.target.value)}
+          aria-label={`${fixture.home_short} score`}
+          className="w-14 px-2 py-1 border border-gray-300 rounded text-sm text-center"
+        />
+        <span className="mx-1">-</span>
+        <input
+          type="number"
+          min={0}
+          value={awayScore}
+          onChange={(e) => setAwayScore(e.target.value)}
+          aria-label={`${fixture.away_short} score`}
+          className="w-14 px-2 py-1 border border-gray-300 rounded text-sm text-center"
+        />
+      </td>
+      <td className="py-3 px-4 text-right whitespace-nowrap space-x-2">
+        <button
+          onClick={() => onSave({ matchDate: fromLocalInput(matchDate), gameweek, status, homeScore, awayScore })}
+          disabled={!changed}
+          className="btn-primary text-xs disabled:bg-gray-400"
+        >
+          Save
+        </button>
+        {fixture.manually_edited && (
+          <button onClick={onRelease} className="btn-secondary text-xs">Release</button>
+        )}
+        <button onClick={onDelete} className="text-danger-600 hover:underline text-xs">Delete</button>
+      </td>
+    </tr>
+  );
+}
+
+function AddFixtureForm({ teams, gameweek, onAdd }) {
+  const [homeTeamId, setHomeTeamId] = useState('');
+  const [awayTeamId, setAwayTeamId] = useState('');
+  const [matchDate, setMatchDate] = useState('');
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const added = await onAdd({ homeTeamId, awayTeamId, matchDate: fromLocalInput(matchDate) });
+    if (!added) return;
+    setHomeTeamId('');
+    setAwayTeamId('');
+    setMatchDate('');
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="card">
+      <h2 className="font-bold text-lg mb-3">Add Fixture to GW{gameweek}</h2>
+      <div className="flex gap-3 flex-wrap items-end">
+        <select
+          value={homeTeamId}
+          onChange={(e) => setHomeTeamId(e.target.value)}
+          required
+          className="px-3 py-2 border border-gray-300 rounded text-sm"
+        >
+          <option value="">Home team</option>
+          {teams.map(t => <option key={t.team_id} value={t.team_id}>{t.name}</option>)}
+        </select>
+        <select
+          value={awayTeamId}
+          onChange={(e) => setAwayTeamId(e.target.value)}
+          required
+          className="px-3 py-2 border border-gray-300 rounded text-sm"
+        >
+          <option value="">Away team</option>
+          {teams.map(t => <option key={t.team_id} value={t.team_id}>{t.name}</option>)}
+        </select>
+        <input
+          type="datetime-local"
+          value={matchDate}
+          onChange={(e) => setMatchDate(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded text-sm"
+        />
+        <button type="submit" className="btn-primary text-sm">Add Fixture</button>
+      </div>
+    </form>
+  );
+}
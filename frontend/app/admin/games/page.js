@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useAuth } from '../../../lib/AuthContext';
 import { api } from '../../../lib/api';
+import { GAME_STATUS_ORDER, GAME_STATUS_COLORS } from '../../../lib/gameLifecycle';
 
 export default function AdminGamesPage() {
   const { user, loading } = useAuth();
@@ -33,15 +34,7 @@ export default function AdminGamesPage() {
     return <div className="card text-center"><p className="text-gray-600">Admin access required.</p></div>;
   }
 
-  const activeGames = games.filter(g => g.status === 'active');
-  const openGames = games.filter(g => g.status === 'open');
-  const completedGames = games.filter(g => g.status === 'completed');
-
-  const statusColors = {
-    active: 'bg-positive-100 text-positive-700',
-    open: 'bg-link-100 text-link-700',
-    completed: 'bg-gray-100 text-gray-600',
-  };
+  const sortedGames = GAME_STATUS_ORDER.flatMap(status => games.filter(g => g.status === status));
 
   return (
     <div className="space-y-6">
@@ -67,7 +60,7 @@ export default function AdminGamesPage() {
                 </tr>
               </thead>
               <tbody>
-                {[...activeGames, ...openGames, ...completedGames].map(game => (
+                {sortedGames.map(game => (
                   <tr key={game.game_id} className="border-b border-gray-100 hover:bg-gray-50">
                     <td className="py-3 px-4">
                       <Link href={`/games/${game.game_id}`} className="text-link-600 hover:underline font-medium">
@@ -78,7 +71,7 @@ export default function AdminGamesPage() {
                     <td className="py-3 px-4 text-center">{game.player_count}</td>
                     <td className="py-3 px-4 text-center">{game.status === 'active' ? game.alive_count : '-'}</td>
                     <td className="py-3 px-4 text-center">
-                      <span className={`inline-block px-2 py-1 rounded text-xs font-semibold ${statusColors[game.status] || 'bg-gray-100 text-gray-600'}`}>
+                      <span className={`inline-block px-2 py-1 rounded text-xs font-semibold ${GAME_STATUS_COLORS[game.status] || 'bg-gray-100 text-gray-600'}`}>
                         {game.status}
                       </span>
                     </td>
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../../lib/AuthContext';
 import { api } from '../../../lib/api';
+import DeadlineRuleInput from '../../../components/DeadlineRuleInput';
 
 export default function AdminSettingsPage() {
   const { user, loading, currentSeason, currentGameweek, refreshGameweek } = useAuth();
@@ -10,6 +11,18 @@ export default function AdminSettingsPage() {
   const [updatingResults, setUpdatingResults] = useState(false);
   const [message, setMessage] = useState('');
   const [error, setError] = useState('');
+  const [importChanges, setImportChanges] = useState(null);
+
+  // Fixture management: which competition and season to import/update
+  const [competitions, setCompetitions] = useState([]);
+  const [competition, setCompetition] = useState('PL');
+  const [fixtureSeason, setFixtureSeason] = useState('');
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('');
+
+  // Default pick deadline for games without their own rule
+  const [deadlineRule, setDeadlineRule] = useState('kickoff:0');
+  const [savingDeadlineRule, setSavingDeadlineRule] = useState(false);
 
   // Testing controls state
   const [gwOverride, setGwOverride] = useState('');
@@ -20,9 +33,72 @@ export default function AdminSettingsPage() {
   useEffect(() => {
     if (!loading && user?.role === 'admin') {
       loadOverrides();
+      loadFixtureOptions();
+      loadDeadlineRule();
     }
   }, [loading, user]);
 
+  async function loadFixtureOptions() {
+    try {
+      const [competitionsData, providersData] = await Promise.all([
+        api.getCompetitions(),
+        api.getFixtureProviders(),
+      ]);
+      setCompetitions(competitionsData.competitions || []);
+      setProviders(providersData.providers || []);
+      setProvider(providersData.current || '');
+    } catch (err) {
+      console.error('Failed to load fixture options:', err);
+    }
+  }
+
+  async function handleProviderChange(name) {
+    setMessage('');
+    setError('');
+    try {
+      await api.updateSetting('fixture_provider', name);
+      setProvider(name);
+      setMessage(`Fixture data now comes from ${providers.find(p => p.name === name)?.label || name}.`);
+    } catch (err) {
+      setError(err.message || 'Failed to change fixture provider');
+    }
+  }
+
+  async function loadDeadlineRule() {
+    try {
+      const data = await api.getSettings();
+      setDeadlineRule(data.settings?.deadline_rule?.value || 'kickoff:0');
+    } catch (err) {
+      console.error('Failed to load deadline rule:', err);
+    }
+  }
+
+  async function handleSaveDeadlineRule() {
+    setSavingDeadlineRule(true);
+    setMessage('');
+    setError('');
+    try {
+      await api.updateSetting('deadline_rule', deadlineRule);
+      setMessage('Default pick deadline saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save deadline');
+    } finally {
+      setSavingDeadlineRule(false);
+    }
+  }
+
+  function handleCompetitionChange(code) {
+    setCompetition(code);
+    setFixtureSeason('');
+  }
+
+  // Blank season means the competition's current season
+  const selectedCompetition = competitions.find(c => c.code === competition);
+  const defaultSeason = competition === 'PL'
+    ? currentSeason
+    : (selectedCompetition?.current_season || currentSeason);
+  const seasonToUse = parseInt(fixtureSeason) || defaultSeason;
+
   async function loadOverrides() {
     try {
       const settings = await api.getSettings();
@@ -49,9 +125,11 @@ export default function AdminSettingsPage() {
     }
     setMessage('');
     setError('');
+    setImportChanges(null);
     try {
-      const result = await api.importFixtures(currentSeason, !fullSeason);
+      const result = await api.importFixtures(seasonToUse, !fullSeason, competition);
       setMessage(result.message);
+      setImportChanges(result.changes || null);
     } catch (err) {
       setError(err.message || 'Failed to import fixtures');
     } finally {
@@ -65,7 +143,7 @@ export default function AdminSettingsPage() {
     setMessage('');
     setError('');
     try {
-      const result = await api.updateResults(currentSeason);
+      const result = await api.updateResults(seasonToUse, competition);
       setMessage(result.message);
     } catch (err) {
       setError(err.message || 'Failed to update results');
@@ -127,6 +205,7 @@ export default function AdminSettingsPage() {
       {error && (
         <div className="bg-danger-100 border border-danger-400 text-danger-700 px-4 py-3 rounded">{error}</div>
       )}
+      {importChanges && <ImportChanges changes={importChanges} />}
 
       <div className="card">
         <h2 className="font-bold text-lg mb-2">Current Season</h2>
@@ -138,8 +217,45 @@ export default function AdminSettingsPage() {
       <div className="card">
         <h2 className="font-bold text-lg mb-2">Fixture Management</h2>
         <p className="text-sm text-gray-600 mb-4">
-          Import fixtures from football-data.org or update results for completed matches.
+          Import fixtures from the fixture data source or update results for completed matches.
         </p>
+        <div className="flex gap-3 flex-wrap mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Data Source</label>
+            <select
+              value={provider}
+              onChange={(e) => handleProviderChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded text-sm"
+            >
+              {providers.map(p => (
+                <option key={p.name} value={p.name}>{p.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Competition</label>
+            <select
+              value={competition}
+              onChange={(e) => handleCompetitionChange(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded text-sm"
+            >
+              {competitions.length === 0 && <option value="PL">Premier League</option>}
+              {competitions.map(c => (
+                <option key={c.code} value={c.code}>{c.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Season</label>
+            <input
+              type="number"
+              value={fixtureSeason}
+              onChange={(e) => setFixtureSeason(e.target.value)}
+              placeholder={String(defaultSeason)}
+              className="w-28 px-3 py-2 border border-gray-300 rounded text-sm"
+            />
+          </div>
+        </div>
         <div className="flex gap-3 flex-wrap">
           <button
             onClick={() => handleImportFixtures(false)}
@@ -165,6 +281,24 @@ export default function AdminSettingsPage() {
         </div>
       </div>
 
+      <div className="card">
+        <h2 className="font-bold text-lg mb-2">Pick Deadline</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          When picks lock each gameweek, for games that don&apos;t set their own deadline.
+          Fixed times are in the server&apos;s timezone.
+        </p>
+        <div className="flex gap-3 flex-wrap items-center">
+          <DeadlineRuleInput value={deadlineRule} onChange={setDeadlineRule} />
+          <button
+            onClick={handleSaveDeadlineRule}
+            disabled={savingDeadlineRule}
+            className="btn-primary text-sm disabled:bg-gray-400"
+          >
+            {savingDeadlineRule ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+
       {/* Testing Controls */}
       <div className="card border-2 border-warning-300 bg-warning-50">
         <h2 className="font-bold text-lg mb-1">Testing Controls</h2>
@@ -248,3 +382,45 @@ export default function AdminSettingsPage() {
     </div>
   );
 }
+
+// What an import changed besides adding fixtures: matches moved to another
+// gameweek (and the picks riding on them) and kickoffs moved within one
+function ImportChanges({ changes }) {
+  const { moved, rescheduled, duplicatesRemoved } = changes;
+  if (moved.length === 0 && rescheduled.length === 0 && duplicatesRemoved === 0) return null;
+
+  return (
+    <div className="card border-2 border-warning-300 bg-warning-50 text-sm">
+      <h2 className="font-bold text-lg mb-2">Fixture Changes</h2>
+      {moved.length > 0 && (
+        <ul className="mb-2 space-y-1">
+          {moved.map(m => (
+            <li key={m.fixtureId}>
+              <span className="font-medium">{m.match}</span> moved from GW{m.fromGameweek} to GW{m.toGameweek}
+              {m.matchDate && ` (${new Date(m.matchDate).toLocaleString()})`}
+              {m.picksAffected > 0 && (
+                <span className="text-warning-700">
+                  {' '}— {m.picksAffected} pick{m.picksAffected === 1 ? '' : 's'} follow the game&apos;s postponement rule
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {rescheduled.length > 0 && (
+        <ul className="mb-2 space-y-1">
+          {rescheduled.map(r => (
+            <li key={r.fixtureId}>
+              <span className="font-medium">{r.match}</span> (GW{r.gameweek}) kickoff moved
+              {r.from && ` from ${new Date(r.from).toLocaleString()}`}
+              {r.to && ` to ${new Date(r.to).toLocaleString()}`}
+            </li>
+          ))}
+        </ul>
+      )}
+      {duplicatesRemoved > 0 && (
+        <p className="text-gray-600">Removed {duplicatesRemoved} duplicate fixture{duplicatesRemoved === 1 ? '' : 's'}.</p>
+      )}
+    </div>
+  );
+}
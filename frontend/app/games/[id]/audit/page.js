@@ -0,0 +1,55 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import { api } from '../../../../lib/api';
+import AuditTable from '../../../../components/AuditTable';
+
+export default function GameAuditPage() {
+  const { id } = useParams();
+  const router = useRouter();
+  const [game, setGame] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [loadingData, setLoadingData] = useState(true);
+
+  useEffect(() => {
+    loadData();
+  }, [id]);
+
+  async function loadData() {
+    try {
+      const [gameData, auditData] = await Promise.all([
+        api.getGame(id),
+        api.getGameAudit(id),
+      ]);
+      setGame(gameData.game);
+      setEntries(auditData.entries || []);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+    } finally {
+      setLoadingData(false);
+    }
+  }
+
+  if (loadingData) {
+    return <div className="text-center py-12 text-gray-500">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <h1 className="text-2xl font-bold">Admin Changes</h1>
+          {game && <p className="text-sm text-gray-500">{game.game_name}</p>}
+        </div>
+        <button
+          onClick={() => router.push(`/games/${id}`)}
+          className="text-xs text-link-600 hover:underline cursor-pointer"
+        >
+          Back to game
+        </button>
+      </div>
+      <AuditTable entries={entries} />
+    </div>
+  );
+}
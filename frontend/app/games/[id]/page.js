@@ -4,23 +4,32 @@ import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import { useAuth } from '../../../lib/AuthContext';
 import { api } from '../../../lib/api';
+import { describeRules, isSurvivingResult } from '../../../lib/gameRules';
+import { GAME_STATUS_LABELS, GAME_STATUS_ACTIONS } from '../../../lib/gameLifecycle';
 import AdBanner from '../../../components/AdBanner';
+import ScoreCorrections from '../../../components/ScoreCorrections';
+import LiveStandings from '../../../components/LiveStandings';
 
 export default function GameDetailPage() {
   const { id } = useParams();
   const router = useRouter();
-  const { user, loading, currentGameweek, currentSeason } = useAuth();
+  const { user, loading } = useAuth();
+  // Current gameweek of the game's own season (past seasons have finished)
+  const [currentGameweek, setCurrentGameweek] = useState(null);
   const [game, setGame] = useState(null);
   const [players, setPlayers] = useState([]);
+  const [startDeadline, setStartDeadline] = useState(null);
   const [history, setHistory] = useState({});
   const [startGameweek, setStartGameweek] = useState(1);
   const [loadingData, setLoadingData] = useState(true);
   const [processing, setProcessing] = useState(false);
+  const [preview, setPreview] = useState(null);
   const [updatingStandings, setUpdatingStandings] = useState(false);
   const [processGw, setProcessGw] = useState(currentGameweek || 1);
   const [message, setMessage] = useState('');
   const [copied, setCopied] = useState(false);
   const [teams, setTeams] = useState([]);
+  const [scoreCorrections, setScoreCorrections] = useState([]);
 
   useEffect(() => {
     if (!loading) {
@@ -34,16 +43,20 @@ export default function GameDetailPage() {
 
   async function loadData() {
     try {
-      const [gameData, historyData, teamsData] = await Promise.all([
+      const [gameData, historyData, correctionsData] = await Promise.all([
         api.getGame(id),
         api.getGameHistory(id),
-        api.getPlTeams()
+        api.getScoreCorrections(id)
       ]);
+      const teamsData = await api.getPlTeams({ season: gameData.game.season, competition: gameData.game.competition_code });
       setGame(gameData.game);
       setPlayers(gameData.players);
+      setStartDeadline(gameData.startDeadline);
       setHistory(historyData.history || {});
       setStartGameweek(historyData.startGameweek || gameData.game.start_gameweek || 1);
+      setCurrentGameweek(historyData.currentGameweek);
       setTeams(teamsData.teams || []);
+      setScoreCorrections(correctionsData.corrections || []);
     } catch (error) {
       console.error('Error loading game:', error);
     } finally {
@@ -54,17 +67,33 @@ export default function GameDetailPage() {
   async function handleProcessResults() {
     setProcessing(true);
     setMessage('');
+    setPreview(null);
     try {
       // First update fixture results from the API
       setMessage('Fetching latest results from API...');
-      await api.updateResults(currentSeason);
-      // Then process results and apply eliminations
-      setMessage('Processing eliminations...');
-      const result = await api.processResults(id, processGw);
+      await api.updateResults(game.season, game.competition_code);
+      // Then preview eliminations — nothing is applied until the admin confirms
+      setMessage('Previewing eliminations...');
+      const result = await api.previewProcessResults(id, processGw);
+      setPreview(result);
+      setMessage('');
+    } catch (error) {
+      setMessage(error.message || 'Failed to import results');
+    } finally {
+      setProcessing(false);
+    }
+  }
+
+  async function handleConfirmProcess() {
+    setProcessing(true);
+    setMessage('Processing eliminations...');
+    try {
+      const result = await api.processResults(id, preview.gameweek);
       setMessage(result.message);
+      setPreview(null);
       loadData();
     } catch (error) {
-      setMessage(error.message || 'Failed to import results');
+      setMessage(error.message || 'Failed to process results');
     } finally {
       setProcessing(false);
     }
@@ -84,6 +113,17 @@ export default function GameDetailPage() {
     }
   }
 
+  async function handleResolveCorrection(correctionId, action) {
+    setMessage('');
+    try {
+      const result = await api.resolveScoreCorrection(id, correctionId, action);
+      setMessage(result.message);
+      loadData();
+    } catch (error) {
+      setMessage(error.message || 'Failed to resolve score correction');
+    }
+  }
+
   async function copyInviteCode() {
     try {
       await navigator.clipboard.writeText(game.invite_code);
@@ -170,10 +210,28 @@ export default function GameDetailPage() {
         <div>
           <h1 className="text-2xl font-bold">{game.game_name}</h1>
           <p className="text-sm text-gray-500">
-            {game.status === 'active' ? `Active - starts GW${game.start_gameweek}` :
-             game.is_draw ? 'Completed - Draw' : 'Completed'}
+            {game.competition_name && `${game.competition_name} · `}
+            {game.status === 'completed' && game.is_draw ? 'Completed - Draw' : GAME_STATUS_LABELS[game.status] || game.status}
+            {['draft', 'open', 'active'].includes(game.status) && ` - starts GW${game.start_gameweek}`}
           </p>
+          {game.status === 'open' && game.join_closes_at_deadline && startDeadline && (
+            <p className="text-xs text-gray-500">
+              Joining closes and the game starts {new Date(startDeadline).toLocaleString()}
+            </p>
+          )}
+          {game.status === 'draft' && startDeadline && new Date(startDeadline) < new Date() && (
+            <p className="text-xs text-warning-700">
+              GW{game.start_gameweek} has kicked off. Games need at least 2 players to start; open it again from a later gameweek.
+            </p>
+          )}
+          <p className="text-xs text-gray-400 mt-1">Rules: {describeRules(game).join(' · ')}</p>
         </div>
+        <button
+          onClick={() => router.push(`/games/${id}/audit`)}
+          className="text-xs text-link-600 hover:underline cursor-pointer"
+        >
+          Admin Changes
+        </button>
       </div>
 
       {message && (
@@ -182,6 +240,15 @@ export default function GameDetailPage() {
         </div>
       )}
 
+      <ScoreCorrections
+        corrections={scoreCorrections}
+        myPlayerId={players.find(p => p.user_email === user?.email)?.player_id}
+        isGameAdmin={isGameAdmin}
+        onResolve={handleResolveCorrection}
+      />
+
+      {game.status === 'active' && <LiveStandings gameId={id} />}
+
       {/* Admin controls */}
       {isGameAdmin && (
         <AdminPanel
@@ -195,6 +262,9 @@ export default function GameDetailPage() {
           processGw={processGw}
           setProcessGw={setProcessGw}
           handleProcessResults={handleProcessResults}
+          preview={preview}
+          handleConfirmProcess={handleConfirmProcess}
+          cancelPreview={() => setPreview(null)}
           handleUpdateStandings={handleUpdateStandings}
           setMessage={setMessage}
           loadData={loadData}
@@ -207,7 +277,7 @@ export default function GameDetailPage() {
       {/* Standings Table — gameweek grid */}
       <div className="card">
         <h2 className="font-bold text-lg mb-4">Standings</h2>
-        {gameweeks.length > 0 && game.status !== 'open' ? (
+        {gameweeks.length > 0 && !['draft', 'open'].includes(game.status) ? (
           <div className="overflow-x-auto">
             <table className="w-full text-sm border-collapse">
               <thead>
@@ -240,6 +310,11 @@ export default function GameDetailPage() {
                           <span className="text-xs text-gray-400 ml-1">(you)</span>
                         )}
                         {isWinner && <span className="ml-1 text-xs">🏆</span>}
+                        {game.lives > 1 && !isEliminated && (
+                          <span className="ml-1 text-xs text-danger-500" title={`${player.lives_remaining} of ${game.lives} lives left`}>
+                            {'♥'.repeat(Math.max(player.lives_remaining, 0))}
+                          </span>
+                        )}
                       </td>
                       {gameweeks.map(gw => {
                         const pick = pickLookup[player.user_email]?.[gw];
@@ -259,6 +334,7 @@ export default function GameDetailPage() {
                             router={router}
                             isGameAdmin={isGameAdmin}
                             teams={teams}
+                            game={game}
                             onAdminPickChange={handleAdminPickChange}
                           />
                         );
@@ -271,8 +347,8 @@ export default function GameDetailPage() {
           </div>
         ) : (
           <div className="text-center text-gray-500 py-4">
-            {game.status === 'open'
-              ? 'Game hasn\'t started yet — waiting for players.'
+            {game.status === 'draft' ? 'Game is still being set up.'
+              : game.status === 'open' ? 'Game hasn\'t started yet — waiting for players.'
               : 'No picks yet.'}
           </div>
         )}
@@ -281,7 +357,7 @@ export default function GameDetailPage() {
   );
 }
 
-function AdminPanel({ game, id, players, copied, copyInviteCode, processing, updatingStandings, processGw, setProcessGw, handleProcessResults, handleUpdateStandings, setMessage, loadData, router }) {
+function AdminPanel({ game, id, players, copied, copyInviteCode, processing, updatingStandings, processGw, setProcessGw, handleProcessResults, preview, handleConfirmProcess, cancelPreview, handleUpdateStandings, setMessage, loadData, router }) {
   const [showManage, setShowManage] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const [confirmDelete, setConfirmDelete] = useState(false);
@@ -295,6 +371,53 @@ function AdminPanel({ game, id, players, copied, copyInviteCode, processing, upd
   const [newAdmin, setNewAdmin] = useState('');
   const [transferring, setTransferring] = useState(false);
 
+  // Lifecycle (a draft game can be opened with a new start gameweek)
+  const [changingStatus, setChangingStatus] = useState(false);
+  const [openFromGw, setOpenFromGw] = useState(game.start_gameweek);
+
+  // Undo a processed gameweek
+  const [snapshots, setSnapshots] = useState([]);
+  const [undoGw, setUndoGw] = useState('');
+  const [confirmUndo, setConfirmUndo] = useState(false);
+  const [undoing, setUndoing] = useState(false);
+
+  // Reload whenever the game data is refreshed (e.g. after processing)
+  useEffect(() => {
+    api.getSnapshots(id)
+      .then(data => {
+        setSnapshots(data.snapshots || []);
+        setUndoGw(data.snapshots?.[0]?.gameweek || '');
+      })
+      .catch(() => setSnapshots([]));
+  }, [id, players]);
+
+  async function handleUndo() {
+    setUndoing(true);
+    try {
+      const result = await api.undoGameweek(id, undoGw);
+      setMessage(result.message);
+      setConfirmUndo(false);
+      loadData();
+    } catch (error) {
+      setMessage(error.message || 'Failed to undo gameweek');
+    } finally {
+      setUndoing(false);
+    }
+  }
+
+  async function handleStatusChange(status) {
+    setChangingStatus(true);
+    try {
+      const result = await api.setGameStatus(id, status, status === 'open' ? openFromGw : undefined);
+      setMessage(result.message);
+      loadData();
+    } catch (error) {
+      setMessage(error.message || 'Failed to change game status');
+    } finally {
+      setChangingStatus(false);
+    }
+  }
+
   async function handleDelete() {
     setDeleting(true);
     try {
@@ -358,7 +481,37 @@ function AdminPanel({ game, id, players, copied, copyInviteCode, processing, upd
         </div>
       </div>
 
-      {game.invite_code && (
+      {GAME_STATUS_ACTIONS[game.status]?.length > 0 && (
+        <div className="mb-4 flex gap-2 items-center flex-wrap">
+          <span className="text-sm text-gray-600">{GAME_STATUS_LABELS[game.status]}:</span>
+          {game.status === 'draft' && (
+            <label className="text-sm text-gray-600">
+              Starts{' '}
+              <select
+                value={openFromGw}
+                onChange={(e) => setOpenFromGw(parseInt(e.target.value))}
+                className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+              >
+                {Array.from({ length: game.competition_gameweeks || 38 }, (_, i) => i + 1).map(gw => (
+                  <option key={gw} value={gw}>GW {gw}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {GAME_STATUS_ACTIONS[game.status].map(action => (
+            <button
+              key={action.status}
+              onClick={() => handleStatusChange(action.status)}
+              disabled={changingStatus}
+              className={`${action.status === 'active' || action.status === 'open' ? 'btn-primary' : 'btn-secondary'} text-sm disabled:bg-gray-400`}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {(game.status === 'open' || (game.status === 'active' && !game.join_closes_at_deadline)) && game.invite_code && (
         <div className="mb-4">
           <span className="text-sm text-gray-600">Invite Code: </span>
           <span className="font-mono font-bold text-primary-600">{game.invite_code}</span>
@@ -378,7 +531,7 @@ function AdminPanel({ game, id, players, copied, copyInviteCode, processing, upd
                 onChange={(e) => setProcessGw(parseInt(e.target.value))}
                 className="px-2 py-1.5 border border-gray-300 rounded text-sm"
               >
-                {Array.from({ length: 38 }, (_, i) => i + 1).map(gw => (
+                {Array.from({ length: game.competition_gameweeks || 38 }, (_, i) => i + 1).map(gw => (
                   <option key={gw} value={gw}>GW {gw}</option>
                 ))}
               </select>
@@ -393,6 +546,45 @@ function AdminPanel({ game, id, players, copied, copyInviteCode, processing, upd
         )}
       </div>
 
+      {snapshots.length > 0 && (
+        <div className="mt-3 flex gap-2 items-center flex-wrap">
+          <span className="text-xs text-gray-500">Undo processing of</span>
+          <select
+            value={undoGw}
+            onChange={(e) => { setUndoGw(parseInt(e.target.value)); setConfirmUndo(false); }}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            {snapshots.map(s => (
+              <option key={s.gameweek} value={s.gameweek}>GW {s.gameweek}</option>
+            ))}
+          </select>
+          {!confirmUndo ? (
+            <button onClick={() => setConfirmUndo(true)} className="text-sm text-danger-600 hover:text-danger-800 cursor-pointer">
+              Undo
+            </button>
+          ) : (
+            <>
+              <span className="text-sm text-danger-600 font-medium">Restore to before GW{undoGw}? Later gameweeks are undone too.</span>
+              <button onClick={handleUndo} disabled={undoing} className="px-3 py-1 bg-danger-600 text-white rounded text-sm hover:bg-danger-700 disabled:bg-gray-400 cursor-pointer">
+                {undoing ? 'Undoing...' : 'Yes, Undo'}
+              </button>
+              <button onClick={() => setConfirmUndo(false)} className="px-3 py-1 bg-gray-200 rounded text-sm hover:bg-gray-300 cursor-pointer">
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {preview && (
+        <ProcessPreview
+          preview={preview}
+          processing={processing}
+          onConfirm={handleConfirmProcess}
+          onCancel={cancelPreview}
+        />
+      )}
+
       {/* Expandable management panel */}
       {showManage && (
         <div className="mt-4 pt-4 border-t border-gray-200 space-y-5">
@@ -480,7 +672,56 @@ function AdminPanel({ game, id, players, copied, copyInviteCode, processing, upd
   );
 }
 
-function PickCell({ pick, gwData, player, gw, isCurrentUser, currentGameweek, gameId, router, isGameAdmin, teams, onAdminPickChange }) {
+function ProcessPreview({ preview, processing, onConfirm, onCancel }) {
+  const describePick = p => p.teamName
+    ? `${p.teamName}${p.result ? ` (${p.result})` : ''}${p.autoAssigned ? ' — auto' : ''}`
+    : 'no pick';
+
+  const sections = [
+    { title: 'Eliminated', rows: preview.eliminated, className: 'text-danger-700' },
+    { title: 'Lose a life', rows: preview.livesLost, className: 'text-warning-700' },
+    { title: 'Survive', rows: preview.survived, className: 'text-positive-700' },
+  ];
+
+  return (
+    <div className="mt-4 p-3 rounded-lg border border-warning-400 bg-white">
+      <h3 className="text-sm font-semibold mb-1">GW{preview.gameweek} preview — nothing has been applied yet</h3>
+      <p className="text-sm text-gray-700 mb-3">
+        {preview.message}
+        {preview.gameEnds && (preview.winner ? ` Winner: ${preview.winner}.` : ' The game will end in a shared draw.')}
+      </p>
+
+      <div className="grid gap-3 sm:grid-cols-3 mb-3">
+        {sections.map(section => (
+          <div key={section.title}>
+            <p className={`text-xs font-bold mb-1 ${section.className}`}>
+              {section.title} ({section.rows.length})
+            </p>
+            <ul className="text-xs text-gray-600 space-y-0.5">
+              {section.rows.map(p => (
+                <li key={p.username}>
+                  <span className="font-medium">{p.username}</span> — {describePick(p)}
+                  {section.rows === preview.livesLost && ` · ${p.livesRemaining} left`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={onConfirm} disabled={processing} className="btn-primary text-sm disabled:bg-gray-400">
+          {processing ? 'Processing...' : 'Confirm & Apply'}
+        </button>
+        <button onClick={onCancel} disabled={processing} className="btn-secondary text-sm">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function PickCell({ pick, gwData, player, gw, isCurrentUser, currentGameweek, gameId, router, isGameAdmin, teams, game, onAdminPickChange }) {
   const [editing, setEditing] = useState(false);
   const [saving, setSaving] = useState(false);
 
@@ -573,7 +814,12 @@ function PickCell({ pick, gwData, player, gw, isCurrentUser, currentGameweek, ga
   const resultColors = {
     win: 'bg-positive-100 text-positive-800',
     loss: 'bg-danger-100 text-danger-800 line-through',
-    draw: 'bg-danger-100 text-danger-800 line-through',
+    draw: isSurvivingResult(game, 'draw')
+      ? 'bg-warning-100 text-warning-800'
+      : 'bg-danger-100 text-danger-800 line-through',
+    postponed: 'bg-gray-100 text-gray-500 italic',
+    void: 'bg-gray-100 text-gray-400 line-through',
+    pending: 'bg-link-100 text-link-700 italic',
   };
 
   const style = pick.result
@@ -604,10 +850,13 @@ function PickCell({ pick, gwData, player, gw, isCurrentUser, currentGameweek, ga
     <td className="py-2 px-1 sm:px-2 text-center">
       <span
         className={`inline-block px-1 sm:px-1.5 py-0.5 rounded text-xs font-medium whitespace-nowrap ${style} ${isGameAdmin ? 'cursor-pointer hover:ring-2 hover:ring-primary-300' : ''}`}
-        title={isGameAdmin ? `Click to edit ${player.username}'s GW${gw} pick` : (pick.team_name || '')}
+        title={isGameAdmin
+          ? `Click to edit ${player.username}'s GW${gw} pick`
+          : `${pick.team_name || ''}${pick.auto_assigned ? ' (auto-assigned)' : ''}`}
         onClick={isGameAdmin ? () => setEditing(true) : undefined}
       >
         {pick.team_short || pick.team_name || '?'}
+        {pick.auto_assigned && <sup className="ml-0.5 text-[9px] opacity-70">A</sup>}
       </span>
     </td>
   );
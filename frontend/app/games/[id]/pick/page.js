@@ -5,15 +5,36 @@ import { useParams, useRouter } from 'next/navigation';
 import { useAuth } from '../../../../lib/AuthContext';
 import { api } from '../../../../lib/api';
 import AdBanner from '../../../../components/AdBanner';
+import {
+  POSTPONED_POLICY_HELP, DOUBLE_GAMEWEEK_HELP, BLANK_GAMEWEEK_TEAMS, hasKickedOff,
+} from '../../../../lib/gameRules';
+
+// Under rolling deadlines the countdown is to the next match yet to kick off
+function nextKickoff(fixtures) {
+  const upcoming = fixtures
+    .filter(f => f.status === 'scheduled' && f.match_date && !hasKickedOff(f))
+    .map(f => new Date(f.match_date).getTime());
+  return upcoming.length > 0 ? new Date(Math.min(...upcoming)).toISOString() : null;
+}
 
 export default function PickPage() {
   const { id } = useParams();
   const router = useRouter();
-  const { user, loading, currentGameweek } = useAuth();
+  const { user, loading } = useAuth();
+  // The gameweek being picked for, in the game's own season
+  const [currentGameweek, setCurrentGameweek] = useState(null);
   const [teams, setTeams] = useState([]);
   const [fixtures, setFixtures] = useState([]);
   const [myPicks, setMyPicks] = useState([]);
   const [playerStatus, setPlayerStatus] = useState(null);
+  const [livesRemaining, setLivesRemaining] = useState(null);
+  const [blockedTeamIds, setBlockedTeamIds] = useState([]);
+  const [postponedPolicy, setPostponedPolicy] = useState('survive');
+  const [doubleGameweekRule, setDoubleGameweekRule] = useState('first');
+  const [rolling, setRolling] = useState(false);
+  const [missedPickRule, setMissedPickRule] = useState('eliminate');
+  const [autopickTeamIds, setAutopickTeamIds] = useState([]);
+  const [savingAutopick, setSavingAutopick] = useState(false);
   const [deadline, setDeadline] = useState(null);
   const [deadlinePassed, setDeadlinePassed] = useState(false);
   const [selectedTeam, setSelectedTeam] = useState(null);
@@ -25,10 +46,10 @@ export default function PickPage() {
   const [timeLeft, setTimeLeft] = useState('');
 
   useEffect(() => {
-    if (!loading && currentGameweek) {
+    if (!loading) {
       loadData();
     }
-  }, [loading, currentGameweek]);
+  }, [loading, id]);
 
   // Countdown timer
   useEffect(() => {
@@ -40,6 +61,11 @@ export default function PickPage() {
       const diff = dl - now;
 
       if (diff <= 0) {
+        const next = rolling && nextKickoff(fixtures);
+        if (next) {
+          setDeadline(next);
+          return;
+        }
         setDeadlinePassed(true);
         setTimeLeft('Deadline passed');
         clearInterval(interval);
@@ -59,26 +85,44 @@ export default function PickPage() {
     }, 1000);
 
     return () => clearInterval(interval);
-  }, [deadline, deadlinePassed]);
+  }, [deadline, deadlinePassed, rolling, fixtures]);
 
   async function loadData() {
     try {
-      const [teamsData, fixturesData, picksData, deadlineData] = await Promise.all([
-        api.getPlTeams(),
-        api.getFixtures(currentGameweek),
-        api.getMyPicks(id),
-        api.getDeadline(currentGameweek)
+      const picksData = await api.getMyPicks(id);
+      const { season, competition, gameweek } = picksData;
+      const [teamsData, fixturesData, deadlineData] = await Promise.all([
+        api.getPlTeams({ season, competition }),
+        api.getFixtures(gameweek, { season, competition }),
+        api.getDeadline(gameweek, { season, competition, gameId: id })
       ]);
 
+      setCurrentGameweek(gameweek);
       setTeams(teamsData.teams || []);
       setFixtures(fixturesData.fixtures || []);
       setMyPicks(picksData.picks || []);
       setPlayerStatus(picksData.playerStatus);
-      setDeadline(deadlineData.deadline);
-      setDeadlinePassed(deadlineData.isPast || false);
+      setLivesRemaining(picksData.livesRemaining);
+      setBlockedTeamIds(picksData.blockedTeamIds || []);
+      setPostponedPolicy(picksData.postponedPolicy || 'survive');
+      setDoubleGameweekRule(picksData.doubleGameweekRule || 'first');
+      setMissedPickRule(picksData.missedPickRule || 'eliminate');
+      setAutopickTeamIds(picksData.autopickTeamIds || []);
+      // Rolling deadlines close when the last match kicks off (unless overridden for testing)
+      const isRolling = picksData.deadlineMode === 'rolling' && !deadlineData.overridden;
+      const gameweekFixtures = fixturesData.fixtures || [];
+      setRolling(isRolling);
+      if (isRolling) {
+        const next = nextKickoff(gameweekFixtures);
+        setDeadline(next);
+        setDeadlinePassed(!next && gameweekFixtures.length > 0);
+      } else {
+        setDeadline(deadlineData.deadline);
+        setDeadlinePassed(deadlineData.isPast || false);
+      }
 
       // Check if there's already a pick for this gameweek
-      const thisWeekPick = picksData.picks?.find(p => p.gameweek === currentGameweek);
+      const thisWeekPick = picksData.picks?.find(p => p.gameweek === gameweek);
       if (thisWeekPick) {
         setCurrentPick(thisWeekPick);
         setSelectedTeam(thisWeekPick.team_id);
@@ -102,8 +146,9 @@ export default function PickPage() {
       setSuccess(result.message);
       setCurrentPick({ team_id: selectedTeam });
       // Refresh picks
-      const picksData = await api.getMyPicks(id);
+      const picksData = await api.getMyPicks(id, currentGameweek);
       setMyPicks(picksData.picks || []);
+      setBlockedTeamIds(picksData.blockedTeamIds || []);
     } catch (err) {
       setError(err.message || 'Failed to submit pick');
     } finally {
@@ -111,6 +156,22 @@ export default function PickPage() {
     }
   }
 
+  async function handleSaveAutopick() {
+    setSavingAutopick(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await api.setAutopickPreferences(id, autopickTeamIds);
+      setAutopickTeamIds(result.autopickTeamIds || []);
+      setSuccess('Fallback teams saved');
+    } catch (err) {
+      setError(err.message || 'Failed to save fallback teams');
+    } finally {
+      setSavingAutopick(false);
+    }
+  }
+
   if (loading || loadingData) {
     return <div className="text-center py-12 text-gray-500">Loading...</div>;
   }
@@ -133,26 +194,44 @@ export default function PickPage() {
   }
 
   // Build team data with fixture info and used status
-  const usedTeamIds = new Set(myPicks.filter(p => p.gameweek !== currentGameweek).map(p => p.team_id));
-  const allUsed = usedTeamIds.size >= 20;
+  // (the server applies the game's team reuse rule)
+  const usedTeamIds = new Set(blockedTeamIds);
 
   const teamMap = {};
   teams.forEach(t => { teamMap[t.team_id] = t; });
 
-  // Teams that have a fixture this gameweek (tracked to find those without)
-  const teamsWithFixture = new Set();
+  // Each team's fixtures this gameweek: none in a blank gameweek, two in a double
+  const teamFixtures = {};
   fixtures.forEach(f => {
-    teamsWithFixture.add(f.home_team_id);
-    teamsWithFixture.add(f.away_team_id);
+    [f.home_team_id, f.away_team_id].forEach(teamId => {
+      (teamFixtures[teamId] = teamFixtures[teamId] || []).push(f);
+    });
   });
-  const teamsWithoutFixture = teams.filter(t => !teamsWithFixture.has(t.team_id));
+  const teamsWithoutFixture = teams.filter(t => !teamFixtures[t.team_id]);
+  const doubleTeams = teams.filter(t => teamFixtures[t.team_id]?.length > 1);
+  const otherOpponents = (teamId, fixture) => (teamFixtures[teamId] || [])
+    .filter(f => f.fixture_id !== fixture.fixture_id)
+    .map(f => teamMap[f.home_team_id === teamId ? f.away_team_id : f.home_team_id]?.short_name);
+
+  // Postponed/abandoned fixtures can't be picked; under the 'void' policy a
+  // player whose pick is hit may repick after the deadline from matches yet to kick off
+  const isUnplayed = f => f.status === 'postponed' || f.status === 'abandoned';
+  const currentPickFixtures = (currentPick && teamFixtures[currentPick.team_id]) || [];
+  const currentPickPostponed = currentPickFixtures.length > 0 && currentPickFixtures.every(isUnplayed);
+  const canRepick = deadlinePassed && currentPickPostponed && postponedPolicy === 'void';
+  const isPickable = f => !isUnplayed(f) && (!(canRepick || rolling) || !hasKickedOff(f));
+  // Under rolling deadlines a pick locks when its team's match kicks off
+  const currentPickLocked = rolling && currentPickFixtures.some(f => hasKickedOff(f));
 
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-start">
         <div>
           <h1 className="text-2xl font-bold">Make Your Pick</h1>
-          <p className="text-sm text-gray-500">Gameweek {currentGameweek}</p>
+          <p className="text-sm text-gray-500">
+            Gameweek {currentGameweek}
+            {livesRemaining > 1 && ` · ${livesRemaining} lives left`}
+          </p>
         </div>
         <button onClick={() => router.push(`/games/${id}`)} className="btn-secondary text-sm">
           Back to Game
@@ -166,7 +245,7 @@ export default function PickPage() {
         'bg-link-100 text-link-700'
       }`}>
         <p className="text-sm font-medium">
-          {deadlinePassed ? 'Deadline has passed' : `Deadline: ${timeLeft}`}
+          {deadlinePassed ? 'Deadline has passed' : `${rolling ? 'Next kickoff' : 'Deadline'}: ${timeLeft}`}
         </p>
         {deadline && (
           <p className="text-xs mt-1">
@@ -186,18 +265,39 @@ export default function PickPage() {
         <div className="bg-positive-100 border border-positive-400 text-positive-700 px-4 py-3 rounded">{success}</div>
       )}
 
+      {currentPickPostponed && (
+        <div className="bg-warning-100 border border-warning-400 text-warning-700 px-4 py-3 rounded">
+          Your team's match has been {currentPickFixtures[0].status}. {POSTPONED_POLICY_HELP[postponedPolicy]}
+        </div>
+      )}
+
+      {teamsWithoutFixture.length >= BLANK_GAMEWEEK_TEAMS && (
+        <div className="bg-warning-100 border border-warning-400 text-warning-700 px-4 py-3 rounded text-sm">
+          Blank gameweek: {teamsWithoutFixture.length} teams don&apos;t play this gameweek and can&apos;t be picked.
+        </div>
+      )}
+
+      {doubleTeams.length > 0 && (
+        <div className="bg-link-100 border border-link-400 text-link-700 px-4 py-3 rounded text-sm">
+          Double gameweek: {doubleTeams.map(t => t.short_name).join(', ')} play twice.{' '}
+          {DOUBLE_GAMEWEEK_HELP[doubleGameweekRule]}
+        </div>
+      )}
+
       {/* Current pick */}
-      {currentPick && !deadlinePassed && (
+      {currentPick && !deadlinePassed && !currentPickLocked && (
         <div className="bg-primary-50 border border-primary-200 rounded-lg p-4">
           <p className="text-sm text-primary-700">
             Current pick: <strong>{teams.find(t => t.team_id === currentPick.team_id)?.name || 'Unknown'}</strong>
-            <span className="text-primary-500 ml-2">(you can change this before the deadline)</span>
+            <span className="text-primary-500 ml-2">
+              {rolling ? '(you can change this until its match kicks off)' : '(you can change this before the deadline)'}
+            </span>
           </p>
         </div>
       )}
 
       {/* Fixture-based team selection */}
-      {!deadlinePassed ? (
+      {(!deadlinePassed && !currentPickLocked) || canRepick ? (
         <div>
           <h2 className="font-bold mb-3">Select a team to win:</h2>
 
@@ -220,10 +320,13 @@ export default function PickPage() {
               const awayTeam = teamMap[fixture.away_team_id];
               if (!homeTeam || !awayTeam) return null;
 
-              const homeUsed = !allUsed && usedTeamIds.has(fixture.home_team_id);
-              const awayUsed = !allUsed && usedTeamIds.has(fixture.away_team_id);
+              const unavailable = !isPickable(fixture);
+              const homeUsed = unavailable || usedTeamIds.has(fixture.home_team_id);
+              const awayUsed = unavailable || usedTeamIds.has(fixture.away_team_id);
               const homeSelected = selectedTeam === fixture.home_team_id;
               const awaySelected = selectedTeam === fixture.away_team_id;
+              const homeDoubles = otherOpponents(fixture.home_team_id, fixture);
+              const awayDoubles = otherOpponents(fixture.away_team_id, fixture);
 
               return (
                 <div key={fixture.fixture_id} className="flex items-stretch rounded-lg border border-gray-200 overflow-hidden bg-white">
@@ -247,13 +350,18 @@ export default function PickPage() {
                       <p className={`font-semibold text-sm sm:text-base truncate ${homeUsed ? 'line-through text-gray-400' : ''}`}>
                         {homeTeam.name}
                       </p>
+                      {homeDoubles.length > 0 && (
+                        <p className="text-xs text-link-600 truncate">Also v {homeDoubles.join(', ')}</p>
+                      )}
                     </div>
 
                   </button>
 
                   {/* VS divider */}
                   <div className="flex items-center px-2 sm:px-3 bg-gray-50 border-x border-gray-200">
-                    <span className="text-xs font-bold text-gray-400">vs</span>
+                    <span className="text-xs font-bold text-gray-400">
+                      {isUnplayed(fixture) ? (fixture.status === 'postponed' ? 'P-P' : 'A-A') : 'vs'}
+                    </span>
                   </div>
 
                   {/* Away team */}
@@ -276,6 +384,9 @@ export default function PickPage() {
                       <p className={`font-semibold text-sm sm:text-base truncate ${awayUsed ? 'line-through text-gray-400' : ''}`}>
                         {awayTeam.name}
                       </p>
+                      {awayDoubles.length > 0 && (
+                        <p className="text-xs text-link-600 truncate">Also v {awayDoubles.join(', ')}</p>
+                      )}
                     </div>
 
                   </button>
@@ -317,6 +428,54 @@ export default function PickPage() {
               ? `Your pick: ${teams.find(t => t.team_id === currentPick.team_id)?.name || 'Unknown'}`
               : 'No pick submitted for this gameweek.'}
           </p>
+          {currentPickLocked && !deadlinePassed && (
+            <p className="text-xs text-gray-500 mt-1">Locked — the match has kicked off.</p>
+          )}
+        </div>
+      )}
+
+      {/* Autopick fallback teams */}
+      {missedPickRule === 'autopick' && (
+        <div className="card">
+          <h2 className="font-bold mb-1">Fallback Teams</h2>
+          <p className="text-xs text-gray-500 mb-3">
+            If you miss a deadline we&apos;ll pick the first of these you can still use,
+            otherwise your first unused team alphabetically.
+          </p>
+          {autopickTeamIds.length > 0 && (
+            <ol className="space-y-1 mb-3">
+              {autopickTeamIds.map((teamId, i) => (
+                <li key={teamId} className="flex justify-between items-center text-sm border-b border-gray-100 py-1">
+                  <span>{i + 1}. {teamMap[teamId]?.name || 'Unknown'}</span>
+                  <button
+                    onClick={() => setAutopickTeamIds(autopickTeamIds.filter(t => t !== teamId))}
+                    className="text-xs text-danger-600 hover:text-danger-800"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+          <div className="flex gap-2">
+            <select
+              value=""
+              onChange={(e) => e.target.value && setAutopickTeamIds([...autopickTeamIds, parseInt(e.target.value)])}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="">Add a team...</option>
+              {teams.filter(t => !autopickTeamIds.includes(t.team_id)).map(t => (
+                <option key={t.team_id} value={t.team_id}>{t.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleSaveAutopick}
+              disabled={savingAutopick}
+              className="btn-secondary text-sm disabled:opacity-50"
+            >
+              {savingAutopick ? 'Saving...' : 'Save'}
+            </button>
+          </div>
         </div>
       )}
 
@@ -328,11 +487,17 @@ export default function PickPage() {
             {myPicks.filter(p => p.gameweek !== currentGameweek).map(pick => (
               <div key={pick.pick_id} className="flex justify-between items-center py-1 text-sm border-b border-gray-100">
                 <span className="text-gray-500">GW {pick.gameweek}</span>
-                <span className="font-medium">{pick.team_name}</span>
+                <span className="font-medium">
+                  {pick.team_name}
+                  {pick.auto_assigned && <span className="ml-1 text-xs text-gray-400">(auto)</span>}
+                </span>
                 <span>
                   {pick.result === 'win' && <span className="text-positive-600 font-bold">W</span>}
                   {pick.result === 'draw' && <span className="text-warning-600 font-bold">D</span>}
                   {pick.result === 'loss' && <span className="text-danger-600 font-bold">L</span>}
+                  {pick.result === 'postponed' && <span className="text-gray-500 font-bold" title="Postponed">P</span>}
+                  {pick.result === 'void' && <span className="text-gray-400 font-bold" title="Voided">V</span>}
+                  {pick.result === 'pending' && <span className="text-link-600 font-bold" title="Awaiting rescheduled match">…</span>}
                   {!pick.result && <span className="text-gray-400">-</span>}
                 </span>
               </div>
@@ -1,27 +1,66 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useAuth } from '../../../lib/AuthContext';
 import { api } from '../../../lib/api';
+import {
+  DRAW_RULE_LABELS, MAX_LIVES, ALL_OUT_OPTIONS, POSTPONED_POLICY_LABELS, MISSED_PICK_LABELS, TEAM_REUSE_LABELS,
+  SCORE_CORRECTION_LABELS, DOUBLE_GAMEWEEK_LABELS, DEADLINE_MODE_LABELS,
+} from '../../../lib/gameRules';
+import DeadlineRuleInput from '../../../components/DeadlineRuleInput';
 
 export default function CreateGamePage() {
   const { user, loading, currentGameweek } = useAuth();
   const router = useRouter();
   const [gameName, setGameName] = useState('');
+  const [competitions, setCompetitions] = useState([]);
+  const [competition, setCompetition] = useState('PL');
   const [startGameweek, setStartGameweek] = useState(currentGameweek || 1);
+  const [drawRule, setDrawRule] = useState('eliminate');
+  const [lives, setLives] = useState(1);
+  const [allOutOption, setAllOutOption] = useState('draw');
+  const [postponedPolicy, setPostponedPolicy] = useState('survive');
+  const [missedPickRule, setMissedPickRule] = useState('eliminate');
+  const [teamReuseRule, setTeamReuseRule] = useState('after_all');
+  const [teamReuseLimit, setTeamReuseLimit] = useState(2);
+  const [scoreCorrectionRule, setScoreCorrectionRule] = useState('rerun');
+  const [doubleGameweekRule, setDoubleGameweekRule] = useState('first');
+  const [deadlineMode, setDeadlineMode] = useState('gameweek');
+  const [deadlineRule, setDeadlineRule] = useState('');
+  const [openNow, setOpenNow] = useState(true);
+  const [joinClosesAtDeadline, setJoinClosesAtDeadline] = useState(true);
   const [error, setError] = useState('');
   const [creating, setCreating] = useState(false);
   const [createdGame, setCreatedGame] = useState(null);
   const [copied, setCopied] = useState(false);
 
+  useEffect(() => {
+    api.getCompetitions()
+      .then(data => setCompetitions(data.competitions || []))
+      .catch(err => console.error('Failed to load competitions:', err));
+  }, []);
+
+  const gameweekCount = competitions.find(c => c.code === competition)?.gameweeks || 38;
+
+  function handleCompetitionChange(code) {
+    setCompetition(code);
+    // The current gameweek is the Premier League's; other competitions start from GW1
+    setStartGameweek(code === 'PL' ? (currentGameweek || 1) : 1);
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     setError('');
     setCreating(true);
 
     try {
-      const result = await api.createGame({ gameName, startGameweek });
+      const { allOutRule, rolloverResetTeams } = ALL_OUT_OPTIONS[allOutOption];
+      const result = await api.createGame({
+        gameName, competition, startGameweek, drawRule, lives, allOutRule, rolloverResetTeams, postponedPolicy, missedPickRule,
+        teamReuseRule, teamReuseLimit, scoreCorrectionRule, doubleGameweekRule, deadlineMode, deadlineRule: deadlineRule || null,
+        status: openNow ? 'open' : 'draft', joinClosesAtDeadline
+      });
       setCreatedGame(result.game);
     } catch (err) {
       setError(err.message || 'Failed to create game');
@@ -61,7 +100,11 @@ export default function CreateGamePage() {
           <p className="text-gray-600 mb-6">{createdGame.game_name}</p>
 
           <div className="bg-primary-50 border-2 border-primary-200 rounded-lg p-6 mb-6">
-            <p className="text-sm text-gray-600 mb-2">Share this invite code with your friends:</p>
+            <p className="text-sm text-gray-600 mb-2">
+              {createdGame.status === 'draft'
+                ? 'Your game is a draft. Open it for joining from the game page, then share this invite code:'
+                : 'Share this invite code with your friends:'}
+            </p>
             <div className="text-3xl font-mono font-bold text-primary-600 tracking-widest mb-3">
               {createdGame.invite_code}
             </div>
@@ -105,6 +148,21 @@ export default function CreateGamePage() {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Competition</label>
+            <select
+              value={competition}
+              onChange={(e) => handleCompetitionChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {competitions.length === 0 && <option value="PL">Premier League</option>}
+              {competitions.map(c => (
+                <option key={c.code} value={c.code}>{c.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Players pick teams from this competition&apos;s fixtures.</p>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Start Gameweek</label>
             <select
@@ -112,13 +170,172 @@ export default function CreateGamePage() {
               onChange={(e) => setStartGameweek(parseInt(e.target.value))}
               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
             >
-              {Array.from({ length: 38 }, (_, i) => i + 1).map(gw => (
+              {Array.from({ length: gameweekCount }, (_, i) => i + 1).map(gw => (
                 <option key={gw} value={gw}>Gameweek {gw}</option>
               ))}
             </select>
             <p className="text-xs text-gray-500 mt-1">The first gameweek where players must make picks.</p>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Draws</label>
+            <select
+              value={drawRule}
+              onChange={(e) => setDrawRule(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(DRAW_RULE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Whether a player whose team draws stays in the game.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Lives</label>
+            <select
+              value={lives}
+              onChange={(e) => setLives(parseInt(e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Array.from({ length: MAX_LIVES }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n === 1 ? '1 life (classic)' : `${n} lives`}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Each losing or missed pick costs a life. Players are out when they run out.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Team Reuse</label>
+            <div className="flex gap-2">
+              <select
+                value={teamReuseRule}
+                onChange={(e) => setTeamReuseRule(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {Object.entries(TEAM_REUSE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {teamReuseRule === 'max_uses' && (
+                <input
+                  type="number"
+                  value={teamReuseLimit}
+                  onChange={(e) => setTeamReuseLimit(parseInt(e.target.value))}
+                  min={1}
+                  max={38}
+                  aria-label="Maximum uses per team"
+                  className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">How often a player can pick the same team. Half-season usage resets from GW20.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">If Everyone Goes Out</label>
+            <select
+              value={allOutOption}
+              onChange={(e) => setAllOutOption(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(ALL_OUT_OPTIONS).map(([value, option]) => (
+                <option key={value} value={value}>{option.label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">A rollover revives everyone knocked out that week so the game only ends with a single winner.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Postponed Matches</label>
+            <select
+              value={postponedPolicy}
+              onChange={(e) => setPostponedPolicy(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(POSTPONED_POLICY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label.replace('Postponed = ', '')}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">What happens to a pick whose match is postponed or abandoned.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Missed Picks</label>
+            <select
+              value={missedPickRule}
+              onChange={(e) => setMissedPickRule(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(MISSED_PICK_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label.replace('Missed pick = ', '')}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Autopick gives anyone without a pick at the deadline their first unused team (or a saved fallback).</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Score Corrections</label>
+            <select
+              value={scoreCorrectionRule}
+              onChange={(e) => setScoreCorrectionRule(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(SCORE_CORRECTION_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">What happens if a score is corrected after its gameweek has been processed.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Double Gameweeks</label>
+            <select
+              value={doubleGameweekRule}
+              onChange={(e) => setDoubleGameweekRule(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(DOUBLE_GAMEWEEK_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">How a pick is decided when the team plays twice in a gameweek.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Deadlines</label>
+            <select
+              value={deadlineMode}
+              onChange={(e) => setDeadlineMode(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              {Object.entries(DEADLINE_MODE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">With rolling deadlines players can pick any team yet to play, and picks are revealed as each match kicks off.</p>
+          </div>
+
+          {deadlineMode === 'gameweek' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Gameweek Deadline</label>
+              <DeadlineRuleInput value={deadlineRule} onChange={setDeadlineRule} defaultLabel="Site default" />
+              <p className="text-xs text-gray-500 mt-1">When picks lock each gameweek, e.g. an hour before the first kickoff or 11:00 on Saturday.</p>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={openNow} onChange={(e) => setOpenNow(e.target.checked)} />
+              Open for joining now
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={joinClosesAtDeadline} onChange={(e) => setJoinClosesAtDeadline(e.target.checked)} />
+              Close joining at the start gameweek&apos;s deadline
+            </label>
+            <p className="text-xs text-gray-500">Leave the game as a draft to finish setting it up before anyone can join.</p>
+          </div>
+
           <button
             type="submit"
             disabled={creating || !gameName}
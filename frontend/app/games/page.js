@@ -4,25 +4,35 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useAuth } from '../../lib/AuthContext';
 import { api } from '../../lib/api';
+import { GAME_STATUS_COLORS } from '../../lib/gameLifecycle';
 
 export default function GamesPage() {
-  const { user, loading } = useAuth();
+  const { user, loading, currentSeason } = useAuth();
   const [games, setGames] = useState([]);
   const [loadingGames, setLoadingGames] = useState(true);
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [inviteCode, setInviteCode] = useState('');
   const [joinError, setJoinError] = useState('');
   const [joining, setJoining] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [seasons, setSeasons] = useState([]);
+  const [season, setSeason] = useState(null);
 
   useEffect(() => {
     if (!loading) {
-      loadGames();
+      loadGames(season);
     }
-  }, [loading]);
+  }, [loading, season]);
 
-  async function loadGames() {
+  useEffect(() => {
+    api.getSeasons()
+      .then(data => setSeasons(data.seasons || []))
+      .catch(() => setSeasons([]));
+  }, []);
+
+  async function loadGames(season) {
     try {
-      const data = await api.getGames();
+      const data = await api.getGames(season ? { season } : {});
       setGames(data.games || []);
     } catch (error) {
       console.error('Error loading games:', error);
@@ -61,12 +71,28 @@ export default function GamesPage() {
   const myGames = games.filter(g => g.is_member);
   const activeGames = myGames.filter(g => g.status === 'active');
   const openGames = myGames.filter(g => g.status === 'open');
+  const draftGames = myGames.filter(g => g.status === 'draft');
   const completedGames = myGames.filter(g => g.status === 'completed');
+  const archivedGames = myGames.filter(g => g.status === 'archived');
 
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
-        <h1 className="text-2xl font-bold">My Games</h1>
+        <div className="flex items-center gap-3">
+          <h1 className="text-2xl font-bold">My Games</h1>
+          {seasons.length > 1 && (
+            <select
+              value={season || currentSeason}
+              onChange={(e) => setSeason(parseInt(e.target.value))}
+              aria-label="Season"
+              className="px-2 py-1 border border-gray-300 rounded text-sm"
+            >
+              {seasons.map(s => (
+                <option key={s} value={s}>{s}/{String(s + 1).slice(-2)}</option>
+              ))}
+            </select>
+          )}
+        </div>
         <div className="flex gap-3">
           <button onClick={() => setShowJoinModal(true)} className="btn-secondary">
             Join Game
@@ -108,6 +134,17 @@ export default function GamesPage() {
             </div>
           )}
 
+          {draftGames.length > 0 && (
+            <div>
+              <h2 className="text-lg font-semibold mb-3 text-warning-700">Drafts (Not Yet Open)</h2>
+              <div className="grid gap-4 md:grid-cols-2">
+                {draftGames.map(game => (
+                  <GameCard key={game.game_id} game={game} />
+                ))}
+              </div>
+            </div>
+          )}
+
           {completedGames.length > 0 && (
             <div>
               <h2 className="text-lg font-semibold mb-3 text-gray-500">Completed Games</h2>
@@ -118,6 +155,24 @@ export default function GamesPage() {
               </div>
             </div>
           )}
+
+          {archivedGames.length > 0 && (
+            <div>
+              <button
+                onClick={() => setShowArchived(!showArchived)}
+                className="text-sm text-gray-500 hover:underline cursor-pointer"
+              >
+                {showArchived ? 'Hide' : 'Show'} {archivedGames.length} archived game{archivedGames.length === 1 ? '' : 's'}
+              </button>
+              {showArchived && (
+                <div className="grid gap-4 md:grid-cols-2 mt-3">
+                  {archivedGames.map(game => (
+                    <GameCard key={game.game_id} game={game} />
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
         </div>
       )}
 
@@ -159,12 +214,6 @@ export default function GamesPage() {
 }
 
 function GameCard({ game }) {
-  const statusColors = {
-    active: 'bg-positive-100 text-positive-700',
-    open: 'bg-link-100 text-link-700',
-    completed: 'bg-gray-100 text-gray-600',
-  };
-
   const playerStatusColors = {
     alive: 'bg-positive-100 text-positive-700',
     eliminated: 'bg-danger-100 text-danger-700',
@@ -176,11 +225,12 @@ function GameCard({ game }) {
     <Link href={`/games/${game.game_id}`} className="card block">
       <div className="flex justify-between items-start mb-2">
         <h3 className="font-bold text-lg">{game.game_name}</h3>
-        <span className={`px-2 py-1 rounded text-xs font-semibold ${statusColors[game.status] || 'bg-gray-100 text-gray-600'}`}>
+        <span className={`px-2 py-1 rounded text-xs font-semibold ${GAME_STATUS_COLORS[game.status] || 'bg-gray-100 text-gray-600'}`}>
           {game.status}
         </span>
       </div>
       <p className="text-sm text-gray-500 mb-2">
+        {game.competition_code && game.competition_code !== 'PL' && `${game.competition_name || game.competition_code} · `}
         {game.player_count} players
         {game.status === 'active' && ` (${game.alive_count} alive)`}
       </p>
@@ -0,0 +1,73 @@
+'use client';
+
+const ACTION_LABELS = {
+  delete_game: 'Deleted game',
+  change_status: 'Changed game status',
+  set_player_status: 'Set player status',
+  import_pick: 'Imported pick',
+  bulk_import: 'Bulk import',
+  delete_pick: 'Deleted pick',
+  transfer_admin: 'Transferred admin',
+  process_results: 'Processed results',
+  undo_gameweek: 'Undid gameweek',
+  update_standings: 'Recalculated standings',
+  update_setting: 'Changed setting',
+  create_fixture: 'Added fixture',
+  edit_fixture: 'Edited fixture',
+  release_fixture: 'Released fixture to sync',
+  move_fixture: 'Moved fixture to another gameweek',
+  delete_fixture: 'Deleted fixture',
+  score_correction: 'Score corrected',
+  resolve_score_correction: 'Resolved score correction',
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'object') return String(value);
+  return Object.entries(value).map(([k, v]) => `${k}: ${v ?? '—'}`).join(', ');
+}
+
+export default function AuditTable({ entries, showGame = false }) {
+  if (entries.length === 0) {
+    return (
+      <div className="card text-center py-8">
+        <p className="text-gray-600">No administrative changes recorded.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card p-0">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b-2 border-gray-200 bg-gray-50">
+              <th className="text-left py-3 px-4">When</th>
+              {showGame && <th className="text-left py-3 px-4">Game</th>}
+              <th className="text-left py-3 px-4">By</th>
+              <th className="text-left py-3 px-4">Action</th>
+              <th className="text-left py-3 px-4">Target</th>
+              <th className="text-left py-3 px-4">Before</th>
+              <th className="text-left py-3 px-4">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(e => (
+              <tr key={e.audit_id} className="border-b border-gray-100 hover:bg-gray-50 align-top">
+                <td className="py-3 px-4 text-gray-500 text-xs whitespace-nowrap">
+                  {new Date(e.created_at).toLocaleString()}
+                </td>
+                {showGame && <td className="py-3 px-4">{e.game_name || (e.game_id ? `#${e.game_id}` : '—')}</td>}
+                <td className="py-3 px-4 text-gray-600">{e.actor_email}</td>
+                <td className="py-3 px-4 font-medium">{ACTION_LABELS[e.action] || e.action}</td>
+                <td className="py-3 px-4">{e.target || '—'}</td>
+                <td className="py-3 px-4 text-xs text-gray-500">{formatValue(e.before_value)}</td>
+                <td className="py-3 px-4 text-xs text-gray-500">{formatValue(e.after_value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
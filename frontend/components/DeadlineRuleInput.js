@@ -0,0 +1,61 @@
+'use client';
+
+import { WEEKDAYS, parseDeadlineRule } from '../lib/gameRules';
+
+const DEFAULT_WEEKDAY_RULE = 'weekday:6@11:00';
+
+// Editor for a deadline rule: minutes before the first kickoff, or a fixed
+// day and time. With defaultLabel set, an empty value means "use the site default".
+export default function DeadlineRuleInput({ value, onChange, defaultLabel }) {
+  const rule = parseDeadlineRule(value) || (defaultLabel ? null : parseDeadlineRule('kickoff:0'));
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+  function handleTypeChange(type) {
+    if (type === 'kickoff') onChange('kickoff:0');
+    else if (type === 'weekday') onChange(DEFAULT_WEEKDAY_RULE);
+    else onChange('');
+  }
+
+  return (
+    <div className="flex gap-2 flex-wrap items-center">
+      <select value={rule?.type || ''} onChange={(e) => handleTypeChange(e.target.value)} className={selectClass}>
+        {defaultLabel && <option value="">{defaultLabel}</option>}
+        <option value="kickoff">Before the first kickoff</option>
+        <option value="weekday">Fixed day and time</option>
+      </select>
+
+      {rule?.type === 'kickoff' && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="number"
+            min={0}
+            step={15}
+            value={rule.minutes}
+            onChange={(e) => onChange(`kickoff:${Math.max(0, parseInt(e.target.value) || 0)}`)}
+            className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          minutes before
+        </label>
+      )}
+
+      {rule?.type === 'weekday' && (
+        <>
+          <select
+            value={rule.weekday}
+            onChange={(e) => onChange(`weekday:${e.target.value}@${rule.time}`)}
+            className={selectClass}
+          >
+            {WEEKDAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+          </select>
+          <input
+            type="time"
+            value={rule.time}
+            onChange={(e) => e.target.value && onChange(`weekday:${rule.weekday}@${e.target.value}`)}
+            className={selectClass}
+          />
+          <span className="text-sm text-gray-500">UK time</span>
+        </>
+      )}
+    </div>
+  );
+}
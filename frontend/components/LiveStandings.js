@@ -0,0 +1,127 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { api } from '../lib/api';
+
+// Refresh quickly while matches are on, slowly in between
+const LIVE_REFRESH_MS = 30 * 1000;
+const IDLE_REFRESH_MS = 5 * 60 * 1000;
+
+const STATE_LABELS = {
+  not_started: 'Not started',
+  waiting: 'Between matches',
+  winning: 'Winning',
+  drawing: 'Drawing',
+  losing: 'Losing',
+  win: 'Won',
+  draw: 'Drew',
+  loss: 'Lost',
+  postponed: 'Postponed',
+  void: 'Void',
+  pending: 'Carried',
+};
+
+function fixtureScore(f) {
+  if (f.status === 'in_play') return `${f.home_score ?? 0}-${f.away_score ?? 0}`;
+  if (f.status === 'finished') return `${f.home_score}-${f.away_score}`;
+  if (f.status === 'postponed' || f.status === 'abandoned') return f.status;
+  return f.match_date
+    ? new Date(f.match_date).toLocaleTimeString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+    : 'TBC';
+}
+
+// Matches under way in the game's current gameweek, and how each alive
+// player's pick stands as things are. Refreshes itself while matches are on.
+export default function LiveStandings({ gameId }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    async function load() {
+      let next = IDLE_REFRESH_MS;
+      try {
+        const result = await api.getLiveStandings(gameId);
+        if (cancelled) return;
+        setData(result);
+        const due = result.fixtures.some(f => f.status === 'scheduled' && f.match_date && new Date(f.match_date) <= new Date());
+        if (result.live || due) next = LIVE_REFRESH_MS;
+      } catch (error) {
+        console.error('Error loading live standings:', error);
+      }
+      if (!cancelled) timer = setTimeout(load, next);
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [gameId]);
+
+  // Nothing to show until the gameweek gets under way
+  if (!data || !data.fixtures.some(f => f.status === 'in_play' || f.status === 'finished')) return null;
+
+  const surviving = data.standings.filter(s => s.surviving === true);
+  const losing = data.standings.filter(s => s.surviving === false);
+  const undecided = data.standings.filter(s => s.surviving === null);
+
+  return (
+    <div className={`card ${data.live ? 'border-2 border-positive-300' : ''}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-bold text-lg">GW{data.gameweek} {data.live ? 'Live' : 'Scores'}</h2>
+        {data.live && (
+          <span className="px-2 py-0.5 rounded text-xs font-semibold bg-positive-100 text-positive-700">
+            Updating every {LIVE_REFRESH_MS / 1000}s
+          </span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4 text-xs">
+        {data.fixtures.map(f => (
+          <div
+            key={f.fixture_id}
+            className={`px-2 py-1 rounded border ${f.status === 'in_play' ? 'border-positive-400 bg-positive-50' : 'border-gray-200'}`}
+          >
+            <span className="font-medium">{f.home_short} {fixtureScore(f)} {f.away_short}</span>
+            {f.status === 'in_play' && f.minute != null && (
+              <span className="ml-1 text-positive-700">{f.minute}&apos;</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {!data.deadlinePassed && data.standings.length === 0 ? (
+        <p className="text-sm text-gray-500">Picks are revealed as the deadline passes.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+          <StandingsGroup title="Surviving" players={surviving} className="text-positive-700" />
+          <StandingsGroup title="Going Out" players={losing} className="text-danger-700" />
+          <StandingsGroup title="Yet to Play" players={undecided} className="text-gray-600" />
+        </div>
+      )}
+      {data.hiddenCount > 0 && (
+        <p className="text-xs text-gray-500 mt-3">
+          {data.hiddenCount} pick{data.hiddenCount === 1 ? '' : 's'} hidden until their match kicks off.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function StandingsGroup({ title, players, className }) {
+  return (
+    <div>
+      <h3 className={`font-semibold mb-1 ${className}`}>{title} ({players.length})</h3>
+      <ul className="space-y-1">
+        {players.map(p => (
+          <li key={p.playerId} className="flex justify-between gap-2">
+            <span>{p.username}</span>
+            <span className="text-gray-500">{p.teamShort} · {STATE_LABELS[p.state] || p.state}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import { usePathname, useRouter } from 'next/navigation';
 import { useState } from 'react';
 import { useAuth } from '../lib/AuthContext';
 import { api } from '../lib/api';
+import NotificationBell from './NotificationBell';
 
 export default function Navigation() {
   const pathname = usePathname();
@@ -43,7 +44,9 @@ export default function Navigation() {
   const adminItems = [
     { href: '/admin/games', label: 'All Games' },
     { href: '/admin/users', label: 'Users' },
+    { href: '/admin/fixtures', label: 'Fixtures' },
     { href: '/admin/settings', label: 'Settings' },
+    { href: '/admin/audit', label: 'Audit Log' },
   ];
 
   return (
@@ -64,6 +67,7 @@ export default function Navigation() {
                 <span className="text-sm text-gray-300 hidden sm:inline">
                   Welcome, <Link href="/account" className="font-semibold text-white hover:text-gray-200">{user.username}</Link>
                 </span>
+                <NotificationBell />
                 {user.role === 'admin' && (
                   <Link href="/admin/users" className="text-gray-300 hover:text-white" title="User Management">
                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -0,0 +1,103 @@
+'use client';
+
+import Link from 'next/link';
+import { useState, useEffect } from 'react';
+import { api } from '../lib/api';
+
+const REFRESH_MS = 60 * 1000;
+
+// Bell in the navigation bar with my unread count. Opening it lists recent
+// notifications and marks them read.
+export default function NotificationBell() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  async function loadNotifications() {
+    try {
+      const data = await api.getNotifications();
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error loading notifications:', error);
+    }
+  }
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  async function handleOpen() {
+    setOpen(!open);
+    if (open || unreadCount === 0) return;
+    try {
+      await api.markNotificationsRead(notifications.filter(n => !n.read_at).map(n => n.notification_id));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  }
+
+  function handleClose() {
+    setOpen(false);
+    // Unread highlighting only lasts while the list is open
+    setNotifications(notifications.map(n => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+  }
+
+  return (
+    <div className="relative flex items-center">
+      <button
+        onClick={handleOpen}
+        className="relative text-gray-300 hover:text-white cursor-pointer"
+        title="Notifications"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1.5 -right-2 min-w-4 h-4 px-1 rounded-full bg-danger-600 text-white text-[10px] leading-4 text-center font-semibold">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={handleClose} />
+          <div className="absolute right-0 top-full mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-md shadow-lg border border-gray-200 z-20">
+            {notifications.length === 0 ? (
+              <p className="px-4 py-3 text-sm text-gray-500">No notifications yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {notifications.map(n => (
+                  <li key={n.notification_id} className={n.read_at ? '' : 'bg-primary-50'}>
+                    {n.game_id ? (
+                      <Link href={`/games/${n.game_id}`} onClick={handleClose} className="block px-4 py-2 hover:bg-gray-50">
+                        <NotificationText notification={n} />
+                      </Link>
+                    ) : (
+                      <div className="px-4 py-2">
+                        <NotificationText notification={n} />
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function NotificationText({ notification }) {
+  return (
+    <>
+      <p className="text-sm text-gray-800">{notification.message}</p>
+      <p className="text-xs text-gray-400">{new Date(notification.created_at).toLocaleString()}</p>
+    </>
+  );
+}
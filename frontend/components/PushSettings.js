@@ -0,0 +1,69 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from '../lib/push';
+
+// Opt in (or out) of browser push notifications in this browser:
+// deadline reminders, eliminations and wins.
+export default function PushSettings() {
+  const [supported, setSupported] = useState(true);
+  const [enabled, setEnabled] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isPushSupported()) {
+      setSupported(false);
+      return;
+    }
+    getPushSubscription()
+      .then(subscription => setEnabled(!!subscription))
+      .catch(err => console.error('Error checking push subscription:', err));
+  }, []);
+
+  async function handleToggle() {
+    setSaving(true);
+    setError('');
+    try {
+      if (enabled) {
+        await disablePush();
+        setEnabled(false);
+      } else {
+        await enablePush();
+        setEnabled(true);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update push notifications');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="card">
+      <h2 className="text-lg font-semibold mb-2">Browser Notifications</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Get a notification in this browser when a pick deadline is close and you haven&apos;t picked,
+        when you&apos;re eliminated, and when a game is won.
+      </p>
+
+      {error && (
+        <div className="bg-danger-100 border border-danger-400 text-danger-700 px-3 py-2 rounded mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      {supported ? (
+        <button
+          onClick={handleToggle}
+          disabled={saving}
+          className={`${enabled ? 'btn-secondary' : 'btn-primary'} disabled:bg-gray-400 disabled:cursor-not-allowed`}
+        >
+          {saving ? 'Saving...' : enabled ? 'Turn Off' : 'Turn On'}
+        </button>
+      ) : (
+        <p className="text-sm text-gray-500">This browser doesn&apos;t support push notifications.</p>
+      )}
+    </div>
+  );
+}
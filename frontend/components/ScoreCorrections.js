@@ -0,0 +1,70 @@
+'use client';
+
+const OUTCOME_LABELS = {
+  rerun: 'Standings replayed',
+  needs_review: 'Waiting for the game admin',
+  dismissed: 'Dismissed — standings unchanged',
+};
+
+function describeStanding({ status, lives }) {
+  return status === 'alive' ? `alive (${lives} ${lives === 1 ? 'life' : 'lives'})` : status;
+}
+
+// Corrected scores that affected a game, and what each one changed.
+// The current player's own change is called out; game admins can replay or
+// dismiss corrections waiting for review.
+export default function ScoreCorrections({ corrections, myPlayerId, isGameAdmin, onResolve }) {
+  if (corrections.length === 0) return null;
+
+  return (
+    <div className="card border-2 border-warning-300 bg-warning-50">
+      <h2 className="font-bold text-lg mb-3">Score Corrections</h2>
+      <ul className="space-y-3 text-sm">
+        {corrections.map(c => {
+          const changes = c.player_changes || [];
+          const mine = changes.find(ch => ch.playerId === myPlayerId);
+          return (
+            <li key={c.correction_id}>
+              <div>
+                <span className="font-medium">
+                  GW{c.gameweek} {c.home_short} {c.old_home_score}-{c.old_away_score} {c.away_short}
+                </span>
+                {' corrected to '}
+                <span className="font-medium">{c.new_home_score}-{c.new_away_score}</span>
+                <span className="text-xs text-gray-500 ml-2">{new Date(c.detected_at).toLocaleString()}</span>
+              </div>
+              <div className="text-xs text-gray-600">
+                {OUTCOME_LABELS[c.outcome] || c.outcome}
+                {c.note && ` (${c.note})`}
+                {c.outcome === 'rerun' && ` — ${changes.length} player${changes.length === 1 ? '' : 's'} affected`}
+              </div>
+              {mine && (
+                <div className="text-xs font-semibold text-warning-700">
+                  You: {describeStanding(mine.from)} → {describeStanding(mine.to)}
+                </div>
+              )}
+              {isGameAdmin && changes.length > 0 && (
+                <div className="text-xs text-gray-500">
+                  {changes.map(ch => `${ch.username}: ${describeStanding(ch.from)} → ${describeStanding(ch.to)}`).join(' · ')}
+                </div>
+              )}
+              {isGameAdmin && c.outcome === 'needs_review' && (
+                <div className="flex gap-2 mt-1 items-center">
+                  <button onClick={() => onResolve(c.correction_id, 'rerun')} className="btn-primary text-xs">
+                    Replay Standings
+                  </button>
+                  <button onClick={() => onResolve(c.correction_id, 'dismiss')} className="btn-secondary text-xs">
+                    Dismiss
+                  </button>
+                  <span className="text-xs text-gray-500">
+                    Replaying replaces the game&apos;s undo points with the replayed gameweeks
+                  </span>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
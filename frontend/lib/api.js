@@ -89,6 +89,40 @@ class ApiClient {
     return this.request('/api/auth/users');
   }
 
+  async getAuditLog(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/api/audit?${query}`);
+  }
+
+  async getNotifications() {
+    return this.request('/api/notifications');
+  }
+
+  async markNotificationsRead(notificationIds) {
+    return this.request('/api/notifications/mark-read', {
+      method: 'POST',
+      body: JSON.stringify({ notificationIds }),
+    });
+  }
+
+  async getPushPublicKey() {
+    return this.request('/api/notifications/push/public-key');
+  }
+
+  async subscribePush(subscription) {
+    return this.request('/api/notifications/push/subscribe', {
+      method: 'POST',
+      body: JSON.stringify({ subscription }),
+    });
+  }
+
+  async unsubscribePush(endpoint) {
+    return this.request('/api/notifications/push/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ endpoint }),
+    });
+  }
+
   async adminResetPassword(userId, newPassword) {
     return this.request('/api/auth/admin-reset-password', {
       method: 'POST',
@@ -102,6 +136,10 @@ class ApiClient {
     return this.request(`/api/games?${query}`);
   }
 
+  async getSeasons() {
+    return this.request('/api/games/seasons');
+  }
+
   async getGame(id) {
     return this.request(`/api/games/${id}`);
   }
@@ -124,6 +162,13 @@ class ApiClient {
     return this.request(`/api/games/${id}/start`, { method: 'POST' });
   }
 
+  async setGameStatus(id, status, startGameweek) {
+    return this.request(`/api/games/${id}/status`, {
+      method: 'POST',
+      body: JSON.stringify({ status, startGameweek }),
+    });
+  }
+
   async getGameStandings(id) {
     return this.request(`/api/games/${id}/standings`);
   }
@@ -132,9 +177,29 @@ class ApiClient {
     return this.request(`/api/games/${id}/history`);
   }
 
+  async getLiveStandings(id) {
+    return this.request(`/api/games/${id}/live`);
+  }
+
+  async getScoreCorrections(id) {
+    return this.request(`/api/games/${id}/score-corrections`);
+  }
+
+  async resolveScoreCorrection(id, correctionId, action) {
+    return this.request(`/api/games/${id}/score-corrections/${correctionId}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ action }),
+    });
+  }
+
+  async getGameAudit(id) {
+    return this.request(`/api/games/${id}/audit`);
+  }
+
   // Picks
-  async getMyPicks(gameId) {
-    return this.request(`/api/games/${gameId}/my-picks`);
+  async getMyPicks(gameId, gameweek) {
+    const query = gameweek ? `?gameweek=${gameweek}` : '';
+    return this.request(`/api/games/${gameId}/my-picks${query}`);
   }
 
   async getGameweekPicks(gameId, gameweek) {
@@ -148,6 +213,20 @@ class ApiClient {
     });
   }
 
+  async setAutopickPreferences(gameId, teamIds) {
+    return this.request(`/api/games/${gameId}/autopick-preferences`, {
+      method: 'PUT',
+      body: JSON.stringify({ teamIds }),
+    });
+  }
+
+  async previewProcessResults(gameId, gameweek) {
+    return this.request(`/api/games/${gameId}/process-results/preview`, {
+      method: 'POST',
+      body: JSON.stringify({ gameweek }),
+    });
+  }
+
   async processResults(gameId, gameweek) {
     return this.request(`/api/games/${gameId}/process-results`, {
       method: 'POST',
@@ -155,6 +234,17 @@ class ApiClient {
     });
   }
 
+  async getSnapshots(gameId) {
+    return this.request(`/api/games/${gameId}/snapshots`);
+  }
+
+  async undoGameweek(gameId, gameweek) {
+    return this.request(`/api/games/${gameId}/undo-gameweek`, {
+      method: 'POST',
+      body: JSON.stringify({ gameweek }),
+    });
+  }
+
   async updateStandings(gameId, upToGameweek) {
     return this.request(`/api/games/${gameId}/update-standings`, {
       method: 'POST',
@@ -223,17 +313,45 @@ class ApiClient {
     return this.request(`/api/fixtures/teams?${query}`);
   }
 
-  async importFixtures(season, upcomingOnly = true) {
+  async createFixture(data) {
+    return this.request('/api/fixtures', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateFixture(fixtureId, data) {
+    return this.request(`/api/fixtures/${fixtureId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteFixture(fixtureId) {
+    return this.request(`/api/fixtures/${fixtureId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getFixtureProviders() {
+    return this.request('/api/fixtures/providers');
+  }
+
+  async getCompetitions() {
+    return this.request('/api/fixtures/competitions');
+  }
+
+  async importFixtures(season, upcomingOnly = true, competition = 'PL') {
     return this.request('/api/fixtures/import', {
       method: 'POST',
-      body: JSON.stringify({ season, upcomingOnly }),
+      body: JSON.stringify({ season, upcomingOnly, competition }),
     });
   }
 
-  async updateResults(season) {
+  async updateResults(season, competition = 'PL') {
     return this.request('/api/fixtures/update-results', {
       method: 'POST',
-      body: JSON.stringify({ season }),
+      body: JSON.stringify({ season, competition }),
     });
   }
 
@@ -0,0 +1,32 @@
+// Game lifecycle statuses (mirrors src/helpers/gameLifecycle.js)
+
+export const GAME_STATUS_ORDER = ['active', 'open', 'draft', 'completed', 'archived'];
+
+export const GAME_STATUS_LABELS = {
+  draft: 'Draft',
+  open: 'Open for joining',
+  active: 'Active',
+  completed: 'Completed',
+  archived: 'Archived',
+};
+
+export const GAME_STATUS_COLORS = {
+  draft: 'bg-warning-100 text-warning-700',
+  open: 'bg-link-100 text-link-700',
+  active: 'bg-positive-100 text-positive-700',
+  completed: 'bg-gray-100 text-gray-600',
+  archived: 'bg-gray-100 text-gray-400',
+};
+
+// Admin actions offered from each status (the moves the server allows).
+// Games complete and go back to active through processing, undo and replay.
+export const GAME_STATUS_ACTIONS = {
+  draft: [{ status: 'open', label: 'Open for Joining' }],
+  open: [
+    { status: 'active', label: 'Start Game' },
+    { status: 'draft', label: 'Back to Draft' },
+  ],
+  active: [],
+  completed: [{ status: 'archived', label: 'Archive' }],
+  archived: [{ status: 'completed', label: 'Unarchive' }],
+};
@@ -0,0 +1,131 @@
+// Human-readable labels for a game's rule set (mirrors src/helpers/gameRules.js)
+
+export const DRAW_RULE_LABELS = {
+  eliminate: 'Draw = eliminated',
+  survive: 'Draw = survive',
+};
+
+export const MAX_LIVES = 10;
+
+export const MISSED_PICK_LABELS = {
+  eliminate: 'Missed pick = lose a life',
+  autopick: 'Missed pick = autopick',
+};
+
+export const TEAM_REUSE_LABELS = {
+  after_all: 'Reuse once all teams used',
+  never: 'No team reuse',
+  max_uses: 'Each team up to N times',
+  half_season: 'Teams reset at half-season',
+};
+
+export const POSTPONED_POLICY_LABELS = {
+  survive: 'Postponed = survive',
+  void: 'Postponed = void and repick',
+  carry: 'Postponed = carry to rescheduled date',
+};
+
+export const SCORE_CORRECTION_LABELS = {
+  rerun: 'Replay standings automatically',
+  review: 'Ask the game admin to review',
+};
+
+export const DOUBLE_GAMEWEEK_LABELS = {
+  first: 'First match only',
+  all: 'Must win both matches',
+  any: 'Must win either match',
+};
+
+// What a player picking a team with two matches in a gameweek should expect, per rule
+export const DOUBLE_GAMEWEEK_HELP = {
+  first: 'Only their first match counts.',
+  all: 'They have to get through both matches for you to survive.',
+  any: 'Getting through either match is enough to survive.',
+};
+
+export const DEADLINE_MODE_LABELS = {
+  gameweek: 'All picks lock at the first kickoff',
+  rolling: 'Each pick locks at its own kickoff',
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Deadline rules (mirrors src/helpers/deadlines.js):
+//   kickoff:<minutes>      — that many minutes before the first kickoff
+//   weekday:<day>@<HH:MM>  — the last such weekday (0 = Sunday) and time, in UK time, before the first kickoff
+export function parseDeadlineRule(rule) {
+  const kickoff = /^kickoff:(\d+)$/.exec(rule || '');
+  if (kickoff) return { type: 'kickoff', minutes: parseInt(kickoff[1]) };
+  const weekday = /^weekday:([0-6])@(\d{2}:\d{2})$/.exec(rule || '');
+  if (weekday) return { type: 'weekday', weekday: parseInt(weekday[1]), time: weekday[2] };
+  return null;
+}
+
+export function describeDeadlineRule(rule) {
+  const parsed = parseDeadlineRule(rule);
+  if (!parsed) return null;
+  if (parsed.type === 'weekday') return `Deadline ${WEEKDAYS[parsed.weekday]} ${parsed.time} (UK time)`;
+  if (parsed.minutes === 0) return 'Deadline at first kickoff';
+  const offset = parsed.minutes % 60 === 0
+    ? `${parsed.minutes / 60} hour${parsed.minutes === 60 ? '' : 's'}`
+    : `${parsed.minutes} min`;
+  return `Deadline ${offset} before first kickoff`;
+}
+
+// A gameweek with at least this many teams without a fixture is flagged as a blank gameweek
+export const BLANK_GAMEWEEK_TEAMS = 4;
+
+// What a player whose team's fixture is postponed should expect, per policy
+export const POSTPONED_POLICY_HELP = {
+  survive: 'You will survive this gameweek automatically, but the team still counts as used.',
+  void: 'Your pick will be voided. You can repick any team whose match hasn\'t kicked off yet.',
+  carry: 'Your pick will be decided when the match is replayed.',
+};
+
+// Create-form choices for when everyone goes out in the same gameweek
+export const ALL_OUT_OPTIONS = {
+  draw: { label: 'Shared draw', allOutRule: 'draw', rolloverResetTeams: false },
+  rollover_keep: { label: 'Rollover — keep used teams', allOutRule: 'rollover', rolloverResetTeams: false },
+  rollover_reset: { label: 'Rollover — reset used teams', allOutRule: 'rollover', rolloverResetTeams: true },
+};
+
+export function describeRules(game) {
+  const rules = [
+    DRAW_RULE_LABELS[game.draw_rule] || DRAW_RULE_LABELS.eliminate,
+  ];
+  if (game.lives > 1) rules.push(`${game.lives} lives`);
+  if (game.postponed_policy && game.postponed_policy !== 'survive') {
+    rules.push(POSTPONED_POLICY_LABELS[game.postponed_policy]);
+  }
+  if (game.team_reuse_rule === 'max_uses') {
+    rules.push(`Each team up to ${game.team_reuse_limit} time${game.team_reuse_limit === 1 ? '' : 's'}`);
+  } else if (game.team_reuse_rule && game.team_reuse_rule !== 'after_all') {
+    rules.push(TEAM_REUSE_LABELS[game.team_reuse_rule]);
+  }
+  if (game.missed_pick_rule === 'autopick') rules.push(MISSED_PICK_LABELS.autopick);
+  if (game.score_correction_rule === 'review') rules.push('Score corrections reviewed by admin');
+  if (game.deadline_mode === 'rolling') rules.push('Rolling deadlines');
+  else if (game.deadline_rule) rules.push(describeDeadlineRule(game.deadline_rule));
+  if (game.double_gameweek_rule && game.double_gameweek_rule !== 'first') {
+    rules.push(`Double gameweeks: ${DOUBLE_GAMEWEEK_LABELS[game.double_gameweek_rule].toLowerCase()}`);
+  }
+  if (game.all_out_rule === 'rollover') {
+    rules.push(game.rollover_reset_teams ? 'All out = rollover (teams reset)' : 'All out = rollover');
+  }
+  return rules;
+}
+
+// Has this fixture kicked off? Postponed and abandoned fixtures never do.
+export function hasKickedOff(fixture, now = new Date()) {
+  if (fixture.status === 'postponed' || fixture.status === 'abandoned') return false;
+  if (fixture.status !== 'scheduled') return true;
+  return !!fixture.match_date && new Date(fixture.match_date) <= now;
+}
+
+// Did this pick result keep the player in the game?
+export function isSurvivingResult(game, result) {
+  if (result === 'win') return true;
+  if (result === 'draw') return game.draw_rule === 'survive';
+  if (['postponed', 'void', 'pending'].includes(result)) return true;
+  return false;
+}
@@ -0,0 +1,43 @@
+import { api } from './api';
+
+// Browser push: the service worker (public/sw.js) and this browser's push
+// subscription, registered with the server so it can push to it.
+
+// VAPID public keys are URL-safe base64; subscribe() wants the raw bytes
+function keyToBytes(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+export function isPushSupported() {
+  return typeof window !== 'undefined'
+    && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+export async function getPushSubscription() {
+  const registration = await navigator.serviceWorker.getRegistration('/');
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+export async function enablePush() {
+  const { publicKey } = await api.getPushPublicKey();
+  if (!publicKey) throw new Error('Push notifications aren\'t set up on this server');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site in your browser settings');
+
+  await navigator.serviceWorker.register('/sw.js');
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: keyToBytes(publicKey),
+  });
+  await api.subscribePush(subscription.toJSON());
+}
+
+export async function disablePush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await api.unsubscribePush(subscription.endpoint);
+  await subscription.unsubscribe();
+}
@@ -0,0 +1,25 @@
+// Service worker for browser push notifications. The server sends
+// { title, body, url } (see src/helpers/push.js); clicking a notification
+// focuses an open tab on that page or opens one.
+
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Prem Picker', {
+      body: data.body,
+      icon: '/logo.svg',
+      data: { url: data.url || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find(w => w.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -26,7 +26,27 @@ CREATE TABLE IF NOT EXISTS user_profiles (
     needs_password_setup BOOLEAN DEFAULT FALSE
 );
 
--- Premier League teams (20 teams per season)
+-- Competitions games can be played against (football-data.org competition codes)
+-- current_season is set on import; the Premier League uses the current_season setting
+CREATE TABLE IF NOT EXISTS competitions (
+    code VARCHAR(10) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    current_season INTEGER,
+    gameweeks INTEGER NOT NULL DEFAULT 38,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO competitions (code, name, gameweeks) VALUES
+    ('PL', 'Premier League', 38),
+    ('ELC', 'Championship', 46),
+    ('PD', 'La Liga', 38),
+    ('BL1', 'Bundesliga', 34),
+    ('SA', 'Serie A', 38),
+    ('FL1', 'Ligue 1', 34),
+    ('WC', 'World Cup (group stage)', 3)
+ON CONFLICT (code) DO NOTHING;
+
+-- Teams (one row per team per competition season; the table predates other competitions)
 CREATE TABLE IF NOT EXISTS pl_teams (
     team_id SERIAL PRIMARY KEY,
     name VARCHAR(100) NOT NULL,
@@ -34,12 +54,15 @@ CREATE TABLE IF NOT EXISTS pl_teams (
     api_id INTEGER,
     crest_url TEXT,
     season INTEGER NOT NULL DEFAULT 2024,
-    UNIQUE(short_name, season)
+    competition_code VARCHAR(10) NOT NULL DEFAULT 'PL' REFERENCES competitions(code)
 );
 
--- PL fixtures (one row per match)
+-- (unique on short_name, season, competition_code: see the upgrades at the end)
+
+-- Fixtures (one row per match)
 CREATE TABLE IF NOT EXISTS pl_fixtures (
     fixture_id SERIAL PRIMARY KEY,
+    competition_code VARCHAR(10) NOT NULL DEFAULT 'PL' REFERENCES competitions(code),
     season INTEGER NOT NULL,
     gameweek INTEGER NOT NULL,
     home_team_id INTEGER NOT NULL REFERENCES pl_teams(team_id),
@@ -47,8 +70,10 @@ CREATE TABLE IF NOT EXISTS pl_fixtures (
     match_date TIMESTAMP,
     home_score INTEGER,
     away_score INTEGER,
-    status VARCHAR(20) DEFAULT 'scheduled',
+    status VARCHAR(20) DEFAULT 'scheduled', -- scheduled | in_play | finished | postponed | abandoned
+    minute INTEGER, -- minute of a match in play (scores are then the live score); NULL otherwise
     api_match_id INTEGER,
+    manually_edited BOOLEAN NOT NULL DEFAULT FALSE, -- corrected by an admin; provider syncs leave it alone
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(season, gameweek, home_team_id, away_team_id)
@@ -66,9 +91,24 @@ CREATE TABLE IF NOT EXISTS games (
     admin_email VARCHAR(255) NOT NULL,
     invite_code VARCHAR(8) UNIQUE,
     start_gameweek INTEGER NOT NULL DEFAULT 1,
-    status VARCHAR(20) DEFAULT 'open',
+    status VARCHAR(20) DEFAULT 'open', -- draft | open | active | completed | archived
     winner_player_id INTEGER,
     is_draw BOOLEAN DEFAULT FALSE,
+    draw_rule VARCHAR(20) NOT NULL DEFAULT 'eliminate',
+    lives INTEGER NOT NULL DEFAULT 1,
+    all_out_rule VARCHAR(20) NOT NULL DEFAULT 'draw',
+    rollover_reset_teams BOOLEAN NOT NULL DEFAULT FALSE,
+    team_usage_reset_gameweek INTEGER,
+    postponed_policy VARCHAR(20) NOT NULL DEFAULT 'survive',
+    missed_pick_rule VARCHAR(20) NOT NULL DEFAULT 'eliminate',
+    team_reuse_rule VARCHAR(20) NOT NULL DEFAULT 'after_all',
+    team_reuse_limit INTEGER,
+    join_closes_at_deadline BOOLEAN NOT NULL DEFAULT TRUE,
+    score_correction_rule VARCHAR(20) NOT NULL DEFAULT 'rerun', -- rerun | review
+    double_gameweek_rule VARCHAR(20) NOT NULL DEFAULT 'first', -- all | any | first
+    deadline_mode VARCHAR(20) NOT NULL DEFAULT 'gameweek', -- gameweek | rolling
+    deadline_rule VARCHAR(30), -- see helpers/deadlines.js; NULL = the site's deadline_rule setting
+    competition_code VARCHAR(10) NOT NULL DEFAULT 'PL' REFERENCES competitions(code),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -82,6 +122,8 @@ CREATE TABLE IF NOT EXISTS game_players (
     user_email VARCHAR(255) NOT NULL,
     username VARCHAR(100) NOT NULL,
     status VARCHAR(20) DEFAULT 'alive',
+    lives_remaining INTEGER NOT NULL DEFAULT 1,
+    autopick_team_ids INTEGER[],
     eliminated_gameweek INTEGER,
     eliminated_pick_id INTEGER,
     joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -99,6 +141,8 @@ CREATE TABLE IF NOT EXISTS picks (
     gameweek INTEGER NOT NULL,
     pl_team_id INTEGER NOT NULL REFERENCES pl_teams(team_id),
     result VARCHAR(10),
+    pending_fixture_id INTEGER REFERENCES pl_fixtures(fixture_id),
+    auto_assigned BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(game_id, game_player_id, gameweek)
 );
@@ -106,6 +150,94 @@ CREATE TABLE IF NOT EXISTS picks (
 CREATE INDEX IF NOT EXISTS idx_picks_game_gw ON picks(game_id, gameweek);
 CREATE INDEX IF NOT EXISTS idx_picks_player ON picks(game_player_id);
 
+-- Administrative actions (who changed what), shown per game and site-wide.
+-- game_id has no FK so entries survive the game being deleted.
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id SERIAL PRIMARY KEY,
+    game_id INTEGER,
+    actor_email VARCHAR(255) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target VARCHAR(255),
+    before_value JSONB,
+    after_value JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_game ON audit_log(game_id, created_at);
+
+-- Game state just before each gameweek was processed (for undo)
+CREATE TABLE IF NOT EXISTS gameweek_snapshots (
+    snapshot_id SERIAL PRIMARY KEY,
+    game_id INTEGER NOT NULL REFERENCES games(game_id) ON DELETE CASCADE,
+    gameweek INTEGER NOT NULL,
+    game_state JSONB NOT NULL,
+    players JSONB NOT NULL,
+    picks JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(game_id, gameweek)
+);
+
+-- Finished fixtures whose score changed after the fact (provider correction or admin edit)
+CREATE TABLE IF NOT EXISTS score_corrections (
+    correction_id SERIAL PRIMARY KEY,
+    fixture_id INTEGER NOT NULL REFERENCES pl_fixtures(fixture_id) ON DELETE CASCADE,
+    old_home_score INTEGER,
+    old_away_score INTEGER,
+    new_home_score INTEGER,
+    new_away_score INTEGER,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- What each correction did to each game that had already processed its gameweek
+CREATE TABLE IF NOT EXISTS score_correction_games (
+    correction_id INTEGER NOT NULL REFERENCES score_corrections(correction_id) ON DELETE CASCADE,
+    game_id INTEGER NOT NULL REFERENCES games(game_id) ON DELETE CASCADE,
+    outcome VARCHAR(20) NOT NULL, -- rerun | needs_review | dismissed
+    note TEXT,
+    player_changes JSONB, -- [{ playerId, username, from: { status, lives }, to: { status, lives } }]
+    resolved_by VARCHAR(255),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (correction_id, game_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_correction_games_game ON score_correction_games(game_id);
+
+-- Deadline reminders sent to players without a pick, so each goes out once
+CREATE TABLE IF NOT EXISTS deadline_reminders (
+    player_id INTEGER NOT NULL REFERENCES game_players(player_id) ON DELETE CASCADE,
+    gameweek INTEGER NOT NULL,
+    reminder VARCHAR(10) NOT NULL, -- 24h | 2h
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (player_id, gameweek, reminder)
+);
+
+-- In-app notifications (see src/helpers/notifications.js)
+CREATE TABLE IF NOT EXISTS notifications (
+    notification_id SERIAL PRIMARY KEY,
+    user_email VARCHAR(255) NOT NULL,
+    type VARCHAR(30) NOT NULL, -- picks_revealed | eliminated | standings_changed | game_won | added_to_game | admin_transferred | game_not_started | announcement
+    message TEXT NOT NULL,
+    game_id INTEGER REFERENCES games(game_id) ON DELETE CASCADE,
+    gameweek INTEGER,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_game_gw ON notifications(game_id, gameweek, type);
+
+-- Browsers users turned push notifications on in (see src/helpers/push.js)
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    subscription_id SERIAL PRIMARY KEY,
+    user_email VARCHAR(255) NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_email);
+
 -- Add FK for winner_player_id and eliminated_pick_id after tables exist
 ALTER TABLE games
     DROP CONSTRAINT IF EXISTS fk_winner_player;
@@ -118,3 +250,65 @@ ALTER TABLE game_players
 ALTER TABLE game_players
     ADD CONSTRAINT fk_eliminated_pick
     FOREIGN KEY (eliminated_pick_id) REFERENCES picks(pick_id);
+
+-- ============================================
+-- Upgrades for existing databases
+-- (columns added after the initial release — safe to re-run)
+-- ============================================
+
+-- Per-game rule set: 'eliminate' (a draw knocks you out) or 'survive'
+ALTER TABLE games ADD COLUMN IF NOT EXISTS draw_rule VARCHAR(20) NOT NULL DEFAULT 'eliminate';
+
+-- Multiple lives: each player starts with games.lives; a losing or missed pick costs one
+ALTER TABLE games ADD COLUMN IF NOT EXISTS lives INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE game_players ADD COLUMN IF NOT EXISTS lives_remaining INTEGER NOT NULL DEFAULT 1;
+
+-- Everyone out in the same gameweek: 'draw' (shared win) or 'rollover' (revive and continue)
+ALTER TABLE games ADD COLUMN IF NOT EXISTS all_out_rule VARCHAR(20) NOT NULL DEFAULT 'draw';
+ALTER TABLE games ADD COLUMN IF NOT EXISTS rollover_reset_teams BOOLEAN NOT NULL DEFAULT FALSE;
+-- Set by a resetting rollover: picks before this gameweek no longer count as used teams
+ALTER TABLE games ADD COLUMN IF NOT EXISTS team_usage_reset_gameweek INTEGER;
+
+-- Postponed/abandoned fixtures: 'survive', 'void' (void-and-repick) or 'carry' (wait for the rescheduled match)
+ALTER TABLE games ADD COLUMN IF NOT EXISTS postponed_policy VARCHAR(20) NOT NULL DEFAULT 'survive';
+-- A carried pick (result = 'pending') waits on this fixture
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS pending_fixture_id INTEGER REFERENCES pl_fixtures(fixture_id);
+
+-- Missed deadline: 'eliminate' (lose a life) or 'autopick' (a team is picked for you)
+ALTER TABLE games ADD COLUMN IF NOT EXISTS missed_pick_rule VARCHAR(20) NOT NULL DEFAULT 'eliminate';
+-- Player's ordered fallback teams, tried before the first unused team alphabetically
+ALTER TABLE game_players ADD COLUMN IF NOT EXISTS autopick_team_ids INTEGER[];
+ALTER TABLE picks ADD COLUMN IF NOT EXISTS auto_assigned BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Team reuse: 'never', 'after_all' (reuse once every team is used), 'max_uses' (up to team_reuse_limit) or 'half_season'
+ALTER TABLE games ADD COLUMN IF NOT EXISTS team_reuse_rule VARCHAR(20) NOT NULL DEFAULT 'after_all';
+ALTER TABLE games ADD COLUMN IF NOT EXISTS team_reuse_limit INTEGER;
+
+-- Lifecycle: joining closes at the start gameweek's deadline unless turned off
+ALTER TABLE games ADD COLUMN IF NOT EXISTS join_closes_at_deadline BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Competitions: teams, fixtures and games are scoped by competition (existing rows are Premier League)
+ALTER TABLE pl_teams ADD COLUMN IF NOT EXISTS competition_code VARCHAR(10) NOT NULL DEFAULT 'PL' REFERENCES competitions(code);
+ALTER TABLE pl_teams DROP CONSTRAINT IF EXISTS pl_teams_short_name_season_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_short_season_competition ON pl_teams(short_name, season, competition_code);
+ALTER TABLE pl_fixtures ADD COLUMN IF NOT EXISTS competition_code VARCHAR(10) NOT NULL DEFAULT 'PL' REFERENCES competitions(code);
+CREATE INDEX IF NOT EXISTS idx_fixtures_competition_season_gw ON pl_fixtures(competition_code, season, gameweek);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS competition_code VARCHAR(10) NOT NULL DEFAULT 'PL' REFERENCES competitions(code);
+
+-- Fixture editor: fixtures corrected by hand aren't overwritten by provider syncs
+ALTER TABLE pl_fixtures ADD COLUMN IF NOT EXISTS manually_edited BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Score corrections: replay standings automatically, or flag for the game admin to review
+ALTER TABLE games ADD COLUMN IF NOT EXISTS score_correction_rule VARCHAR(20) NOT NULL DEFAULT 'rerun';
+
+-- Double gameweeks: how a team playing twice in a gameweek settles a pick
+ALTER TABLE games ADD COLUMN IF NOT EXISTS double_gameweek_rule VARCHAR(20) NOT NULL DEFAULT 'first';
+
+-- Rolling deadlines: picks lock (and are revealed) as each team's match kicks off
+ALTER TABLE games ADD COLUMN IF NOT EXISTS deadline_mode VARCHAR(20) NOT NULL DEFAULT 'gameweek';
+
+-- Deadline offsets: lock picks a while before the first kickoff, or at a fixed day and time
+ALTER TABLE games ADD COLUMN IF NOT EXISTS deadline_rule VARCHAR(30);
+
+-- Live scores: the minute of a match in play
+ALTER TABLE pl_fixtures ADD COLUMN IF NOT EXISTS minute INTEGER;
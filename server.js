@@ -26,7 +26,12 @@ const gamesRouter = require('./src/routes/games');
 const picksRouter = require('./src/routes/picks');
 const fixturesRouter = require('./src/routes/fixtures');
 const settingsRouter = require('./src/routes/settings');
+const auditRouter = require('./src/routes/audit');
+const notificationsRouter = require('./src/routes/notifications');
 const { startResultsCron } = require('./src/cron/resultsCron');
+const { startGameStartCron } = require('./src/cron/gameStartCron');
+const { startLiveCron } = require('./src/cron/liveCron');
+const { startReminderCron } = require('./src/cron/reminderCron');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -498,6 +503,8 @@ app.post('/api/auth/admin-reset-password', async (req, res) => {
 app.use('/api/games', gamesRouter);
 app.use('/api/fixtures', fixturesRouter);
 app.use('/api/settings', settingsRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/notifications', notificationsRouter);
 // Picks are nested under games: /api/games/:id/picks, /api/games/:id/my-picks, etc.
 // Mounted in games router
 
@@ -542,6 +549,15 @@ app.listen(PORT, async () => {
   // Start automated results cron job
   startResultsCron();
 
+  // Start open games once their first gameweek kicks off
+  startGameStartCron();
+
+  // Poll live scores while matches are being played
+  startLiveCron();
+
+  // Remind players without a pick before each deadline
+  startReminderCron();
+
   console.log('\nAvailable endpoints:');
   console.log('  GET  /health                          - Health check');
   console.log('  GET  /api/games                       - List games');
@@ -549,8 +565,10 @@ app.listen(PORT, async () => {
   console.log('  GET  /api/games/:id                   - Game details');
   console.log('  GET  /api/games/:id/standings          - Game standings');
   console.log('  POST /api/games/:id/picks              - Submit pick');
+  console.log('  GET  /api/games/:id/live               - Live scores and standings');
   console.log('  GET  /api/fixtures/:gameweek            - Gameweek fixtures');
   console.log('  GET  /api/teams                        - PL teams');
+  console.log('  GET  /api/notifications                - My notifications');
   console.log('===========================================\n');
 });
 
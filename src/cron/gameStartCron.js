@@ -0,0 +1,94 @@
+const cron = require('node-cron');
+const pool = require('../db/connection');
+const { isDeadlineOverridden } = require('../helpers/settings');
+const { transitionGame, getStartDeadline } = require('../helpers/gameLifecycle');
+const { recordAudit } = require('../helpers/audit');
+const { notify } = require('../helpers/notifications');
+
+/**
+ * Start every open game whose first gameweek has kicked off.
+ * Games without enough players go back to draft instead, with an audit entry
+ * and a notification so the admin knows why.
+ * Returns what happened to each game.
+ */
+async function startDueGames() {
+  if (await isDeadlineOverridden(pool)) return [];
+
+  const openGames = await pool.query(
+    `SELECT g.*, (SELECT COUNT(*) FROM game_players gp WHERE gp.game_id = g.game_id) AS player_count
+     FROM games g
+     WHERE g.status = 'open'`
+  );
+
+  const results = [];
+  for (const game of openGames.rows) {
+    const deadline = await getStartDeadline(pool, game);
+    if (!deadline || new Date(deadline) > new Date()) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const enoughPlayers = parseInt(game.player_count) >= 2;
+      const status = enoughPlayers ? 'active' : 'draft';
+      const transitionError = await transitionGame(client, game, status);
+      if (transitionError) {
+        await client.query('ROLLBACK');
+        results.push({ game: game.game_name, status: 'skipped', error: transitionError });
+        continue;
+      }
+
+      await recordAudit(client, null, {
+        gameId: game.game_id,
+        action: 'change_status',
+        target: enoughPlayers
+          ? `GW${game.start_gameweek} deadline passed`
+          : `GW${game.start_gameweek} deadline passed with ${game.player_count} player(s)`,
+        before: { status: game.status },
+        after: { status },
+      });
+      if (!enoughPlayers) {
+        await notify(client, {
+          userEmails: [game.admin_email],
+          type: 'game_not_started',
+          message: `"${game.game_name}" went back to draft: only ${game.player_count} player(s) had joined by the GW${game.start_gameweek} deadline. Open it again with a later start gameweek`,
+          gameId: game.game_id,
+        });
+      }
+
+      await client.query('COMMIT');
+      results.push({ game: game.game_name, status: enoughPlayers ? 'started' : 'cancelled' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`[cron] Error starting game "${game.game_name}":`, error);
+      results.push({ game: game.game_name, status: 'error', error: error.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  return results;
+}
+
+async function runGameStartCheck() {
+  try {
+    const results = await startDueGames();
+    if (results.length > 0) {
+      console.log('[cron] Game start check:', JSON.stringify(results));
+    }
+  } catch (error) {
+    console.error('[cron] Game start check failed:', error);
+  }
+}
+
+/**
+ * Start the cron schedule. Checks every 5 minutes so games go live within a
+ * few minutes of the first kickoff, whatever day it falls on.
+ */
+function startGameStartCron() {
+  cron.schedule('*/5 * * * *', runGameStartCheck, { timezone: 'Europe/London' });
+
+  console.log('✓ Game start cron scheduled (every 5 minutes, Europe/London)');
+}
+
+module.exports = { startGameStartCron, startDueGames };
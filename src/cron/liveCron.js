@@ -0,0 +1,73 @@
+const cron = require('node-cron');
+const pool = require('../db/connection');
+const { fetchLatestResults } = require('./resultsCron');
+
+// How long after kickoff a fixture still marked scheduled is worth polling
+// for (the provider may be late to report it in play)
+const KICKOFF_WINDOW_HOURS = 3;
+
+let polling = false;
+
+/**
+ * Competition seasons with a match in play, or one that should have kicked
+ * off by now and isn't reported in play yet.
+ */
+async function getLiveCompetitions() {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - KICKOFF_WINDOW_HOURS * 60 * 60 * 1000);
+  const result = await pool.query(
+    `SELECT DISTINCT competition_code, season FROM pl_fixtures
+     WHERE status = 'in_play' OR (status = 'scheduled' AND match_date > $1 AND match_date <= $2)`,
+    [windowStart, now]
+  );
+  return result.rows;
+}
+
+/**
+ * Live poll: while matches are being played, fetch their competitions'
+ * latest scores so fixtures carry the live score and minute. Results that
+ * come in are stored too; games are still processed by the results cron.
+ * Does nothing (and costs one query) when no match is on.
+ */
+async function pollLiveScores() {
+  // A slow provider shouldn't stack polls on top of each other
+  if (polling) return;
+  polling = true;
+
+  try {
+    const competitions = await getLiveCompetitions();
+    for (const { competition_code: competition, season } of competitions) {
+      try {
+        const { updated, live, corrections } = await fetchLatestResults(competition, season);
+        if (live > 0 || updated > 0 || corrections.length > 0) {
+          console.log(`[live] ${competition}: ${live} live scores, ${updated} results, ${corrections.length} corrections`);
+        }
+      } catch (error) {
+        console.error(`[live] Live poll failed for ${competition}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('[live] Live poll failed:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the live polling schedule: every LIVE_POLL_MINUTES minutes (default 1,
+ * 0 turns it off). Keep it within the fixture provider's rate limit — each
+ * poll makes one request per competition with a match on.
+ */
+function startLiveCron() {
+  const minutes = Math.min(parseInt(process.env.LIVE_POLL_MINUTES ?? '1'), 59);
+  if (!(minutes > 0)) {
+    console.log(`✓ Live score polling off (LIVE_POLL_MINUTES=${process.env.LIVE_POLL_MINUTES})`);
+    return;
+  }
+
+  cron.schedule(`*/${minutes} * * * *`, pollLiveScores);
+
+  console.log(`✓ Live score polling scheduled (every ${minutes} minute(s) while matches are on)`);
+}
+
+module.exports = { startLiveCron, pollLiveScores };
@@ -0,0 +1,180 @@
+const cron = require('node-cron');
+const pool = require('../db/connection');
+const { isDeadlineOverridden, getGameweekForSeason } = require('../helpers/settings');
+const { getGameweekDeadlines, getGameweekDeadline, getFixtureDeadlines } = require('../helpers/deadlines');
+const { PICKING_STATUSES } = require('../helpers/gameLifecycle');
+const { notifyPicksRevealed } = require('../helpers/notifications');
+const { sendPush } = require('../helpers/push');
+const { sendMail } = require('../mail');
+
+// Reminders before a gameweek's deadline, earliest first. Each player gets
+// each one once (see deadline_reminders); if the job only catches a deadline
+// late, just the closest reminder goes out. Under rolling deadlines they go
+// out before the next kickoff, since each team locks at its own.
+const REMINDERS = [
+  { key: '24h', hours: 24 },
+  { key: '2h', hours: 2 },
+];
+
+function formatDeadline(deadline) {
+  return new Date(deadline).toLocaleString('en-GB', {
+    timeZone: 'Europe/London', weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit',
+  }) + ' (UK time)';
+}
+
+// What happens to a player who doesn't pick, under the game's rules
+function missedPickConsequence(game, player) {
+  if (game.missed_pick_rule === 'autopick') return 'a team will be picked for you';
+  return player.lives_remaining > 1 ? "you'll lose a life" : "you'll be eliminated";
+}
+
+function deadlineSentence(game, deadline) {
+  if (game.deadline_mode === 'rolling') {
+    return `Teams lock as their match kicks off, and the next kickoff is ${formatDeadline(deadline)}.`;
+  }
+  return `The deadline is ${formatDeadline(deadline)}.`;
+}
+
+function reminderMessage(game, player, gameweek, deadline) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3004';
+  return {
+    to: player.user_email,
+    subject: `Pick reminder: GW${gameweek} in ${game.game_name}`,
+    text: [
+      `Hi ${player.username},`,
+      '',
+      `You haven't picked a team for GW${gameweek} in "${game.game_name}" yet.`,
+      `${deadlineSentence(game, deadline)} If you don't pick in time, ${missedPickConsequence(game, player)}.`,
+      '',
+      `Make your pick: ${frontendUrl}/games/${game.game_id}/pick`,
+    ].join('\n'),
+  };
+}
+
+// When a gameweek's picks are revealed: its deadline, or under rolling
+// deadlines its first kickoff
+async function revealTime(game, gameweek) {
+  const options = { competition: game.competition_code, season: game.season, gameweek };
+  if (game.deadline_mode !== 'rolling') return getGameweekDeadline(pool, { ...options, rule: game.deadline_rule });
+
+  const fixtureDeadlines = await getFixtureDeadlines(pool, options);
+  return fixtureDeadlines[0]?.deadline || null;
+}
+
+// The next deadline the game's players have to pick by, from fromGameweek on:
+// the first gameweek deadline still to come, or under rolling deadlines the
+// next kickoff. Returns { gameweek, deadline }, or null if none is known yet.
+async function nextDeadline(game, fromGameweek) {
+  const options = { competition: game.competition_code, season: game.season };
+  const deadlines = await getGameweekDeadlines(pool, { ...options, rule: game.deadline_rule });
+  const gameweeks = Object.keys(deadlines).map(Number).filter(gw => gw >= fromGameweek).sort((a, b) => a - b);
+  const now = new Date();
+
+  for (const gameweek of gameweeks) {
+    if (game.deadline_mode !== 'rolling') {
+      if (new Date(deadlines[gameweek]) > now) return { gameweek, deadline: deadlines[gameweek] };
+      continue;
+    }
+    const fixtureDeadlines = await getFixtureDeadlines(pool, { ...options, gameweek });
+    const next = fixtureDeadlines.find(f => new Date(f.deadline) > now);
+    if (next) return { gameweek, deadline: next.deadline };
+  }
+  return null;
+}
+
+/**
+ * Email every alive player without a pick (and push to browsers they turned
+ * push on in) when one of a game's reminders falls due before its next
+ * deadline, which may be a later gameweek's while the current one is still
+ * being played. Once the current gameweek's deadline has passed, the game's
+ * players are told its picks are revealed.
+ * Returns what was sent for each game that sent anything.
+ */
+async function sendDueReminders() {
+  if (await isDeadlineOverridden(pool)) return [];
+
+  const games = await pool.query('SELECT * FROM games WHERE status = ANY($1)', [PICKING_STATUSES]);
+
+  const results = [];
+  for (const game of games.rows) {
+    const current = await getGameweekForSeason(pool, game.season, game.competition_code);
+    const currentGameweek = Math.max(current, game.start_gameweek);
+
+    const revealAt = await revealTime(game, currentGameweek);
+    if (revealAt && new Date(revealAt) <= new Date() && await notifyPicksRevealed(pool, game, currentGameweek)) {
+      results.push({ game: game.game_name, gameweek: currentGameweek, revealed: true });
+    }
+
+    const next = await nextDeadline(game, currentGameweek);
+    if (!next) continue;
+    const { gameweek, deadline } = next;
+
+    const msLeft = new Date(deadline) - new Date();
+    const due = REMINDERS.filter(r => msLeft <= r.hours * 60 * 60 * 1000);
+    if (due.length === 0) continue;
+    const reminder = due[due.length - 1];
+
+    const players = await pool.query(
+      `SELECT gp.player_id, gp.user_email, gp.username, gp.lives_remaining
+       FROM game_players gp
+       WHERE gp.game_id = $1 AND gp.status = 'alive'
+         AND NOT EXISTS (SELECT 1 FROM picks p WHERE p.game_player_id = gp.player_id AND p.gameweek = $2)
+         AND NOT EXISTS (
+           SELECT 1 FROM deadline_reminders r
+           WHERE r.player_id = gp.player_id AND r.gameweek = $2 AND r.reminder = $3
+         )`,
+      [game.game_id, gameweek, reminder.key]
+    );
+
+    let sent = 0;
+    for (const player of players.rows) {
+      let emailed = true;
+      try {
+        await sendMail(reminderMessage(game, player, gameweek, deadline));
+      } catch (error) {
+        emailed = false;
+        console.error(`[cron] Failed to send ${reminder.key} reminder to ${player.user_email}:`, error.message);
+      }
+      const pushed = await sendPush(pool, [player.user_email], {
+        title: `Pick reminder: GW${gameweek}`,
+        body: `You haven't picked for "${game.game_name}" yet. ${deadlineSentence(game, deadline)}`,
+        url: `/games/${game.game_id}/pick`,
+      });
+      // Reached neither way: not recorded, so the next run tries again
+      if (!emailed && pushed === 0) continue;
+      await pool.query(
+        `INSERT INTO deadline_reminders (player_id, gameweek, reminder) VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING`,
+        [player.player_id, gameweek, reminder.key]
+      );
+      sent++;
+    }
+
+    if (sent > 0) results.push({ game: game.game_name, gameweek, reminder: reminder.key, sent });
+  }
+
+  return results;
+}
+
+async function runReminderCheck() {
+  try {
+    const results = await sendDueReminders();
+    if (results.length > 0) {
+      console.log('[cron] Deadline reminders:', JSON.stringify(results));
+    }
+  } catch (error) {
+    console.error('[cron] Deadline reminder check failed:', error);
+  }
+}
+
+/**
+ * Start the cron schedule. Checks every 10 minutes, so reminders go out
+ * within a few minutes of falling due.
+ */
+function startReminderCron() {
+  cron.schedule('*/10 * * * *', runReminderCheck, { timezone: 'Europe/London' });
+
+  console.log('✓ Deadline reminder cron scheduled (every 10 minutes, Europe/London)');
+}
+
+module.exports = { startReminderCron, sendDueReminders };
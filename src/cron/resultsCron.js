@@ -1,100 +1,73 @@
 const cron = require('node-cron');
 const pool = require('../db/connection');
-const { getCurrentSeason, getCurrentGameweek, autoDetectGameweek, updateSetting } = require('../helpers/settings');
+const {
+  getCurrentGameweek, autoDetectGameweek, updateSetting, isDeadlineOverridden,
+} = require('../helpers/settings');
+const { DEFAULT_COMPETITION, getCompetitionSeason } = require('../helpers/competitions');
+const {
+  countFixtures, countUnfinishedFixtures, isGameweekProcessed, processGameweek,
+} = require('../helpers/eliminationEngine');
+const { assignAutopicks } = require('../helpers/autopick');
+const { getGameweekDeadline, hasDeadlinePassed } = require('../helpers/deadlines');
+const { getFixtureProvider } = require('../providers');
+const { applyProviderResults, reevaluateCorrections } = require('../helpers/scoreCorrections');
+const { applyLiveScores } = require('../helpers/liveScores');
+const { notifyGameweekOutcome } = require('../helpers/notifications');
+const { pushNotifications } = require('../helpers/push');
 
 /**
- * Fetch latest fixture results from football-data.org and update the database.
- * Returns the number of newly updated fixtures.
+ * Fetch a competition's latest fixture results from the fixture provider and update the database.
+ * Matches in play get their live score and minute (see helpers/liveScores.js).
+ * Corrected scores on already finished fixtures are re-evaluated for the games they affect.
+ * Returns { updated, live, corrections, reevaluated }.
  */
-async function fetchLatestResults() {
-  const apiKey = process.env.FOOTBALL_DATA_API_KEY;
-  if (!apiKey || apiKey === 'your-key-here' || apiKey === 'your-api-key-here') {
-    console.log('[cron] Skipping results fetch — FOOTBALL_DATA_API_KEY not configured');
-    return 0;
+async function fetchLatestResults(competition, season) {
+  const provider = await getFixtureProvider(pool);
+  const configError = provider.configError();
+  if (configError) {
+    console.log(`[cron] Skipping results fetch — ${configError}`);
+    return { updated: 0, live: 0, corrections: [], reevaluated: [] };
   }
 
-  const season = await getCurrentSeason(pool);
-  const headers = { 'X-Auth-Token': apiKey };
+  const matches = await provider.getFixtures(competition, season);
+  const live = await applyLiveScores(pool, matches);
+  const { updated, corrections } = await applyProviderResults(pool, matches);
+  const reevaluated = await reevaluateCorrections(pool, corrections);
 
-  const response = await fetch(
-    `https://api.football-data.org/v4/competitions/PL/matches?season=${season}`,
-    { headers }
-  );
-
-  if (!response.ok) {
-    throw new Error(`Football-data API error: ${response.status} ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  let updated = 0;
-
-  for (const match of data.matches) {
-    if (match.status !== 'FINISHED') continue;
-
-    const result = await pool.query(
-      `UPDATE pl_fixtures
-       SET home_score = $1, away_score = $2, status = 'finished', updated_at = CURRENT_TIMESTAMP
-       WHERE api_match_id = $3 AND status != 'finished'`,
-      [match.score.fullTime.home, match.score.fullTime.away, match.id]
-    );
-    updated += result.rowCount;
-  }
-
-  // Auto-update current_gameweek
-  const detectedGw = await autoDetectGameweek(pool, season);
-  if (detectedGw != null) {
-    await updateSetting(pool, 'current_gameweek', detectedGw);
+  // Auto-update current_gameweek (a Premier League setting; other competitions detect theirs)
+  if (competition === DEFAULT_COMPETITION) {
+    const detectedGw = await autoDetectGameweek(pool, season);
+    if (detectedGw != null) {
+      await updateSetting(pool, 'current_gameweek', detectedGw);
+    }
   }
 
-  return updated;
+  return { updated, live, corrections, reevaluated };
 }
 
 /**
- * Process results for all active games for a given gameweek.
- * Only processes if ALL fixtures in the gameweek are finished.
+ * Process results for all active games in a competition for a given gameweek.
+ * Only processes once every fixture in the gameweek is finished, postponed or abandoned.
  * Returns summary of what was processed.
  */
-async function processGameResults(gameweek) {
-  const season = await getCurrentSeason(pool);
-
-  // Check if all fixtures in this gameweek are finished
-  const unfinished = await pool.query(
-    `SELECT COUNT(*) AS count FROM pl_fixtures
-     WHERE gameweek = $1 AND season = $2 AND status != 'finished'`,
-    [gameweek, season]
-  );
+async function processGameResults(gameweek, competition = DEFAULT_COMPETITION) {
+  const season = await getCompetitionSeason(pool, competition);
 
-  if (parseInt(unfinished.rows[0].count) > 0) {
-    return { processed: false, reason: `${unfinished.rows[0].count} fixtures still not finished in GW${gameweek}` };
+  if (await countFixtures(pool, gameweek, season, competition) === 0) {
+    return { processed: false, reason: `No fixtures loaded for GW${gameweek}` };
   }
 
-  // Build team results map
-  const fixtures = await pool.query(
-    `SELECT home_team_id, away_team_id, home_score, away_score
-     FROM pl_fixtures
-     WHERE gameweek = $1 AND season = $2 AND status = 'finished'`,
-    [gameweek, season]
-  );
-
-  const teamResults = {};
-  for (const f of fixtures.rows) {
-    if (f.home_score > f.away_score) {
-      teamResults[f.home_team_id] = 'win';
-      teamResults[f.away_team_id] = 'loss';
-    } else if (f.home_score < f.away_score) {
-      teamResults[f.home_team_id] = 'loss';
-      teamResults[f.away_team_id] = 'win';
-    } else {
-      teamResults[f.home_team_id] = 'draw';
-      teamResults[f.away_team_id] = 'draw';
-    }
+  // Check if all fixtures in this gameweek are finished (postponed/abandoned ones won't be)
+  const unfinished = await countUnfinishedFixtures(pool, gameweek, season, competition);
+  if (unfinished > 0) {
+    return { processed: false, reason: `${unfinished} fixtures still not finished in GW${gameweek}` };
   }
 
-  // Get all active games that include this gameweek
+  // Get all active games this season that include this gameweek
   const activeGames = await pool.query(
-    `SELECT game_id, game_name, start_gameweek FROM games
-     WHERE status = 'active' AND start_gameweek <= $1`,
-    [gameweek]
+    `SELECT * FROM games
+     WHERE status = 'active' AND start_gameweek <= $1 AND season = $2 AND competition_code = $3`,
+    [gameweek, season, competition]
   );
 
   const results = [];
@@ -105,107 +78,24 @@ async function processGameResults(gameweek) {
       await client.query('BEGIN');
 
       // Check if this gameweek has already been processed for this game
-      const alreadyProcessed = await client.query(
-        `SELECT COUNT(*) AS count FROM picks
-         WHERE game_id = $1 AND gameweek = $2 AND result IS NOT NULL`,
-        [game.game_id, gameweek]
-      );
-
-      if (parseInt(alreadyProcessed.rows[0].count) > 0) {
+      await client.query('SELECT 1 FROM games WHERE game_id = $1 FOR UPDATE', [game.game_id]);
+      if (await isGameweekProcessed(client, game.game_id, gameweek)) {
         await client.query('ROLLBACK');
         results.push({ game: game.game_name, status: 'already processed' });
         continue;
       }
 
-      // Get picks for this gameweek
-      const picks = await client.query(
-        `SELECT p.pick_id, p.game_player_id, p.pl_team_id
-         FROM picks p
-         WHERE p.game_id = $1 AND p.gameweek = $2`,
-        [game.game_id, gameweek]
-      );
-
-      const eliminated = [];
-      const survived = [];
-
-      for (const pick of picks.rows) {
-        const result = teamResults[pick.pl_team_id] || 'loss';
-        await client.query(
-          'UPDATE picks SET result = $1 WHERE pick_id = $2',
-          [result, pick.pick_id]
-        );
-
-        if (result !== 'win') {
-          eliminated.push({ playerId: pick.game_player_id, pickId: pick.pick_id });
-        } else {
-          survived.push(pick.game_player_id);
-        }
-      }
-
-      // Auto-eliminate players who didn't pick
-      const alivePlayers = await client.query(
-        `SELECT player_id FROM game_players
-         WHERE game_id = $1 AND status = 'alive'`,
-        [game.game_id]
-      );
-
-      const playersWhoPicked = new Set(picks.rows.map(p => p.game_player_id));
-      for (const player of alivePlayers.rows) {
-        if (!playersWhoPicked.has(player.player_id)) {
-          eliminated.push({ playerId: player.player_id, pickId: null });
-        }
-      }
-
-      // Mark eliminated players
-      for (const e of eliminated) {
-        await client.query(
-          `UPDATE game_players
-           SET status = 'eliminated', eliminated_gameweek = $1, eliminated_pick_id = $2
-           WHERE player_id = $3 AND status = 'alive'`,
-          [gameweek, e.pickId, e.playerId]
-        );
-      }
-
-      // Check for winner/draw
-      const remaining = await client.query(
-        `SELECT COUNT(*) AS count FROM game_players
-         WHERE game_id = $1 AND status = 'alive'`,
-        [game.game_id]
-      );
-      const aliveCount = parseInt(remaining.rows[0].count);
-
-      if (aliveCount === 1) {
-        const winner = await client.query(
-          `SELECT player_id FROM game_players WHERE game_id = $1 AND status = 'alive'`,
-          [game.game_id]
-        );
-        await client.query(
-          `UPDATE game_players SET status = 'winner' WHERE player_id = $1`,
-          [winner.rows[0].player_id]
-        );
-        await client.query(
-          `UPDATE games SET status = 'completed', winner_player_id = $1 WHERE game_id = $2`,
-          [winner.rows[0].player_id, game.game_id]
-        );
-      } else if (aliveCount === 0) {
-        for (const e of eliminated) {
-          await client.query(
-            `UPDATE game_players SET status = 'drawn' WHERE player_id = $1`,
-            [e.playerId]
-          );
-        }
-        await client.query(
-          `UPDATE games SET status = 'completed', is_draw = TRUE WHERE game_id = $1`,
-          [game.game_id]
-        );
-      }
+      const outcome = await processGameweek(client, game, gameweek, season);
+      const notifications = await notifyGameweekOutcome(client, game, gameweek, outcome);
 
       await client.query('COMMIT');
+      await pushNotifications(pool, notifications);
       results.push({
         game: game.game_name,
         status: 'processed',
-        eliminated: eliminated.length,
-        alive: aliveCount,
+        eliminated: outcome.rolledOver ? 0 : outcome.eliminated.length,
+        alive: outcome.alive,
+        rolledOver: outcome.rolledOver,
       });
     } catch (error) {
       await client.query('ROLLBACK');
@@ -216,36 +106,101 @@ async function processGameResults(gameweek) {
     }
   }
 
-  return { processed: true, gameweek, games: results };
+  return { processed: true, competition, gameweek, games: results };
 }
 
 /**
- * Main cron tick: fetch results, then try to process any completed gameweeks.
+ * Once a game's deadline for a gameweek has passed, assign picks to players
+ * who missed it in games using the autopick rule, so they show in history
+ * straight away. Games on rolling deadlines are left to processing, since
+ * their players can still pick a team yet to kick off.
  */
-async function runResultsCheck() {
-  try {
-    console.log(`[cron] Running results check at ${new Date().toISOString()}`);
+async function assignDueAutopicks(gameweek, competition, season) {
+  if (await isDeadlineOverridden(pool)) return;
+
+  const games = await pool.query(
+    `SELECT * FROM games
+     WHERE status = 'active' AND missed_pick_rule = 'autopick' AND deadline_mode <> 'rolling'
+       AND start_gameweek <= $1 AND season = $2 AND competition_code = $3`,
+    [gameweek, season, competition]
+  );
+  for (const game of games.rows) {
+    const deadline = await getGameweekDeadline(pool, { competition, season, gameweek, rule: game.deadline_rule });
+    if (!await hasDeadlinePassed(pool, deadline, false)) continue;
 
-    // 1. Fetch latest fixture results from football-data.org
-    const updated = await fetchLatestResults();
-    if (updated > 0) {
-      console.log(`[cron] Updated ${updated} fixture results`);
+    const assigned = await assignAutopicks(pool, game, gameweek, season);
+    if (assigned.length > 0) {
+      console.log(`[cron] Autopicked ${assigned.length} team(s) in "${game.game_name}" for GW${gameweek}`);
     }
+  }
+}
+
+/**
+ * Competitions the cron needs to follow: the Premier League, plus any
+ * competition with a game still to be decided.
+ */
+async function getCompetitionsInPlay() {
+  const result = await pool.query(
+    `SELECT DISTINCT competition_code FROM games WHERE status IN ('open', 'active')`
+  );
+  const codes = result.rows.map(r => r.competition_code);
+  return [DEFAULT_COMPETITION, ...codes.filter(c => c !== DEFAULT_COMPETITION)];
+}
 
-    // 2. Find gameweeks that might need processing
-    //    (gameweeks with all finished fixtures that have active games with unprocessed picks)
-    const season = await getCurrentSeason(pool);
-    const currentGw = await getCurrentGameweek(pool);
+/**
+ * Results check for one competition: fetch results, autopick, then try to
+ * process any completed gameweeks.
+ */
+async function checkCompetition(competition) {
+  // 1. Fetch latest fixture results from the fixture provider
+  const season = await getCompetitionSeason(pool, competition);
+  const { updated, corrections, reevaluated } = await fetchLatestResults(competition, season);
+  if (updated > 0) {
+    console.log(`[cron] Updated ${updated} ${competition} fixture results`);
+  }
+  if (corrections.length > 0) {
+    console.log(`[cron] ${corrections.length} ${competition} score corrections:`, JSON.stringify(reevaluated));
+  }
 
-    // Check the last few gameweeks (in case some were missed)
-    for (let gw = Math.max(1, currentGw - 2); gw <= currentGw; gw++) {
-      const result = await processGameResults(gw);
-      if (result.processed) {
-        console.log(`[cron] GW${gw} processing:`, JSON.stringify(result.games));
-      }
+  // 2. Find gameweeks that might need processing
+  //    (gameweeks with all finished fixtures that have active games with unprocessed picks)
+  const currentGw = competition === DEFAULT_COMPETITION
+    ? await getCurrentGameweek(pool)
+    : (await autoDetectGameweek(pool, season, competition)) || 1;
+
+  // 3. Autopick for players who missed this gameweek's deadline
+  await assignDueAutopicks(currentGw, competition, season);
+
+  // Check the last few gameweeks (in case some were missed)
+  for (let gw = Math.max(1, currentGw - 2); gw <= currentGw; gw++) {
+    const result = await processGameResults(gw, competition);
+    if (result.processed) {
+      console.log(`[cron] ${competition} GW${gw} processing:`, JSON.stringify(result.games));
     }
+  }
+}
+
+/**
+ * Main cron tick: check each competition in play. One competition failing
+ * doesn't hold up the others.
+ */
+async function runResultsCheck() {
+  console.log(`[cron] Running results check at ${new Date().toISOString()}`);
+
+  let competitions;
+  try {
+    competitions = await getCompetitionsInPlay();
   } catch (error) {
     console.error('[cron] Results check failed:', error);
+    return;
+  }
+
+  for (const competition of competitions) {
+    try {
+      await checkCompetition(competition);
+    } catch (error) {
+      console.error(`[cron] Results check failed for ${competition}:`, error);
+    }
   }
 }
 
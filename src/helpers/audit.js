@@ -0,0 +1,42 @@
+// Audit log of administrative actions that change game outcomes or settings.
+// Entries are visible to every player of the game, so cash leagues can see
+// exactly who changed what.
+
+/**
+ * Record an administrative action. The actor is taken from the session, or
+ * 'system' for scheduled jobs (pass null for req).
+ *
+ * @param {Pool|PoolClient} client - Pass the transaction's client so the entry commits with the change
+ * @param {Object|null} req - Express request
+ * @param {{ gameId?: number, action: string, target?: string, before?: *, after?: * }} entry
+ */
+async function recordAudit(client, req, { gameId = null, action, target = null, before = null, after = null }) {
+  await client.query(
+    `INSERT INTO audit_log (game_id, actor_email, action, target, before_value, after_value)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      gameId, req?.session?.email || 'system', action, target,
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+    ]
+  );
+}
+
+/**
+ * Most recent audit entries, optionally for a single game.
+ */
+async function listAudit(client, { gameId = null, limit = 200 } = {}) {
+  const result = await client.query(
+    `SELECT a.audit_id, a.game_id, g.game_name, a.actor_email, a.action, a.target,
+            a.before_value, a.after_value, a.created_at
+     FROM audit_log a
+     LEFT JOIN games g ON a.game_id = g.game_id
+     WHERE ($1::int IS NULL OR a.game_id = $1)
+     ORDER BY a.created_at DESC, a.audit_id DESC
+     LIMIT $2`,
+    [gameId, limit]
+  );
+  return result.rows;
+}
+
+module.exports = { recordAudit, listAudit };
@@ -0,0 +1,72 @@
+const { getBlockedTeamIds } = require('./gameRules');
+
+/**
+ * Pick a team for every alive player who missed the deadline, in games using
+ * the 'autopick' missed-pick rule. Follows the same rules as a manual pick:
+ * the team must have a fixture this gameweek that is going ahead, and must
+ * be allowed by the game's team reuse rule. Under rolling deadlines a
+ * player can pick until the last kickoff, so their autopick waits for
+ * processing, and teams whose match has kicked off are fair game.
+ * The player's saved fallback teams are tried in order, then the first
+ * available team alphabetically.
+ * Returns the picks made, as [{ playerId, teamId, teamName }].
+ *
+ * @param {Pool|PoolClient} client
+ * @param {Object} game - games row
+ * @param {number} gameweek
+ * @param {number} season
+ */
+async function assignAutopicks(client, game, gameweek, season) {
+  if (game.missed_pick_rule !== 'autopick') return [];
+
+  const missingResult = await client.query(
+    `SELECT gp.player_id, gp.autopick_team_ids
+     FROM game_players gp
+     WHERE gp.game_id = $1 AND gp.status = 'alive'
+       AND NOT EXISTS (
+         SELECT 1 FROM picks p WHERE p.game_player_id = gp.player_id AND p.gameweek = $2
+       )`,
+    [game.game_id, gameweek]
+  );
+  if (missingResult.rows.length === 0) return [];
+
+  const teamFixtures = await client.query(
+    `SELECT t.team_id, t.name
+     FROM pl_teams t
+     JOIN pl_fixtures f ON (f.home_team_id = t.team_id OR f.away_team_id = t.team_id)
+     WHERE f.gameweek = $1 AND f.season = $2 AND f.competition_code = $3
+       AND f.status NOT IN ('postponed', 'abandoned')
+     ORDER BY t.name`,
+    [gameweek, season, game.competition_code]
+  );
+  const teams = [];
+  for (const row of teamFixtures.rows) {
+    if (teams.some(t => t.team_id === row.team_id)) continue;
+    teams.push(row);
+  }
+
+  const assigned = [];
+  for (const player of missingResult.rows) {
+    const blockedTeamIds = await getBlockedTeamIds(client, game, player.player_id, gameweek, season);
+    const available = teams.filter(t => !blockedTeamIds.includes(t.team_id));
+
+    const preferred = (player.autopick_team_ids || [])
+      .map(teamId => available.find(t => t.team_id === teamId))
+      .find(Boolean);
+    const team = preferred || available[0];
+    if (!team) continue; // Nothing left to pick — they'll lose a life as usual
+
+    const inserted = await client.query(
+      `INSERT INTO picks (game_id, game_player_id, gameweek, pl_team_id, auto_assigned)
+       VALUES ($1, $2, $3, $4, TRUE)
+       ON CONFLICT (game_id, game_player_id, gameweek) DO NOTHING`,
+      [game.game_id, player.player_id, gameweek, team.team_id]
+    );
+    if (inserted.rowCount > 0) {
+      assigned.push({ playerId: player.player_id, teamId: team.team_id, teamName: team.name });
+    }
+  }
+  return assigned;
+}
+
+module.exports = { assignAutopicks };
@@ -0,0 +1,48 @@
+// Competitions a game can be played against (football-data.org codes, e.g.
+// PL, ELC, PD, WC). Teams, fixtures and games are all scoped by competition;
+// anything that predates competitions belongs to the Premier League.
+
+const { getCurrentSeason, updateSetting } = require('./settings');
+
+const DEFAULT_COMPETITION = 'PL';
+
+async function listCompetitions(pool) {
+  const result = await pool.query(
+    'SELECT code, name, current_season, gameweeks FROM competitions ORDER BY name'
+  );
+  return result.rows;
+}
+
+async function getCompetition(pool, code) {
+  const result = await pool.query(
+    'SELECT code, name, current_season, gameweeks FROM competitions WHERE code = $1',
+    [code]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The season a competition is currently on. The Premier League's is the
+ * site-wide current_season setting; other competitions follow it until
+ * they've been imported.
+ */
+async function getCompetitionSeason(pool, code) {
+  if (code === DEFAULT_COMPETITION) return getCurrentSeason(pool);
+  const competition = await getCompetition(pool, code);
+  return competition?.current_season || await getCurrentSeason(pool);
+}
+
+async function setCompetitionSeason(pool, code, season) {
+  if (code === DEFAULT_COMPETITION) {
+    await updateSetting(pool, 'current_season', season);
+    return;
+  }
+  await pool.query(
+    'UPDATE competitions SET current_season = $1 WHERE code = $2',
+    [season, code]
+  );
+}
+
+module.exports = {
+  DEFAULT_COMPETITION, listCompetitions, getCompetition, getCompetitionSeason, setCompetitionSeason,
+};
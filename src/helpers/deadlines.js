@@ -0,0 +1,175 @@
+// Pick deadlines. A gameweek's deadline is worked out from its first kickoff
+// by a deadline rule: the game's own (games.deadline_rule) or, if it has
+// none, the site default (the deadline_rule setting). Rules are stored as:
+//
+//   kickoff:<minutes>      — that many minutes before the first kickoff
+//   weekday:<day>@<HH:MM>  — the last such weekday (0 = Sunday) and time,
+//                            in UK time, at or before the first kickoff
+//
+// Games on rolling deadlines (see helpers/gameRules.js) lock each pick at its
+// own match's kickoff instead (see getFixtureDeadlines).
+
+const { isDeadlineOverridden } = require('./settings');
+const { UNPLAYED_STATUSES } = require('./gameRules');
+
+const DEFAULT_DEADLINE_RULE = 'kickoff:0';
+const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+
+// Weekday rules are in UK time whatever the server's timezone, so they
+// follow the clocks changing
+const ukTime = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Europe/London', hourCycle: 'h23',
+  year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+});
+
+// A moment's UK date and time, as { year, month, day, hour, minute }
+function toUkTime(date) {
+  const parts = {};
+  for (const { type, value } of ukTime.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return parts;
+}
+
+// The moment a UK date and time falls at (days past the month's end roll over)
+function fromUkTime(year, month, day, hour, minute) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let time = wallClock;
+  // Twice, in case the first guess is on the other side of a clock change
+  for (let i = 0; i < 2; i++) {
+    const uk = toUkTime(new Date(time));
+    time = wallClock - (Date.UTC(uk.year, uk.month - 1, uk.day, uk.hour, uk.minute) - time);
+  }
+  return new Date(time);
+}
+
+/**
+ * Parse a stored deadline rule.
+ * Returns { type: 'kickoff', minutes } or { type: 'weekday', weekday, hours, minutes },
+ * or null if the rule isn't valid.
+ */
+function parseDeadlineRule(rule) {
+  const kickoff = /^kickoff:(\d+)$/.exec(rule || '');
+  if (kickoff) {
+    const minutes = parseInt(kickoff[1]);
+    return minutes <= MAX_OFFSET_MINUTES ? { type: 'kickoff', minutes } : null;
+  }
+
+  const weekday = /^weekday:([0-6])@([01]\d|2[0-3]):([0-5]\d)$/.exec(rule || '');
+  if (weekday) {
+    return {
+      type: 'weekday', weekday: parseInt(weekday[1]), hours: parseInt(weekday[2]), minutes: parseInt(weekday[3]),
+    };
+  }
+  return null;
+}
+
+/**
+ * Validate a deadline rule before storing it.
+ * Returns an error message, or null if the rule is valid.
+ */
+function deadlineRuleError(rule) {
+  if (parseDeadlineRule(rule)) return null;
+  return `Invalid deadline rule "${rule}". Use kickoff:<minutes> (up to ${MAX_OFFSET_MINUTES}) or weekday:<0-6>@<HH:MM>`;
+}
+
+/**
+ * The deadline a rule gives for a gameweek whose first kickoff is known.
+ * Returns a Date, or null without a kickoff.
+ */
+function applyDeadlineRule(rule, firstKickoff) {
+  if (!firstKickoff) return null;
+  const kickoff = new Date(firstKickoff);
+  const parsed = parseDeadlineRule(rule) || parseDeadlineRule(DEFAULT_DEADLINE_RULE);
+
+  if (parsed.type === 'kickoff') {
+    return new Date(kickoff.getTime() - parsed.minutes * 60 * 1000);
+  }
+
+  const uk = toUkTime(kickoff);
+  const kickoffWeekday = new Date(Date.UTC(uk.year, uk.month - 1, uk.day)).getUTCDay();
+  const day = uk.day - ((kickoffWeekday - parsed.weekday + 7) % 7);
+  const deadline = fromUkTime(uk.year, uk.month, day, parsed.hours, parsed.minutes);
+  if (deadline > kickoff) return fromUkTime(uk.year, uk.month, day - 7, parsed.hours, parsed.minutes);
+  return deadline;
+}
+
+async function getDefaultDeadlineRule(client) {
+  const result = await client.query(
+    "SELECT setting_value FROM app_settings WHERE setting_key = 'deadline_rule'"
+  );
+  return result.rows[0]?.setting_value || DEFAULT_DEADLINE_RULE;
+}
+
+/**
+ * Deadlines for a competition season's gameweeks, keyed by gameweek.
+ * Gameweeks without a known kickoff are left out.
+ *
+ * @param {Pool|PoolClient} client
+ * @param {Object} options
+ * @param {string} options.competition - Competition code
+ * @param {number} options.season
+ * @param {number} [options.gameweek] - Just this gameweek
+ * @param {string|null} [options.rule] - The game's deadline rule (the site default if not set)
+ */
+async function getGameweekDeadlines(client, { competition, season, gameweek = null, rule = null }) {
+  const result = await client.query(
+    `SELECT gameweek, MIN(match_date) AS first_kickoff
+     FROM pl_fixtures
+     WHERE season = $1 AND competition_code = $2 AND ($3::int IS NULL OR gameweek = $3)
+       AND match_date IS NOT NULL
+     GROUP BY gameweek`,
+    [season, competition, gameweek]
+  );
+
+  const deadlineRule = rule || await getDefaultDeadlineRule(client);
+  const deadlines = {};
+  result.rows.forEach(row => {
+    deadlines[row.gameweek] = applyDeadlineRule(deadlineRule, row.first_kickoff);
+  });
+  return deadlines;
+}
+
+/**
+ * A gameweek's deadline, or null if none of its kickoffs are known.
+ * Takes the same options as getGameweekDeadlines, with gameweek required.
+ */
+async function getGameweekDeadline(client, options) {
+  const deadlines = await getGameweekDeadlines(client, options);
+  return deadlines[options.gameweek] || null;
+}
+
+/**
+ * Per-fixture deadlines for games on rolling deadlines: picks on a team lock
+ * when its match kicks off. Fixtures that won't be played or have no known
+ * kickoff are left out.
+ * Returns [{ fixtureId, homeTeamId, awayTeamId, deadline }] in kickoff order.
+ */
+async function getFixtureDeadlines(client, { competition, season, gameweek }) {
+  const result = await client.query(
+    `SELECT fixture_id, home_team_id, away_team_id, match_date
+     FROM pl_fixtures
+     WHERE season = $1 AND competition_code = $2 AND gameweek = $3
+       AND match_date IS NOT NULL AND NOT (status = ANY($4::text[]))
+     ORDER BY match_date, fixture_id`,
+    [season, competition, gameweek, UNPLAYED_STATUSES]
+  );
+  return result.rows.map(f => ({
+    fixtureId: f.fixture_id, homeTeamId: f.home_team_id, awayTeamId: f.away_team_id, deadline: f.match_date,
+  }));
+}
+
+/**
+ * Has this deadline passed? Never while the deadline override (testing) is on.
+ * Pass the override if the caller already knows it.
+ */
+async function hasDeadlinePassed(client, deadline, overridden = null) {
+  if (!deadline) return false;
+  if (overridden ?? await isDeadlineOverridden(client)) return false;
+  return new Date(deadline) <= new Date();
+}
+
+module.exports = {
+  DEFAULT_DEADLINE_RULE, parseDeadlineRule, deadlineRuleError, applyDeadlineRule, getDefaultDeadlineRule,
+  getGameweekDeadlines, getGameweekDeadline, getFixtureDeadlines, hasDeadlinePassed,
+};
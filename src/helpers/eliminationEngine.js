@@ -0,0 +1,476 @@
+// Elimination engine: settles picks against fixtures and applies lives,
+// eliminations, winners, shared draws and rollovers. The results cron,
+// manual processing, standings replay and pick imports all go through here
+// so a rule change only has to be made once.
+
+const {
+  fixtureResultForTeam, pickResult, teamPickResult, isSurvivingResult, losingResults, shouldRollover,
+} = require('./gameRules');
+const { assignAutopicks } = require('./autopick');
+const { saveSnapshot, clearSnapshots } = require('./snapshots');
+
+// Take one life; the last one going eliminates the player.
+// Expects the losses to be joined in as "l" with pick_id and gameweek columns.
+const LOSE_LIFE_SET = `
+  lives_remaining = GREATEST(gp.lives_remaining - 1, 0),
+  status = CASE WHEN gp.lives_remaining <= 1 THEN 'eliminated' ELSE gp.status END,
+  eliminated_gameweek = CASE WHEN gp.lives_remaining <= 1 THEN l.gameweek ELSE gp.eliminated_gameweek END,
+  eliminated_pick_id = CASE WHEN gp.lives_remaining <= 1 THEN l.pick_id ELSE gp.eliminated_pick_id END`;
+
+function toEliminated(rows) {
+  return rows
+    .filter(r => r.status === 'eliminated')
+    .map(r => ({ playerId: r.player_id, pickId: r.pick_id }));
+}
+
+/**
+ * Number of fixtures in a competition's gameweek still to be played.
+ * Postponed and abandoned fixtures don't hold up processing.
+ */
+async function countUnfinishedFixtures(client, gameweek, season, competition) {
+  const result = await client.query(
+    `SELECT COUNT(*) AS count FROM pl_fixtures
+     WHERE gameweek = $1 AND season = $2 AND competition_code = $3
+       AND status NOT IN ('finished', 'postponed', 'abandoned')`,
+    [gameweek, season, competition]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Number of fixtures loaded for a competition's gameweek. With none there is
+ * nothing to settle picks against, so a gameweek isn't processed until its
+ * fixtures are imported.
+ */
+async function countFixtures(client, gameweek, season, competition) {
+  const result = await client.query(
+    `SELECT COUNT(*) AS count FROM pl_fixtures
+     WHERE gameweek = $1 AND season = $2 AND competition_code = $3`,
+    [gameweek, season, competition]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Has this gameweek already been processed for the game? Every run saves a
+ * snapshot, even one with no picks to settle; settled picks cover gameweeks
+ * processed before snapshots were kept. Lock the game row first so two runs
+ * can't both see it unprocessed.
+ */
+async function isGameweekProcessed(client, gameId, gameweek) {
+  const result = await client.query(
+    `SELECT EXISTS (SELECT 1 FROM gameweek_snapshots WHERE game_id = $1 AND gameweek = $2)
+         OR EXISTS (SELECT 1 FROM picks WHERE game_id = $1 AND gameweek = $2 AND result IS NOT NULL)
+         AS processed`,
+    [gameId, gameweek]
+  );
+  return result.rows[0].processed;
+}
+
+/**
+ * Take a life from each player in a list of losses.
+ * Each player may appear at most once per call.
+ * Returns the players eliminated, as [{ playerId, pickId }].
+ *
+ * @param {PoolClient} client
+ * @param {Array<{ playerId: number, pickId: number|null, gameweek: number }>} losses
+ */
+async function loseLives(client, losses) {
+  if (losses.length === 0) return [];
+
+  const result = await client.query(
+    `UPDATE game_players gp SET ${LOSE_LIFE_SET}
+     FROM unnest($1::int[], $2::int[], $3::int[]) AS l(player_id, pick_id, gameweek)
+     WHERE gp.player_id = l.player_id AND gp.status = 'alive'
+     RETURNING gp.player_id, gp.status, l.pick_id`,
+    [losses.map(l => l.playerId), losses.map(l => l.pickId), losses.map(l => l.gameweek)]
+  );
+  return toEliminated(result.rows);
+}
+
+/**
+ * Settle carried picks whose rescheduled fixture has now been played.
+ * Losing picks cost a life as of the gameweek they were made in.
+ * Returns the players eliminated as a result.
+ */
+async function resolveCarriedPicks(client, game) {
+  const carried = await client.query(
+    `SELECT p.pick_id, p.game_player_id, p.gameweek, p.pl_team_id,
+            f.home_team_id, f.away_team_id, f.home_score, f.away_score, f.status
+     FROM picks p
+     JOIN pl_fixtures f ON p.pending_fixture_id = f.fixture_id
+     WHERE p.game_id = $1 AND p.result = 'pending' AND f.status = 'finished'`,
+    [game.game_id]
+  );
+  if (carried.rows.length === 0) return [];
+
+  const results = carried.rows.map(pick => fixtureResultForTeam(pick, pick.pl_team_id));
+  await client.query(
+    `UPDATE picks p SET result = r.result
+     FROM unnest($1::int[], $2::text[]) AS r(pick_id, result)
+     WHERE p.pick_id = r.pick_id`,
+    [carried.rows.map(p => p.pick_id), results]
+  );
+
+  // A player has one pick per gameweek, so grouping by gameweek keeps each
+  // player to a single row per update
+  const lossesByGameweek = {};
+  carried.rows.forEach((pick, i) => {
+    if (isSurvivingResult(game, results[i])) return;
+    if (!lossesByGameweek[pick.gameweek]) lossesByGameweek[pick.gameweek] = [];
+    lossesByGameweek[pick.gameweek].push({
+      playerId: pick.game_player_id, pickId: pick.pick_id, gameweek: pick.gameweek,
+    });
+  });
+
+  const eliminated = [];
+  for (const gw of Object.keys(lossesByGameweek).sort((a, b) => a - b)) {
+    eliminated.push(...await loseLives(client, lossesByGameweek[gw]));
+  }
+  return eliminated;
+}
+
+/**
+ * Team fixtures for a gameweek, keyed by team_id, each in kickoff order
+ * (a team in a double gameweek has two).
+ */
+function fixturesByTeam(fixtures) {
+  const byTeam = new Map();
+  for (const f of fixtures) {
+    for (const teamId of [f.home_team_id, f.away_team_id]) {
+      if (!byTeam.has(teamId)) byTeam.set(teamId, []);
+      byTeam.get(teamId).push(f);
+    }
+  }
+  return byTeam;
+}
+
+/**
+ * Record each pick's result for a gameweek from its team's fixtures.
+ * Picks whose result isn't known yet are left unsettled.
+ */
+async function settlePicks(client, game, gameweek, season) {
+  const fixtures = await client.query(
+    `SELECT fixture_id, home_team_id, away_team_id, home_score, away_score, status
+     FROM pl_fixtures
+     WHERE gameweek = $1 AND season = $2 AND competition_code = $3
+     ORDER BY match_date NULLS LAST, fixture_id`,
+    [gameweek, season, game.competition_code]
+  );
+  // Otherwise every pick would be settled as a no-fixture loss
+  if (fixtures.rows.length === 0) {
+    throw new Error(`No fixtures loaded for GW${gameweek}; import them before processing`);
+  }
+
+  const teamResults = new Map();
+  for (const [teamId, teamFixtures] of fixturesByTeam(fixtures.rows)) {
+    teamResults.set(teamId, teamPickResult(game, teamFixtures, teamId));
+  }
+  const settled = [...teamResults].filter(([, r]) => r.result);
+
+  await client.query(
+    `UPDATE picks p SET result = r.result, pending_fixture_id = r.pending_fixture_id
+     FROM unnest($3::int[], $4::text[], $5::int[]) AS r(team_id, result, pending_fixture_id)
+     WHERE p.game_id = $1 AND p.gameweek = $2 AND p.pl_team_id = r.team_id`,
+    [
+      game.game_id, gameweek,
+      settled.map(([teamId]) => teamId),
+      settled.map(([, r]) => r.result),
+      settled.map(([, r]) => r.pendingFixtureId),
+    ]
+  );
+
+  // Picks whose fixture was moved to another gameweek after they were made
+  // (see helpers/fixtureImport.js) are treated as postponed. They keep
+  // pending_fixture_id, so a replay settles them the same way again
+  const moved = await client.query(
+    `SELECT pick_id, pending_fixture_id FROM picks
+     WHERE game_id = $1 AND gameweek = $2 AND result IS NULL AND pending_fixture_id IS NOT NULL
+       AND NOT (pl_team_id = ANY($3::int[]))`,
+    [game.game_id, gameweek, [...teamResults.keys()]]
+  );
+  const movedResults = moved.rows.map(p => pickResult(game, { fixture_id: p.pending_fixture_id, status: 'postponed' }));
+  await client.query(
+    `UPDATE picks p SET result = r.result
+     FROM unnest($1::int[], $2::text[]) AS r(pick_id, result)
+     WHERE p.pick_id = r.pick_id`,
+    [moved.rows.map(p => p.pick_id), movedResults.map(r => r.result)]
+  );
+
+  // Picks on a team with no fixture this gameweek can't win
+  const noFixture = pickResult(game, null);
+  await client.query(
+    `UPDATE picks SET result = $3, pending_fixture_id = NULL
+     WHERE game_id = $1 AND gameweek = $2 AND NOT (pl_team_id = ANY($4::int[]))
+       AND NOT (pick_id = ANY($5::int[]))`,
+    [game.game_id, gameweek, noFixture.result, [...teamResults.keys()], moved.rows.map(p => p.pick_id)]
+  );
+}
+
+/**
+ * Take a life from every alive player whose pick lost this gameweek, or who
+ * has no pick at all. Returns the players eliminated.
+ */
+async function loseLivesForGameweek(client, game, gameweek) {
+  const result = await client.query(
+    `UPDATE game_players gp SET ${LOSE_LIFE_SET}
+     FROM (
+       SELECT a.player_id, p.pick_id, $2::int AS gameweek
+       FROM game_players a
+       LEFT JOIN picks p ON p.game_player_id = a.player_id AND p.gameweek = $2
+       WHERE a.game_id = $1 AND a.status = 'alive'
+         AND (p.pick_id IS NULL OR p.result = ANY($3::text[]))
+     ) l
+     WHERE gp.player_id = l.player_id
+     RETURNING gp.player_id, gp.status, l.pick_id`,
+    [game.game_id, gameweek, losingResults(game)]
+  );
+  return toEliminated(result.rows);
+}
+
+/**
+ * Revive everyone knocked out this gameweek (with one life) so the game
+ * carries on into the next gameweek. If the game resets team usage on
+ * rollover, picks before the next gameweek stop counting as "used".
+ */
+async function applyRollover(client, game, eliminatedThisGw, gameweek) {
+  await client.query(
+    `UPDATE game_players
+     SET status = 'alive', lives_remaining = 1, eliminated_gameweek = NULL, eliminated_pick_id = NULL
+     WHERE player_id = ANY($1)`,
+    [eliminatedThisGw.map(e => e.playerId)]
+  );
+
+  if (game.rollover_reset_teams) {
+    await client.query(
+      'UPDATE games SET team_usage_reset_gameweek = $1 WHERE game_id = $2',
+      [gameweek + 1, game.game_id]
+    );
+  }
+}
+
+/**
+ * Decide whether the game is over after a gameweek's eliminations:
+ * one player left wins; nobody left is a shared draw among those knocked out
+ * this gameweek, or a rollover if the game uses that rule.
+ * Returns { alive, rolledOver, completed }.
+ */
+async function settleGame(client, game, eliminatedThisGw, gameweek) {
+  const aliveResult = await client.query(
+    `SELECT player_id FROM game_players WHERE game_id = $1 AND status = 'alive'`,
+    [game.game_id]
+  );
+  const alive = aliveResult.rows.length;
+
+  if (alive === 1) {
+    const winnerId = aliveResult.rows[0].player_id;
+    await client.query(`UPDATE game_players SET status = 'winner' WHERE player_id = $1`, [winnerId]);
+    await client.query(
+      `UPDATE games SET status = 'completed', winner_player_id = $1 WHERE game_id = $2`,
+      [winnerId, game.game_id]
+    );
+    return { alive, rolledOver: false, completed: true };
+  }
+
+  if (alive === 0 && shouldRollover(game, eliminatedThisGw)) {
+    await applyRollover(client, game, eliminatedThisGw, gameweek);
+    return { alive: eliminatedThisGw.length, rolledOver: true, completed: false };
+  }
+
+  if (alive === 0) {
+    await client.query(
+      `UPDATE game_players SET status = 'drawn' WHERE player_id = ANY($1)`,
+      [eliminatedThisGw.map(e => e.playerId)]
+    );
+    await client.query(
+      `UPDATE games SET status = 'completed', is_draw = TRUE WHERE game_id = $1`,
+      [game.game_id]
+    );
+    return { alive, rolledOver: false, completed: true };
+  }
+
+  return { alive, rolledOver: false, completed: false };
+}
+
+/**
+ * Process one gameweek for one game, inside the caller's transaction:
+ * snapshot the game (for undo), settle carried picks, autopick for missing
+ * players, record pick results, take lives, then check for a winner, shared
+ * draw or rollover.
+ * Returns { eliminated, alive, rolledOver, completed }.
+ */
+async function processGameweek(client, game, gameweek, season) {
+  await saveSnapshot(client, game.game_id, gameweek);
+
+  const carriedOut = await resolveCarriedPicks(client, game);
+  await assignAutopicks(client, game, gameweek, season);
+  await settlePicks(client, game, gameweek, season);
+
+  const eliminated = [...carriedOut, ...await loseLivesForGameweek(client, game, gameweek)];
+  const outcome = await settleGame(client, game, eliminated, gameweek);
+  return { eliminated, ...outcome };
+}
+
+/**
+ * Recalculate a game's standings from its picks: reset every player and the
+ * game, then replay each gameweek from the start up to upToGameweek.
+ * Gameweeks with no fixtures are skipped, and the replay stops at the first
+ * one still in progress, leaving it for processing to settle.
+ * Returns { totalEliminated, remaining, gameStatus }.
+ */
+async function replayStandings(client, game, upToGameweek) {
+  const startGw = game.start_gameweek || 1;
+
+  await client.query(
+    `UPDATE game_players
+     SET status = 'alive', lives_remaining = $2, eliminated_gameweek = NULL, eliminated_pick_id = NULL
+     WHERE game_id = $1`,
+    [game.game_id, game.lives]
+  );
+  await client.query(
+    `UPDATE games SET status = 'active', winner_player_id = NULL, is_draw = FALSE, team_usage_reset_gameweek = NULL
+     WHERE game_id = $1`,
+    [game.game_id]
+  );
+
+  // Clear all pick results, and the undo snapshots the replay will recreate.
+  // pending_fixture_id stays: settling overwrites it, except on picks whose
+  // fixture has since moved to another gameweek, which still need it
+  await client.query(
+    'UPDATE picks SET result = NULL WHERE game_id = $1',
+    [game.game_id]
+  );
+  await clearSnapshots(client, game.game_id);
+
+  let totalEliminated = 0;
+  let gameStatus = 'active';
+
+  for (let gw = startGw; gw <= upToGameweek; gw++) {
+    if (await countFixtures(client, gw, game.season, game.competition_code) === 0) continue;
+    if (await countUnfinishedFixtures(client, gw, game.season, game.competition_code) > 0) break;
+
+    const { eliminated, rolledOver, completed } = await processGameweek(client, game, gw, game.season);
+    if (!rolledOver) totalEliminated += eliminated.length;
+
+    if (completed) {
+      gameStatus = 'completed';
+      break;
+    }
+  }
+
+  const finalRemaining = await client.query(
+    `SELECT COUNT(*) AS count FROM game_players WHERE game_id = $1 AND status = 'alive'`,
+    [game.game_id]
+  );
+  return { totalEliminated, remaining: parseInt(finalRemaining.rows[0].count), gameStatus };
+}
+
+/**
+ * Each player's status and lives, keyed by player_id. Compare two of these
+ * with standingsChanges to see what a change to the game did to its players.
+ */
+async function getPlayerStandings(client, gameId) {
+  const result = await client.query(
+    'SELECT player_id, username, status, lives_remaining FROM game_players WHERE game_id = $1',
+    [gameId]
+  );
+  return new Map(result.rows.map(p => [p.player_id, p]));
+}
+
+/**
+ * The players whose status or lives differ between two getPlayerStandings.
+ * Returns [{ playerId, username, from: { status, lives }, to: { status, lives } }].
+ */
+function standingsChanges(before, after) {
+  const changes = [];
+  for (const [playerId, was] of before) {
+    const now = after.get(playerId);
+    if (now && (now.status !== was.status || now.lives_remaining !== was.lives_remaining)) {
+      changes.push({
+        playerId, username: now.username,
+        from: { status: was.status, lives: was.lives_remaining },
+        to: { status: now.status, lives: now.lives_remaining },
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record a pick entered after the fact (admin import) and settle it against
+ * its fixture straight away. A losing result costs a life, unless the pick it
+ * replaces had already cost one; a surviving result replacing a loss gives
+ * that life back (reviving the player if it was their last).
+ * Returns { pick, result, eliminated, revived }.
+ */
+async function recordPick(client, game, { playerId, gameweek, teamId }, season) {
+  const fixtureResult = await client.query(
+    `SELECT fixture_id, home_team_id, away_team_id, home_score, away_score, status
+     FROM pl_fixtures
+     WHERE (home_team_id = $1 OR away_team_id = $1) AND gameweek = $2 AND season = $3 AND competition_code = $4
+     ORDER BY match_date NULLS LAST, fixture_id`,
+    [teamId, gameweek, season, game.competition_code]
+  );
+  const { result, pendingFixtureId } = teamPickResult(game, fixtureResult.rows, teamId);
+
+  const previousPick = await client.query(
+    'SELECT result FROM picks WHERE game_id = $1 AND game_player_id = $2 AND gameweek = $3',
+    [game.game_id, playerId, gameweek]
+  );
+  const previousResult = previousPick.rows[0]?.result;
+  const alreadyLostLife = !!previousResult && !isSurvivingResult(game, previousResult);
+
+  const pickResultRow = await client.query(
+    `INSERT INTO picks (game_id, game_player_id, gameweek, pl_team_id, result, pending_fixture_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (game_id, game_player_id, gameweek) DO UPDATE SET
+       pl_team_id = EXCLUDED.pl_team_id, result = EXCLUDED.result,
+       pending_fixture_id = EXCLUDED.pending_fixture_id, auto_assigned = FALSE,
+       created_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [game.game_id, playerId, gameweek, teamId, result, pendingFixtureId]
+  );
+  const pick = pickResultRow.rows[0];
+
+  let eliminated = false;
+  let revived = false;
+  if (result && !isSurvivingResult(game, result) && !alreadyLostLife) {
+    const out = await loseLives(client, [{ playerId, pickId: pick.pick_id, gameweek }]);
+    eliminated = out.length > 0;
+  } else if (result && isSurvivingResult(game, result) && alreadyLostLife) {
+    const restored = await client.query(
+      `UPDATE game_players gp SET
+         lives_remaining = gp.lives_remaining + 1,
+         status = CASE WHEN gp.status = 'eliminated' THEN 'alive' ELSE gp.status END,
+         eliminated_gameweek = CASE WHEN gp.status = 'eliminated' THEN NULL ELSE gp.eliminated_gameweek END,
+         eliminated_pick_id = CASE WHEN gp.status = 'eliminated' THEN NULL ELSE gp.eliminated_pick_id END
+       FROM game_players old
+       WHERE gp.player_id = $1 AND old.player_id = gp.player_id
+       RETURNING old.status AS previous_status`,
+      [playerId]
+    );
+    revived = restored.rows[0]?.previous_status === 'eliminated';
+  }
+
+  return { pick, result, eliminated, revived };
+}
+
+/**
+ * After picks have been imported with recordPick, check an active game for a
+ * winner, shared draw or rollover as processing would, taking the players
+ * knocked out in the latest imported gameweek as that gameweek's eliminations.
+ * Returns { alive, rolledOver, completed }.
+ */
+async function settleImportedPicks(client, game, gameweek) {
+  const eliminatedResult = await client.query(
+    `SELECT player_id, eliminated_pick_id AS pick_id, status FROM game_players
+     WHERE game_id = $1 AND status = 'eliminated' AND eliminated_gameweek = $2`,
+    [game.game_id, gameweek]
+  );
+  return settleGame(client, game, toEliminated(eliminatedResult.rows), gameweek);
+}
+
+module.exports = {
+  countFixtures, countUnfinishedFixtures, isGameweekProcessed, loseLives, resolveCarriedPicks, processGameweek,
+  replayStandings, getPlayerStandings, standingsChanges, recordPick, settleImportedPicks,
+};
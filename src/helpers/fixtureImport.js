@@ -0,0 +1,178 @@
+// Importing a provider's fixtures into pl_fixtures. Fixtures are matched by
+// the provider's match id (api_match_id), so a match moved to another
+// matchday is moved rather than duplicated. Unsettled picks on a moved
+// fixture are handed to the game's postponement policy when their original
+// gameweek is processed (see settlePicks in helpers/eliminationEngine.js).
+
+const { recordCorrection } = require('./scoreCorrections');
+const { liveMinute } = require('./liveScores');
+
+function matchName(fixture) {
+  return `${fixture.home_short} v ${fixture.away_short}`;
+}
+
+/**
+ * Fold duplicate rows of one match into the fixture being kept: picks
+ * carried on a duplicate follow the kept fixture, then the duplicates go.
+ */
+async function removeDuplicateFixtures(client, keepId, duplicateIds) {
+  if (duplicateIds.length === 0) return;
+  await client.query(
+    'UPDATE picks SET pending_fixture_id = $1 WHERE pending_fixture_id = ANY($2::int[])',
+    [keepId, duplicateIds]
+  );
+  await client.query('DELETE FROM pl_fixtures WHERE fixture_id = ANY($1::int[])', [duplicateIds]);
+}
+
+/**
+ * Mark picks on a fixture that has left their gameweek, so the gameweek
+ * settles them (and settles them again on a replay) under each game's
+ * postponement policy instead of as a team with no fixture. Teams that still
+ * have a fixture that gameweek are left alone. Returns the number of picks
+ * affected.
+ */
+async function markPicksOnMovedFixture(client, fixture, fromGameweek) {
+  const result = await client.query(
+    `UPDATE picks p SET pending_fixture_id = $1
+     FROM games g
+     WHERE p.game_id = g.game_id
+       AND g.competition_code = $2 AND g.season = $3
+       AND p.gameweek = $4 AND p.pl_team_id IN ($5, $6)
+       AND NOT EXISTS (
+         SELECT 1 FROM pl_fixtures f
+         WHERE f.gameweek = $4 AND f.season = $3 AND f.competition_code = $2
+           AND (f.home_team_id = p.pl_team_id OR f.away_team_id = p.pl_team_id)
+       )`,
+    [
+      fixture.fixture_id, fixture.competition_code, fixture.season, fromGameweek,
+      fixture.home_team_id, fixture.away_team_id,
+    ]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Import a provider's fixtures for a competition season.
+ * Returns a change report:
+ *   { imported, kept, duplicatesRemoved, moved: [...], rescheduled: [...], corrections: [...] }
+ * where moved lists fixtures that changed gameweek (with the picks affected),
+ * rescheduled lists kickoff changes within a gameweek, and corrections are
+ * score corrections to re-evaluate (see helpers/scoreCorrections.js).
+ *
+ * @param {Pool} pool
+ * @param {string} competition - Competition code
+ * @param {number} season
+ * @param {Array} matches - Provider fixtures (see src/providers)
+ */
+async function importProviderFixtures(pool, competition, season, matches) {
+  const report = { imported: 0, kept: 0, duplicatesRemoved: 0, moved: [], rescheduled: [], corrections: [] };
+
+  const teamsResult = await pool.query(
+    'SELECT team_id, api_id, short_name FROM pl_teams WHERE season = $1 AND competition_code = $2',
+    [season, competition]
+  );
+  const teamsByApiId = new Map(teamsResult.rows.map(t => [t.api_id, t]));
+
+  for (const match of matches) {
+    // Knockout rounds (e.g. after a World Cup group stage) have no matchday to pick by
+    if (!match.gameweek) continue;
+
+    const homeTeam = teamsByApiId.get(match.homeTeamApiId);
+    const awayTeam = teamsByApiId.get(match.awayTeamApiId);
+    if (!homeTeam || !awayTeam) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // The match as we have it: by provider id, or by teams and gameweek for
+      // rows imported before api_match_id was recorded
+      const existingResult = await client.query(
+        `SELECT f.*, ht.short_name AS home_short, at.short_name AS away_short
+         FROM pl_fixtures f
+         JOIN pl_teams ht ON f.home_team_id = ht.team_id
+         JOIN pl_teams at ON f.away_team_id = at.team_id
+         WHERE f.season = $1 AND f.competition_code = $2
+           AND (f.api_match_id = $3
+                OR (f.gameweek = $4 AND f.home_team_id = $5 AND f.away_team_id = $6))
+         ORDER BY COALESCE(f.api_match_id = $3, FALSE) DESC, (f.gameweek = $4) DESC, f.fixture_id
+         FOR UPDATE OF f`,
+        [season, competition, match.apiMatchId, match.gameweek, homeTeam.team_id, awayTeam.team_id]
+      );
+
+      if (existingResult.rows.length === 0) {
+        await client.query(
+          `INSERT INTO pl_fixtures (season, gameweek, home_team_id, away_team_id, match_date, home_score, away_score,
+                                    status, minute, api_match_id, competition_code)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          [
+            season, match.gameweek, homeTeam.team_id, awayTeam.team_id, match.matchDate,
+            match.homeScore, match.awayScore, match.status, liveMinute(match), match.apiMatchId, competition,
+          ]
+        );
+        await client.query('COMMIT');
+        report.imported++;
+        continue;
+      }
+
+      const [fixture, ...duplicates] = existingResult.rows;
+
+      // Fixtures corrected by hand keep the admin's version
+      if (fixture.manually_edited) {
+        await client.query('COMMIT');
+        report.kept++;
+        continue;
+      }
+
+      await removeDuplicateFixtures(client, fixture.fixture_id, duplicates.map(d => d.fixture_id));
+      report.duplicatesRemoved += duplicates.length;
+
+      const scoreChanged = fixture.status === 'finished' && match.status === 'finished'
+        && (fixture.home_score !== match.homeScore || fixture.away_score !== match.awayScore);
+      if (scoreChanged) {
+        report.corrections.push(await recordCorrection(client, fixture, match.homeScore, match.awayScore));
+      }
+
+      // Compare kickoffs in the database, where both sides are the same timestamp type
+      const updated = await client.query(
+        `UPDATE pl_fixtures f
+         SET gameweek = $2, home_team_id = $3, away_team_id = $4, match_date = $5,
+             home_score = $6, away_score = $7, status = $8, minute = $10, api_match_id = $9,
+             updated_at = CURRENT_TIMESTAMP
+         FROM pl_fixtures old
+         WHERE f.fixture_id = $1 AND old.fixture_id = f.fixture_id
+         RETURNING old.match_date IS DISTINCT FROM f.match_date AS kickoff_changed, f.match_date`,
+        [
+          fixture.fixture_id, match.gameweek, homeTeam.team_id, awayTeam.team_id, match.matchDate,
+          match.homeScore, match.awayScore, match.status, match.apiMatchId, liveMinute(match),
+        ]
+      );
+
+      if (fixture.gameweek !== match.gameweek) {
+        const picksAffected = await markPicksOnMovedFixture(client, fixture, fixture.gameweek);
+        report.moved.push({
+          fixtureId: fixture.fixture_id, match: matchName(fixture),
+          fromGameweek: fixture.gameweek, toGameweek: match.gameweek,
+          matchDate: match.matchDate, picksAffected,
+        });
+      } else if (updated.rows[0].kickoff_changed) {
+        report.rescheduled.push({
+          fixtureId: fixture.fixture_id, match: matchName(fixture), gameweek: match.gameweek,
+          from: fixture.match_date, to: updated.rows[0].match_date,
+        });
+      }
+
+      await client.query('COMMIT');
+      report.imported++;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return report;
+}
+
+module.exports = { markPicksOnMovedFixture, importProviderFixtures };
@@ -0,0 +1,107 @@
+// Game lifecycle: draft → open (joining) → active → completed → archived.
+// Every status change made on an admin's request goes through
+// transitionGame so the allowed moves live in one place.
+
+const { isDeadlineOverridden } = require('./settings');
+const { getGameweekDeadline } = require('./deadlines');
+
+const GAME_STATUSES = ['draft', 'open', 'active', 'completed', 'archived'];
+
+// Allowed moves from each status. Games only complete when processing finds
+// a winner or shared draw, and only go back to active when a gameweek is
+// undone or the standings are replayed, which restore the players as well.
+const TRANSITIONS = {
+  draft: ['open'],
+  open: ['draft', 'active'],
+  active: [],
+  completed: ['archived'],
+  archived: ['completed'],
+};
+
+// Statuses in which players can make picks (open games pick for their first gameweek)
+const PICKING_STATUSES = ['open', 'active'];
+
+// Statuses in which results have been (or are being) applied
+const PLAYED_STATUSES = ['active', 'completed'];
+
+const MIN_PLAYERS_TO_START = 2;
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a game to a new status, if the lifecycle allows it.
+ * Returns an error message, or null once the game has been updated.
+ *
+ * @param {Pool|PoolClient} client
+ * @param {Object} game - games row
+ * @param {string} status - Status to move to
+ */
+async function transitionGame(client, game, status) {
+  if (!GAME_STATUSES.includes(status)) {
+    return `Invalid status. Must be one of: ${GAME_STATUSES.join(', ')}`;
+  }
+  if (!canTransition(game.status, status)) {
+    return `A game can't go from ${game.status} to ${status}`;
+  }
+
+  // Opening after the first deadline would only send the game straight back
+  // to draft, so a game that missed its start needs a later start gameweek
+  if (status === 'open' && !await isDeadlineOverridden(client)) {
+    const deadline = await getStartDeadline(client, game);
+    if (deadline && new Date(deadline) <= new Date()) {
+      return `The GW${game.start_gameweek} deadline has passed, choose a later start gameweek`;
+    }
+  }
+
+  if (status === 'active') {
+    const playerCount = await client.query(
+      'SELECT COUNT(*) AS count FROM game_players WHERE game_id = $1',
+      [game.game_id]
+    );
+    if (parseInt(playerCount.rows[0].count) < MIN_PLAYERS_TO_START) {
+      return `Need at least ${MIN_PLAYERS_TO_START} players to start a game`;
+    }
+  }
+
+  // Guard on the old status too, in case something else moved the game meanwhile
+  const result = await client.query(
+    'UPDATE games SET status = $1 WHERE game_id = $2 AND status = $3',
+    [status, game.game_id, game.status]
+  );
+  if (result.rowCount === 0) return 'Game status has changed, please reload';
+  return null;
+}
+
+/**
+ * Deadline of the game's first gameweek, or null if not known yet.
+ */
+async function getStartDeadline(client, game) {
+  return getGameweekDeadline(client, {
+    competition: game.competition_code, season: game.season, gameweek: game.start_gameweek, rule: game.deadline_rule,
+  });
+}
+
+/**
+ * Why a game can't be joined right now, or null if it can.
+ * Joining needs an open game, and closes at the first gameweek's deadline
+ * for games that ask for it (unless the deadline is overridden). Games
+ * that leave joining open stay joinable after they've started.
+ */
+async function joinClosedReason(client, game) {
+  if (game.status === 'active' && !game.join_closes_at_deadline) return null;
+  if (game.status !== 'open') return 'This game is no longer accepting players';
+  if (!game.join_closes_at_deadline || await isDeadlineOverridden(client)) return null;
+
+  const deadline = await getStartDeadline(client, game);
+  if (deadline && new Date(deadline) <= new Date()) {
+    return `Joining closed at the GW${game.start_gameweek} deadline`;
+  }
+  return null;
+}
+
+module.exports = {
+  GAME_STATUSES, PICKING_STATUSES, PLAYED_STATUSES,
+  canTransition, transitionGame, getStartDeadline, joinClosedReason,
+};
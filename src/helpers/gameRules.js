@@ -0,0 +1,302 @@
+// Per-game rule set helpers.
+// Pure rule decisions live here; helpers/eliminationEngine.js applies them
+// to the database for every processing path.
+
+const { getCompetition } = require('./competitions');
+
+const DRAW_RULES = ['eliminate', 'survive'];
+const MAX_LIVES = 10;
+const ALL_OUT_RULES = ['draw', 'rollover'];
+
+// What happens to an alive player who hasn't picked by the deadline:
+//   eliminate — they lose a life (out, with the default single life)
+//   autopick  — a team is picked for them (see helpers/autopick.js)
+const MISSED_PICK_RULES = ['eliminate', 'autopick'];
+
+// How often a player may pick the same team:
+//   never       — each team once, ever
+//   after_all   — each team once until all have been used, then any team
+//   max_uses    — each team at most games.team_reuse_limit times
+//   half_season — each team once per half of the season (usage resets at secondHalfGameweek)
+const TEAM_REUSE_RULES = ['never', 'after_all', 'max_uses', 'half_season'];
+
+/**
+ * First gameweek of the second half of a season with this many gameweeks
+ * (GW20 of 38; the odd one out goes to the first half).
+ */
+function secondHalfGameweek(gameweeks) {
+  return Math.floor(gameweeks / 2) + 1;
+}
+
+// What happens to a pick whose fixture is postponed or abandoned:
+//   survive — the player goes through, the team still counts as used
+//   void    — the pick is voided (team not used); the player may repick before processing
+//   carry   — the pick waits for the rescheduled fixture to be played
+const POSTPONED_POLICIES = ['survive', 'void', 'carry'];
+const UNPLAYED_STATUSES = ['postponed', 'abandoned'];
+
+// What happens when a finished fixture's score is corrected after its gameweek was processed:
+//   rerun  — standings are replayed straight away (see helpers/scoreCorrections.js)
+//   review — the game admin is asked to replay or dismiss it
+const SCORE_CORRECTION_RULES = ['rerun', 'review'];
+
+// How a pick is settled when its team plays twice in a gameweek:
+//   all   — every fixture must be survived
+//   any   — surviving one fixture is enough
+//   first — only the team's first fixture (by kickoff) counts
+// Fixtures that won't be played are ignored while the team has another that will.
+const DOUBLE_GAMEWEEK_RULES = ['all', 'any', 'first'];
+
+// When picks lock:
+//   gameweek — every pick locks at the gameweek's first kickoff, and all are revealed then
+//   rolling  — each pick locks when its team's match kicks off; players may pick any
+//              team yet to play, and picks are revealed fixture by fixture at kickoff
+const DEADLINE_MODES = ['gameweek', 'rolling'];
+
+// Pick result recorded for a postponed fixture under each policy
+const POSTPONED_PICK_RESULTS = { survive: 'postponed', void: 'void', carry: 'pending' };
+
+/**
+ * Validate rule options supplied when creating a game.
+ * Returns an error message, or null if the options are valid.
+ */
+function validateRules({
+  drawRule, lives, allOutRule, postponedPolicy, missedPickRule, teamReuseRule, teamReuseLimit, scoreCorrectionRule,
+  doubleGameweekRule, deadlineMode,
+}) {
+  if (drawRule !== undefined && !DRAW_RULES.includes(drawRule)) {
+    return `Invalid drawRule. Must be one of: ${DRAW_RULES.join(', ')}`;
+  }
+  if (lives !== undefined && (!Number.isInteger(lives) || lives < 1 || lives > MAX_LIVES)) {
+    return `Invalid lives. Must be a whole number from 1 to ${MAX_LIVES}`;
+  }
+  if (allOutRule !== undefined && !ALL_OUT_RULES.includes(allOutRule)) {
+    return `Invalid allOutRule. Must be one of: ${ALL_OUT_RULES.join(', ')}`;
+  }
+  if (postponedPolicy !== undefined && !POSTPONED_POLICIES.includes(postponedPolicy)) {
+    return `Invalid postponedPolicy. Must be one of: ${POSTPONED_POLICIES.join(', ')}`;
+  }
+  if (missedPickRule !== undefined && !MISSED_PICK_RULES.includes(missedPickRule)) {
+    return `Invalid missedPickRule. Must be one of: ${MISSED_PICK_RULES.join(', ')}`;
+  }
+  if (teamReuseRule !== undefined && !TEAM_REUSE_RULES.includes(teamReuseRule)) {
+    return `Invalid teamReuseRule. Must be one of: ${TEAM_REUSE_RULES.join(', ')}`;
+  }
+  if (teamReuseRule === 'max_uses' && (!Number.isInteger(teamReuseLimit) || teamReuseLimit < 1)) {
+    return 'teamReuseLimit must be a whole number of at least 1';
+  }
+  if (scoreCorrectionRule !== undefined && !SCORE_CORRECTION_RULES.includes(scoreCorrectionRule)) {
+    return `Invalid scoreCorrectionRule. Must be one of: ${SCORE_CORRECTION_RULES.join(', ')}`;
+  }
+  if (doubleGameweekRule !== undefined && !DOUBLE_GAMEWEEK_RULES.includes(doubleGameweekRule)) {
+    return `Invalid doubleGameweekRule. Must be one of: ${DOUBLE_GAMEWEEK_RULES.join(', ')}`;
+  }
+  if (deadlineMode !== undefined && !DEADLINE_MODES.includes(deadlineMode)) {
+    return `Invalid deadlineMode. Must be one of: ${DEADLINE_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Result of a fixture from one team's point of view.
+ * Returns 'win' | 'draw' | 'loss', 'postponed' for a fixture that won't be
+ * played as scheduled, or null if it hasn't finished yet.
+ */
+function fixtureResultForTeam(fixture, teamId) {
+  if (UNPLAYED_STATUSES.includes(fixture.status)) return 'postponed';
+  if (fixture.status !== 'finished') return null;
+
+  const isHome = fixture.home_team_id === teamId;
+  if (fixture.home_score > fixture.away_score) return isHome ? 'win' : 'loss';
+  if (fixture.home_score < fixture.away_score) return isHome ? 'loss' : 'win';
+  return 'draw';
+}
+
+/**
+ * The result to record on a pick whose fixture was postponed, per the game's policy.
+ */
+function postponedPickResult(game) {
+  return POSTPONED_PICK_RESULTS[game.postponed_policy] || POSTPONED_PICK_RESULTS.survive;
+}
+
+/**
+ * Result to record on a pick for this team, given its fixture that gameweek.
+ * A team with no fixture can't win, so that's a loss; an unfinished fixture
+ * leaves the pick unsettled (null). Postponed fixtures follow the game's policy.
+ * Returns { result, pendingFixtureId }.
+ */
+function pickResult(game, fixture, teamId) {
+  if (!fixture) return { result: 'loss', pendingFixtureId: null };
+
+  const result = fixtureResultForTeam(fixture, teamId);
+  if (result !== 'postponed') return { result, pendingFixtureId: null };
+
+  const policyResult = postponedPickResult(game);
+  return {
+    result: policyResult,
+    pendingFixtureId: policyResult === 'pending' ? fixture.fixture_id : null,
+  };
+}
+
+// Played results from worst to best, to pick the deciding one of several
+const RESULT_ORDER = ['loss', 'draw', 'win'];
+
+function worstResult(results) {
+  return results.reduce((a, b) => (RESULT_ORDER.indexOf(b) < RESULT_ORDER.indexOf(a) ? b : a));
+}
+
+function bestResult(results) {
+  return results.reduce((a, b) => (RESULT_ORDER.indexOf(b) > RESULT_ORDER.indexOf(a) ? b : a));
+}
+
+/**
+ * Result to record on a pick for this team, given all its fixtures that
+ * gameweek in kickoff order. One fixture settles as pickResult; a double
+ * gameweek follows the game's double_gameweek_rule, and is decided as soon
+ * as the outcome is known (a loss under 'all', a win under 'any').
+ * Returns { result, pendingFixtureId }.
+ */
+function teamPickResult(game, fixtures, teamId) {
+  const played = fixtures.filter(f => !UNPLAYED_STATUSES.includes(f.status));
+  if (played.length === 0) return pickResult(game, fixtures[0] || null, teamId);
+
+  const rule = game.double_gameweek_rule || 'first';
+  if (played.length === 1 || rule === 'first') return pickResult(game, played[0], teamId);
+
+  const results = played.map(f => fixtureResultForTeam(f, teamId));
+  const finished = results.filter(Boolean);
+  const surviving = finished.filter(r => isSurvivingResult(game, r));
+  const losing = finished.filter(r => !isSurvivingResult(game, r));
+  const unfinished = finished.length < results.length;
+
+  let result;
+  if (rule === 'any') {
+    if (surviving.length > 0) result = bestResult(surviving);
+    else result = unfinished ? null : bestResult(losing);
+  } else if (losing.length > 0) {
+    result = worstResult(losing);
+  } else {
+    result = unfinished ? null : worstResult(surviving);
+  }
+  return { result, pendingFixtureId: null };
+}
+
+/**
+ * Does a pick with this result keep the player in the game?
+ * A win always survives; a draw survives only under the 'survive' draw rule.
+ * Postponed, voided and carried (pending) picks don't cost a life.
+ */
+function isSurvivingResult(game, result) {
+  if (result === 'win') return true;
+  if (result === 'draw') return game.draw_rule === 'survive';
+  if (['postponed', 'void', 'pending'].includes(result)) return true;
+  return false;
+}
+
+/**
+ * Played results that cost a life under this game's rules.
+ */
+function losingResults(game) {
+  return ['win', 'draw', 'loss'].filter(result => !isSurvivingResult(game, result));
+}
+
+/**
+ * Has this fixture kicked off? Postponed and abandoned fixtures never do.
+ */
+function hasKickedOff(fixture, now = new Date()) {
+  if (UNPLAYED_STATUSES.includes(fixture.status)) return false;
+  if (fixture.status !== 'scheduled') return true;
+  return !!fixture.match_date && new Date(fixture.match_date) <= now;
+}
+
+/**
+ * Kickoff state of each gameweek, for rolling deadlines: the teams whose
+ * match has kicked off (their picks are locked and revealed), and whether
+ * every match going ahead has (nothing is left to pick).
+ * Returns { [gameweek]: { kickedOffTeamIds: Set, allKickedOff: boolean } }.
+ *
+ * @param {Array} fixtures - pl_fixtures rows with gameweek, team ids, match_date and status
+ */
+function kickoffsByGameweek(fixtures, now = new Date()) {
+  const byGameweek = {};
+  for (const f of fixtures) {
+    if (!byGameweek[f.gameweek]) byGameweek[f.gameweek] = { kickedOffTeamIds: new Set(), allKickedOff: true };
+    const gw = byGameweek[f.gameweek];
+    if (hasKickedOff(f, now)) {
+      gw.kickedOffTeamIds.add(f.home_team_id);
+      gw.kickedOffTeamIds.add(f.away_team_id);
+    } else if (!UNPLAYED_STATUSES.includes(f.status)) {
+      gw.allKickedOff = false;
+    }
+  }
+  return byGameweek;
+}
+
+/**
+ * Teams a player can't pick for a gameweek under the game's team reuse rule.
+ * The player's own pick for that gameweek (which a new pick replaces),
+ * voided picks and picks before a rollover team reset don't count as uses.
+ *
+ * @param {Pool|PoolClient} client
+ * @param {Object} game - games row
+ * @param {number} playerId
+ * @param {number} gameweek - Gameweek the pick is for
+ * @param {number} season
+ */
+async function getBlockedTeamIds(client, game, playerId, gameweek, season) {
+  const rule = game.team_reuse_rule || 'after_all';
+
+  // Under half_season only picks from the same half count
+  let fromGameweek = 0;
+  let toGameweek = null;
+  if (rule === 'half_season') {
+    const competition = await getCompetition(client, game.competition_code);
+    const secondHalf = secondHalfGameweek(competition.gameweeks);
+    if (gameweek >= secondHalf) fromGameweek = secondHalf;
+    else toGameweek = secondHalf - 1;
+  }
+
+  const usage = await client.query(
+    `SELECT p.pl_team_id, COUNT(*) AS uses
+     FROM picks p
+     JOIN games g ON p.game_id = g.game_id
+     WHERE p.game_player_id = $1 AND p.game_id = $2 AND p.gameweek != $3
+       AND p.gameweek >= GREATEST(COALESCE(g.team_usage_reset_gameweek, 0), $4)
+       AND ($5::int IS NULL OR p.gameweek <= $5)
+       AND (p.result IS NULL OR p.result != 'void')
+     GROUP BY p.pl_team_id`,
+    [playerId, game.game_id, gameweek, fromGameweek, toGameweek]
+  );
+
+  if (rule === 'max_uses') {
+    return usage.rows
+      .filter(r => parseInt(r.uses) >= game.team_reuse_limit)
+      .map(r => r.pl_team_id);
+  }
+
+  const usedTeamIds = usage.rows.map(r => r.pl_team_id);
+  if (rule === 'never') return usedTeamIds;
+
+  // after_all / half_season: once every team has been used, any team is allowed
+  const totalTeamsResult = await client.query(
+    'SELECT COUNT(*) AS count FROM pl_teams WHERE season = $1 AND competition_code = $2',
+    [season, game.competition_code]
+  );
+  return usedTeamIds.length >= parseInt(totalTeamsResult.rows[0].count) ? [] : usedTeamIds;
+}
+
+/**
+ * Should an "everyone went out" gameweek roll over rather than end in a shared draw?
+ * Only applies when somebody was actually knocked out this gameweek.
+ */
+function shouldRollover(game, eliminatedThisGw) {
+  return game.all_out_rule === 'rollover' && eliminatedThisGw.length > 0;
+}
+
+module.exports = {
+  DRAW_RULES, MAX_LIVES, ALL_OUT_RULES, MISSED_PICK_RULES, TEAM_REUSE_RULES, secondHalfGameweek,
+  POSTPONED_POLICIES, UNPLAYED_STATUSES, SCORE_CORRECTION_RULES, DOUBLE_GAMEWEEK_RULES, DEADLINE_MODES,
+  validateRules, fixtureResultForTeam, postponedPickResult, pickResult, teamPickResult, isSurvivingResult,
+  losingResults, hasKickedOff, kickoffsByGameweek,
+  getBlockedTeamIds, shouldRollover,
+};
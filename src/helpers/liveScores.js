@@ -0,0 +1,76 @@
+// Live scores. While a match is in play its fixture holds the current score
+// and minute (see cron/liveCron.js, which polls the fixture provider during
+// matches), so a game can show how each alive player's pick stands right now
+// — as if every match in play ended at its current score.
+
+const { teamPickResult, isSurvivingResult } = require('./gameRules');
+
+const LIVE_STATES = { win: 'winning', draw: 'drawing', loss: 'losing' };
+
+// The minute to store for a provider fixture: only matches in play have one
+function liveMinute(match) {
+  return match.status === 'in_play' ? match.minute ?? null : null;
+}
+
+/**
+ * Store the current score and minute of a provider's matches in play.
+ * Finished matches are left to applyProviderResults, and fixtures an admin
+ * edited by hand are left alone. Returns the number of fixtures updated.
+ *
+ * @param {Pool} pool
+ * @param {Array} matches - Provider fixtures (see src/providers)
+ */
+async function applyLiveScores(pool, matches) {
+  let updated = 0;
+
+  for (const match of matches) {
+    if (match.status !== 'in_play') continue;
+
+    const result = await pool.query(
+      `UPDATE pl_fixtures
+       SET home_score = $1, away_score = $2, minute = $3, status = 'in_play', updated_at = CURRENT_TIMESTAMP
+       WHERE api_match_id = $4 AND status IN ('scheduled', 'in_play') AND NOT manually_edited
+         AND (status != 'in_play' OR home_score IS DISTINCT FROM $1 OR away_score IS DISTINCT FROM $2
+              OR minute IS DISTINCT FROM $3)`,
+      [match.homeScore ?? 0, match.awayScore ?? 0, liveMinute(match), match.apiMatchId]
+    );
+    updated += result.rowCount;
+  }
+
+  return updated;
+}
+
+/**
+ * How each pick stands right now. Matches in play count as finished at their
+ * current score; picks are settled by the game's rules (teamPickResult).
+ * Returns one entry per pick:
+ *   { ...pick, state, surviving }
+ * where state is 'not_started', 'waiting' (a double gameweek team between
+ * matches), 'winning' / 'drawing' / 'losing' while a match is in play, or
+ * the final result ('win', 'draw', 'loss', 'postponed', ...), and surviving
+ * is true/false, or null while nothing is decided.
+ *
+ * @param {Object} game - games row (rules)
+ * @param {Array} picks - Picks with team_id
+ * @param {Array} fixtures - The gameweek's fixtures, in kickoff order
+ */
+function livePickStandings(game, picks, fixtures) {
+  return picks.map(pick => {
+    const teamFixtures = fixtures.filter(f => f.home_team_id === pick.team_id || f.away_team_id === pick.team_id);
+    const provisional = teamFixtures.map(f => (f.status === 'in_play' ? { ...f, status: 'finished' } : f));
+    const { result } = teamPickResult(game, provisional, pick.team_id);
+
+    let state;
+    if (result === null) {
+      state = teamFixtures.some(f => f.status === 'finished') ? 'waiting' : 'not_started';
+    } else if (teamFixtures.some(f => f.status === 'in_play')) {
+      state = LIVE_STATES[result] || result;
+    } else {
+      state = result;
+    }
+
+    return { ...pick, state, surviving: result === null ? null : isSurvivingResult(game, result) };
+  });
+}
+
+module.exports = { liveMinute, applyLiveScores, livePickStandings };
@@ -0,0 +1,172 @@
+// In-app notifications. Game events leave a notification for each player
+// concerned, shown under the bell in the navigation bar:
+//
+//   picks_revealed     — a gameweek's deadline passed and picks can be seen
+//   eliminated         — the player lost their last life
+//   standings_changed  — a replay, undo or admin change altered the player's
+//                        status or lives
+//   game_won           — the game has a winner (or ended in a shared draw)
+//   added_to_game      — a game admin added the player to a game
+//   admin_transferred  — the player was made a game's admin
+//   game_not_started   — the admin's game went back to draft at its start
+//                        deadline for want of players
+//   announcement       — a message from a site admin
+
+const NOTIFICATION_TYPES = [
+  'picks_revealed', 'eliminated', 'standings_changed', 'game_won', 'added_to_game', 'admin_transferred', 'game_not_started',
+  'announcement',
+];
+
+/**
+ * Leave a notification for each of these users. Returns the notification,
+ * for pushing once the caller's transaction commits (see helpers/push.js).
+ *
+ * @param {Pool|PoolClient} client
+ * @param {Object} notification
+ * @param {string[]} notification.userEmails
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.message
+ * @param {number} [notification.gameId]
+ * @param {number} [notification.gameweek]
+ */
+async function notify(client, { userEmails, type, message, gameId = null, gameweek = null }) {
+  if (userEmails.length > 0) {
+    await client.query(
+      `INSERT INTO notifications (user_email, type, message, game_id, gameweek)
+       SELECT unnest($1::text[]), $2, $3, $4, $5`,
+      [userEmails, type, message, gameId, gameweek]
+    );
+  }
+  return { userEmails, type, message, gameId, gameweek };
+}
+
+/**
+ * Tell every player in a game that a gameweek's picks are revealed, once per
+ * gameweek. Returns true if they were told now.
+ */
+async function notifyPicksRevealed(client, game, gameweek) {
+  const already = await client.query(
+    `SELECT 1 FROM notifications WHERE game_id = $1 AND gameweek = $2 AND type = 'picks_revealed' LIMIT 1`,
+    [game.game_id, gameweek]
+  );
+  if (already.rows.length > 0) return false;
+
+  const players = await client.query('SELECT user_email FROM game_players WHERE game_id = $1', [game.game_id]);
+  await notify(client, {
+    userEmails: players.rows.map(p => p.user_email),
+    type: 'picks_revealed',
+    message: game.deadline_mode === 'rolling'
+      ? `GW${gameweek} picks in "${game.game_name}" are being revealed as each match kicks off`
+      : `GW${gameweek} picks in "${game.game_name}" are revealed`,
+    gameId: game.game_id,
+    gameweek,
+  });
+  return true;
+}
+
+/**
+ * Tell players what processing a gameweek did: who was eliminated (unless
+ * the gameweek rolled over) and, if the game is over, who won.
+ * Returns the notifications left.
+ *
+ * @param {PoolClient} client - Client inside the caller's transaction
+ * @param {Object} game - games row
+ * @param {number} gameweek
+ * @param {Object} outcome - What processGameweek returned
+ */
+async function notifyGameweekOutcome(client, game, gameweek, outcome) {
+  const playersResult = await client.query(
+    'SELECT player_id, user_email, username, status FROM game_players WHERE game_id = $1',
+    [game.game_id]
+  );
+  const players = playersResult.rows;
+  const notifications = [];
+
+  if (!outcome.rolledOver && outcome.eliminated.length > 0) {
+    const eliminatedIds = new Set(outcome.eliminated.map(e => e.playerId));
+    notifications.push(await notify(client, {
+      userEmails: players.filter(p => eliminatedIds.has(p.player_id) && p.status === 'eliminated').map(p => p.user_email),
+      type: 'eliminated',
+      message: `You've been eliminated from "${game.game_name}" in GW${gameweek}`,
+      gameId: game.game_id,
+      gameweek,
+    }));
+  }
+
+  if (!outcome.completed) return notifications;
+
+  const winners = players.filter(p => p.status === 'winner' || p.status === 'drawn');
+  const winnerNames = winners.map(p => p.username).join(', ');
+  const isDraw = winners.some(p => p.status === 'drawn');
+  notifications.push(await notify(client, {
+    userEmails: winners.map(p => p.user_email),
+    type: 'game_won',
+    message: isDraw ? `"${game.game_name}" ended in a draw — you share the win` : `You won "${game.game_name}"!`,
+    gameId: game.game_id,
+    gameweek,
+  }));
+  notifications.push(await notify(client, {
+    userEmails: players.filter(p => !winners.includes(p)).map(p => p.user_email),
+    type: 'game_won',
+    message: isDraw
+      ? `"${game.game_name}" ended in a draw between ${winnerNames}`
+      : `${winnerNames} won "${game.game_name}"`,
+    gameId: game.game_id,
+    gameweek,
+  }));
+  return notifications;
+}
+
+function lives(n) {
+  return `${n} ${n === 1 ? 'life' : 'lives'}`;
+}
+
+// Where a player stands now, for a change in their status or lives
+function describeStanding({ from, to }) {
+  if (to.status === 'eliminated') return "you're now eliminated";
+  if (to.status === 'winner') return "you've won";
+  if (to.status === 'drawn') return 'you share the win';
+  if (from.status !== 'alive') return `you're back in with ${lives(to.lives)}`;
+  return `you now have ${lives(to.lives)}`;
+}
+
+/**
+ * Tell each player whose status or lives changed outside gameweek processing
+ * (see standingsChanges in helpers/eliminationEngine.js) where they stand
+ * now. Players knocked out get an "eliminated" notification, so it's pushed
+ * like one from processing. Returns the notifications left.
+ *
+ * @param {Pool|PoolClient} client
+ * @param {Object} game - games row
+ * @param {Array} changes - [{ playerId, from: { status, lives }, to: { status, lives } }]
+ * @param {string} cause - What changed the standings, e.g. "A score correction"
+ * @param {number} [gameweek] - The gameweek concerned, if there is one
+ */
+async function notifyStandingsChanges(client, game, changes, cause, gameweek = null) {
+  if (changes.length === 0) return [];
+
+  const playersResult = await client.query(
+    'SELECT player_id, user_email FROM game_players WHERE player_id = ANY($1::int[])',
+    [changes.map(c => c.playerId)]
+  );
+  const emails = new Map(playersResult.rows.map(p => [p.player_id, p.user_email]));
+
+  const notifications = [];
+  for (const change of changes) {
+    const { status } = change.to;
+    notifications.push(await notify(client, {
+      userEmails: [emails.get(change.playerId)],
+      type: status === 'eliminated' ? 'eliminated'
+        : status === 'winner' || status === 'drawn' ? 'game_won'
+          : 'standings_changed',
+      message: `${cause} changed your standing in "${game.game_name}": ${describeStanding(change)}`,
+      gameId: game.game_id,
+      gameweek,
+    }));
+  }
+  return notifications;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES, notify, notifyPicksRevealed, notifyGameweekOutcome, notifyStandingsChanges,
+};
@@ -0,0 +1,123 @@
+// Browser push notifications (Web Push). Needs VAPID_PUBLIC_KEY and
+// VAPID_PRIVATE_KEY (generate a pair with `npx web-push generate-vapid-keys`)
+// and VAPID_SUBJECT, a mailto: or https: contact for the push services.
+// Users opt in per browser from their account page; each browser is a row
+// in push_subscriptions. Deadline reminders, eliminations and wins are
+// pushed on top of the in-app notifications.
+
+const webpush = require('web-push');
+
+// Notification types worth interrupting someone for (see helpers/notifications.js)
+const PUSHED_TYPES = ['eliminated', 'game_won'];
+
+let vapidSet = false;
+
+function pushConfigError() {
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) return 'VAPID keys not configured';
+  return null;
+}
+
+function getVapidPublicKey() {
+  return pushConfigError() ? null : process.env.VAPID_PUBLIC_KEY;
+}
+
+function setVapidDetails() {
+  if (vapidSet) return;
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  vapidSet = true;
+}
+
+/**
+ * Validate a browser's PushSubscription (as JSON) before storing it.
+ * Returns an error message, or null if it's usable.
+ */
+function subscriptionError(subscription) {
+  if (!subscription?.endpoint || !/^https:\/\//.test(subscription.endpoint)) return 'subscription.endpoint must be an https URL';
+  if (!subscription.keys?.p256dh || !subscription.keys?.auth) return 'subscription.keys must include p256dh and auth';
+  return null;
+}
+
+async function saveSubscription(pool, userEmail, subscription) {
+  await pool.query(
+    `INSERT INTO push_subscriptions (user_email, endpoint, p256dh, auth)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (endpoint) DO UPDATE SET user_email = $1, p256dh = $3, auth = $4`,
+    [userEmail, subscription.endpoint, subscription.keys.p256dh, subscription.keys.auth]
+  );
+}
+
+async function removeSubscription(pool, userEmail, endpoint) {
+  const result = await pool.query(
+    'DELETE FROM push_subscriptions WHERE user_email = $1 AND endpoint = $2',
+    [userEmail, endpoint]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Push a message to every browser these users turned push on in. Never
+ * throws: failures are logged, and subscriptions the push service says have
+ * expired are removed. Returns the number of browsers it reached.
+ *
+ * @param {Pool} pool
+ * @param {string[]} userEmails
+ * @param {Object} message - { title, body, url } (url relative to the frontend)
+ */
+async function sendPush(pool, userEmails, message) {
+  if (pushConfigError() || userEmails.length === 0) return 0;
+
+  let delivered = 0;
+  try {
+    setVapidDetails();
+    const subscriptions = await pool.query(
+      'SELECT subscription_id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_email = ANY($1::text[])',
+      [userEmails]
+    );
+
+    for (const sub of subscriptions.rows) {
+      try {
+        await webpush.sendNotification(
+          { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+          JSON.stringify(message)
+        );
+        delivered++;
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await pool.query('DELETE FROM push_subscriptions WHERE subscription_id = $1', [sub.subscription_id]);
+        } else {
+          console.error(`[push] Failed to push to subscription ${sub.subscription_id}:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[push] Push failed:', error);
+  }
+  return delivered;
+}
+
+/**
+ * Push the notifications worth pushing (see PUSHED_TYPES) out of those a
+ * game event left. Call once the transaction that created them has committed.
+ *
+ * @param {Pool} pool
+ * @param {Array} notifications - What helpers/notifications.js returned
+ */
+async function pushNotifications(pool, notifications) {
+  for (const notification of notifications) {
+    if (!PUSHED_TYPES.includes(notification.type)) continue;
+    await sendPush(pool, notification.userEmails, {
+      title: 'Prem Picker',
+      body: notification.message,
+      url: notification.gameId ? `/games/${notification.gameId}` : '/',
+    });
+  }
+}
+
+module.exports = {
+  pushConfigError, getVapidPublicKey, subscriptionError, saveSubscription, removeSubscription,
+  sendPush, pushNotifications,
+};
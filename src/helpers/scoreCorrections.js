@@ -0,0 +1,267 @@
+// Score corrections: a finished fixture whose score changes after the fact
+// (a provider correction or an admin edit). Each correction is recorded, and
+// every game that already processed the fixture's gameweek either has its
+// standings replayed straight away or is flagged for its admin to review,
+// per the game's score_correction_rule. Players see the outcome, including
+// any change to their own status, on the game page, and those whose status
+// or lives changed are notified.
+
+const { replayStandings, getPlayerStandings, standingsChanges } = require('./eliminationEngine');
+const { recordAudit } = require('./audit');
+const { PLAYED_STATUSES } = require('./gameLifecycle');
+const { notifyStandingsChanges } = require('./notifications');
+const { pushNotifications } = require('./push');
+
+function describeFixture(c) {
+  return `GW${c.gameweek} ${c.home_short} ${c.old_home_score}-${c.old_away_score} ${c.away_short}`
+    + ` → ${c.new_home_score}-${c.new_away_score}`;
+}
+
+/**
+ * Record that a finished fixture's score is changing. Call before (or in the
+ * same transaction as) updating the fixture. Returns the correction.
+ */
+async function recordCorrection(client, fixture, newHomeScore, newAwayScore) {
+  const result = await client.query(
+    `INSERT INTO score_corrections (fixture_id, old_home_score, old_away_score, new_home_score, new_away_score)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING correction_id`,
+    [fixture.fixture_id, fixture.home_score, fixture.away_score, newHomeScore, newAwayScore]
+  );
+  return { correctionId: result.rows[0].correction_id, fixtureId: fixture.fixture_id };
+}
+
+/**
+ * Apply a provider's fixtures to the database: newly finished fixtures get
+ * their scores, and finished fixtures whose score has since changed are
+ * corrected, recording the correction in the same transaction. Fixtures an
+ * admin edited by hand are left alone.
+ * Returns { updated, corrections }.
+ *
+ * @param {Pool} pool
+ * @param {Array} matches - Provider fixtures (see src/providers)
+ */
+async function applyProviderResults(pool, matches) {
+  let updated = 0;
+  const corrections = [];
+
+  for (const match of matches) {
+    if (match.status !== 'finished') continue;
+
+    const result = await pool.query(
+      `UPDATE pl_fixtures
+       SET home_score = $1, away_score = $2, status = 'finished', minute = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE api_match_id = $3 AND status != 'finished' AND NOT manually_edited`,
+      [match.homeScore, match.awayScore, match.apiMatchId]
+    );
+    updated += result.rowCount;
+    if (result.rowCount > 0) continue;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const changed = await client.query(
+        `SELECT * FROM pl_fixtures
+         WHERE api_match_id = $1 AND status = 'finished' AND NOT manually_edited
+           AND (home_score IS DISTINCT FROM $2 OR away_score IS DISTINCT FROM $3)
+         FOR UPDATE`,
+        [match.apiMatchId, match.homeScore, match.awayScore]
+      );
+      const matchCorrections = [];
+      for (const fixture of changed.rows) {
+        matchCorrections.push(await recordCorrection(client, fixture, match.homeScore, match.awayScore));
+        await client.query(
+          `UPDATE pl_fixtures SET home_score = $1, away_score = $2, updated_at = CURRENT_TIMESTAMP
+           WHERE fixture_id = $3`,
+          [match.homeScore, match.awayScore, fixture.fixture_id]
+        );
+      }
+
+      await client.query('COMMIT');
+      corrections.push(...matchCorrections);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  return { updated, corrections };
+}
+
+/**
+ * Replay a game's standings up to the last gameweek it processed, and return
+ * the players whose status or lives changed. The replay replaces the game's
+ * undo snapshots, so undo can't go back to the standings before the correction.
+ */
+async function replayForCorrection(client, game) {
+  const lastProcessed = await client.query(
+    'SELECT MAX(gameweek) AS gameweek FROM picks WHERE game_id = $1 AND result IS NOT NULL',
+    [game.game_id]
+  );
+  const upToGameweek = lastProcessed.rows[0].gameweek;
+
+  const before = await getPlayerStandings(client, game.game_id);
+  const outcome = await replayStandings(client, game, upToGameweek);
+  const changes = standingsChanges(before, await getPlayerStandings(client, game.game_id));
+  return { ...outcome, upToGameweek, changes };
+}
+
+/**
+ * Replay (or flag for review) every game that has already processed the
+ * corrected fixtures' gameweeks, or settled picks on them in the gameweek
+ * they moved from. Each game is handled in its own transaction
+ * and replayed once, however many of its fixtures were corrected.
+ * Returns one entry per affected game.
+ *
+ * @param {Pool} pool
+ * @param {Array<{ correctionId, fixtureId }>} corrections
+ */
+async function reevaluateCorrections(pool, corrections) {
+  if (corrections.length === 0) return [];
+
+  const affected = await pool.query(
+    `SELECT DISTINCT g.game_id, c.correction_id
+     FROM score_corrections c
+     JOIN pl_fixtures f ON c.fixture_id = f.fixture_id
+     JOIN games g ON g.competition_code = f.competition_code AND g.season = f.season
+     WHERE c.correction_id = ANY($1::int[])
+       AND EXISTS (
+         SELECT 1 FROM picks p
+         WHERE p.game_id = g.game_id AND p.result IS NOT NULL
+           AND (p.gameweek = f.gameweek OR p.pending_fixture_id = f.fixture_id)
+       )`,
+    [corrections.map(c => c.correctionId)]
+  );
+
+  const correctionsByGame = new Map();
+  for (const row of affected.rows) {
+    if (!correctionsByGame.has(row.game_id)) correctionsByGame.set(row.game_id, []);
+    correctionsByGame.get(row.game_id).push(row.correction_id);
+  }
+
+  const results = [];
+  for (const [gameId, correctionIds] of correctionsByGame) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const gameResult = await client.query('SELECT * FROM games WHERE game_id = $1 FOR UPDATE', [gameId]);
+      const game = gameResult.rows[0];
+
+      let outcome = 'needs_review';
+      let note = null;
+      let replay = null;
+      let notifications = [];
+      if (!PLAYED_STATUSES.includes(game.status)) {
+        note = `Game is ${game.status}`;
+      } else if (game.score_correction_rule === 'rerun') {
+        replay = await replayForCorrection(client, game);
+        outcome = 'rerun';
+      }
+
+      await client.query(
+        `INSERT INTO score_correction_games (correction_id, game_id, outcome, note, player_changes)
+         SELECT unnest($1::int[]), $2, $3, $4, $5`,
+        [correctionIds, gameId, outcome, note, replay ? JSON.stringify(replay.changes) : null]
+      );
+
+      const fixtures = await listCorrections(client, { gameId, correctionIds });
+      await recordAudit(client, null, {
+        gameId,
+        action: 'score_correction',
+        target: fixtures.map(describeFixture).join('; '),
+        after: replay
+          ? { outcome, playersChanged: replay.changes.length, remaining: replay.remaining, gameStatus: replay.gameStatus }
+          : { outcome, note },
+      });
+      if (replay) notifications = await notifyStandingsChanges(client, game, replay.changes, 'A score correction');
+
+      await client.query('COMMIT');
+      await pushNotifications(pool, notifications);
+      results.push({ game: game.game_name, outcome, changes: replay?.changes || [] });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`Error re-evaluating score correction for game ${gameId}:`, error);
+      results.push({ gameId, outcome: 'error', error: error.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Score corrections that affected a game, most recent first, with what
+ * happened to the game (and its players) for each.
+ */
+async function listCorrections(client, { gameId, correctionIds = null }) {
+  const result = await client.query(
+    `SELECT c.correction_id, c.old_home_score, c.old_away_score, c.new_home_score, c.new_away_score,
+            c.detected_at, f.gameweek, ht.short_name AS home_short, at.short_name AS away_short,
+            cg.outcome, cg.note, cg.player_changes, cg.resolved_by, cg.updated_at
+     FROM score_correction_games cg
+     JOIN score_corrections c ON cg.correction_id = c.correction_id
+     JOIN pl_fixtures f ON c.fixture_id = f.fixture_id
+     JOIN pl_teams ht ON f.home_team_id = ht.team_id
+     JOIN pl_teams at ON f.away_team_id = at.team_id
+     WHERE cg.game_id = $1 AND ($2::int[] IS NULL OR c.correction_id = ANY($2::int[]))
+     ORDER BY c.detected_at DESC, c.correction_id DESC`,
+    [gameId, correctionIds]
+  );
+  return result.rows;
+}
+
+/**
+ * Settle a correction flagged for review: replay the game's standings, or
+ * dismiss it and keep the standings as they are.
+ * Returns { error } if it can't, otherwise { notifications } to push once
+ * the caller's transaction commits.
+ *
+ * @param {PoolClient} client - Client inside the caller's transaction
+ * @param {Object} req - Express request (for the audit entry)
+ * @param {Object} game - games row
+ * @param {number} correctionId
+ * @param {'rerun'|'dismiss'} action
+ */
+async function resolveCorrection(client, req, game, correctionId, action) {
+  const corrections = await listCorrections(client, { gameId: game.game_id, correctionIds: [correctionId] });
+  const correction = corrections[0];
+  if (!correction) return { error: 'Score correction not found' };
+  if (correction.outcome !== 'needs_review') return { error: 'This score correction has already been dealt with' };
+
+  let replay = null;
+  if (action === 'rerun') {
+    if (!PLAYED_STATUSES.includes(game.status)) return { error: `Can't recalculate standings of a ${game.status} game` };
+    replay = await replayForCorrection(client, game);
+  } else if (action !== 'dismiss') {
+    return { error: 'action must be rerun or dismiss' };
+  }
+
+  const outcome = replay ? 'rerun' : 'dismissed';
+  await client.query(
+    `UPDATE score_correction_games
+     SET outcome = $3, player_changes = $4, resolved_by = $5, updated_at = CURRENT_TIMESTAMP
+     WHERE correction_id = $1 AND game_id = $2`,
+    [correctionId, game.game_id, outcome, replay ? JSON.stringify(replay.changes) : null, req.session.email]
+  );
+
+  await recordAudit(client, req, {
+    gameId: game.game_id,
+    action: 'resolve_score_correction',
+    target: describeFixture(correction),
+    before: { outcome: correction.outcome },
+    after: replay
+      ? { outcome, playersChanged: replay.changes.length, remaining: replay.remaining, gameStatus: replay.gameStatus }
+      : { outcome },
+  });
+  const notifications = replay ? await notifyStandingsChanges(client, game, replay.changes, 'A score correction') : [];
+  return { notifications };
+}
+
+module.exports = {
+  recordCorrection, applyProviderResults, reevaluateCorrections, listCorrections, resolveCorrection,
+};
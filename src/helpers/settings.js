@@ -40,12 +40,13 @@ async function isDeadlineOverridden(pool) {
 
 // Auto-detect current gameweek from fixture dates
 // Returns the earliest gameweek with unfinished matches, or null if no fixtures exist
-async function autoDetectGameweek(pool, season) {
+// (postponed/abandoned matches don't hold the gameweek back)
+async function autoDetectGameweek(pool, season, competition = 'PL') {
   const result = await pool.query(
     `SELECT MIN(gameweek) AS current_gw
      FROM pl_fixtures
-     WHERE season = $1 AND status != 'finished'`,
-    [season]
+     WHERE season = $1 AND competition_code = $2 AND status NOT IN ('finished', 'postponed', 'abandoned')`,
+    [season, competition]
   );
 
   if (result.rows[0]?.current_gw != null) {
@@ -54,15 +55,15 @@ async function autoDetectGameweek(pool, season) {
 
   // If all matches are finished, check if there are any fixtures at all
   const countResult = await pool.query(
-    'SELECT COUNT(*) AS total FROM pl_fixtures WHERE season = $1',
-    [season]
+    'SELECT COUNT(*) AS total FROM pl_fixtures WHERE season = $1 AND competition_code = $2',
+    [season, competition]
   );
 
   if (parseInt(countResult.rows[0].total) > 0) {
     // All fixtures finished — return the last gameweek
     const lastGw = await pool.query(
-      'SELECT MAX(gameweek) AS last_gw FROM pl_fixtures WHERE season = $1',
-      [season]
+      'SELECT MAX(gameweek) AS last_gw FROM pl_fixtures WHERE season = $1 AND competition_code = $2',
+      [season, competition]
     );
     return lastGw.rows[0].last_gw;
   }
@@ -71,6 +72,21 @@ async function autoDetectGameweek(pool, season) {
   return null;
 }
 
+/**
+ * The gameweek players are picking for in a given competition and season.
+ * The current Premier League season honours the gameweek override and falls
+ * back to the current_gameweek setting; everything else goes by its fixtures alone.
+ */
+async function getGameweekForSeason(pool, season, competition = 'PL') {
+  if (competition === 'PL' && parseInt(season) === await getCurrentSeason(pool)) {
+    const gwOverride = await getGameweekOverride(pool);
+    if (gwOverride != null) return gwOverride;
+    const detected = await autoDetectGameweek(pool, season);
+    return detected != null ? detected : await getCurrentGameweek(pool);
+  }
+  return (await autoDetectGameweek(pool, season, competition)) || 1;
+}
+
 // Update a setting in the database
 async function updateSetting(pool, key, value) {
   await pool.query(
@@ -79,4 +95,7 @@ async function updateSetting(pool, key, value) {
   );
 }
 
-module.exports = { getCurrentSeason, getCurrentGameweek, autoDetectGameweek, updateSetting, getGameweekOverride, isDeadlineOverridden };
+module.exports = {
+  getCurrentSeason, getCurrentGameweek, autoDetectGameweek, updateSetting, getGameweekOverride, isDeadlineOverridden,
+  getGameweekForSeason,
+};
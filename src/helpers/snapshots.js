@@ -0,0 +1,130 @@
+// Gameweek snapshots: the state of a game just before a gameweek was
+// processed, so a run with wrong scores can be undone without a full replay.
+// One snapshot is kept per game and gameweek: the first, taken before the
+// gameweek was ever processed, so a second run can't overwrite it with a
+// state that already includes that gameweek's results.
+
+/**
+ * Save the game's current state as the "before" state for a gameweek.
+ *
+ * @param {PoolClient} client - Client inside the processing transaction
+ * @param {number} gameId
+ * @param {number} gameweek - Gameweek about to be processed
+ */
+async function saveSnapshot(client, gameId, gameweek) {
+  await client.query(
+    `INSERT INTO gameweek_snapshots (game_id, gameweek, game_state, players, picks)
+     SELECT g.game_id, $2,
+            jsonb_build_object(
+              'status', g.status, 'winner_player_id', g.winner_player_id, 'is_draw', g.is_draw,
+              'team_usage_reset_gameweek', g.team_usage_reset_gameweek
+            ),
+            COALESCE((
+              SELECT jsonb_agg(jsonb_build_object(
+                'player_id', gp.player_id, 'status', gp.status, 'lives_remaining', gp.lives_remaining,
+                'eliminated_gameweek', gp.eliminated_gameweek, 'eliminated_pick_id', gp.eliminated_pick_id
+              ))
+              FROM game_players gp WHERE gp.game_id = g.game_id
+            ), '[]'::jsonb),
+            COALESCE((
+              SELECT jsonb_agg(jsonb_build_object(
+                'pick_id', p.pick_id, 'result', p.result, 'pending_fixture_id', p.pending_fixture_id
+              ))
+              FROM picks p WHERE p.game_id = g.game_id
+            ), '[]'::jsonb)
+     FROM games g
+     WHERE g.game_id = $1
+     ON CONFLICT (game_id, gameweek) DO NOTHING`,
+    [gameId, gameweek]
+  );
+}
+
+/**
+ * Gameweeks of a game that can be undone, most recent first.
+ */
+async function listSnapshots(client, gameId) {
+  const result = await client.query(
+    `SELECT gameweek, created_at FROM gameweek_snapshots
+     WHERE game_id = $1
+     ORDER BY gameweek DESC`,
+    [gameId]
+  );
+  return result.rows;
+}
+
+/**
+ * Put a game back to how it was before a gameweek was processed.
+ * Later gameweeks are undone too, and their snapshots discarded along with
+ * this one. Autopicks made by the undone runs are removed.
+ * Returns false if there is no snapshot for that gameweek.
+ *
+ * @param {PoolClient} client - Client inside the caller's transaction
+ * @param {number} gameId
+ * @param {number} gameweek
+ */
+async function restoreSnapshot(client, gameId, gameweek) {
+  const snapshotResult = await client.query(
+    'SELECT * FROM gameweek_snapshots WHERE game_id = $1 AND gameweek = $2',
+    [gameId, gameweek]
+  );
+  if (snapshotResult.rows.length === 0) return false;
+  const snapshot = snapshotResult.rows[0];
+  const gameState = snapshot.game_state;
+
+  await client.query(
+    `UPDATE games
+     SET status = $2, winner_player_id = $3, is_draw = $4, team_usage_reset_gameweek = $5
+     WHERE game_id = $1`,
+    [gameId, gameState.status, gameState.winner_player_id, gameState.is_draw, gameState.team_usage_reset_gameweek]
+  );
+
+  // Players who joined after the snapshot are left as they are
+  await client.query(
+    `UPDATE game_players gp
+     SET status = s.status, lives_remaining = s.lives_remaining,
+         eliminated_gameweek = s.eliminated_gameweek, eliminated_pick_id = s.eliminated_pick_id
+     FROM jsonb_to_recordset($2::jsonb) AS s(
+       player_id int, status text, lives_remaining int, eliminated_gameweek int, eliminated_pick_id int
+     )
+     WHERE gp.player_id = s.player_id AND gp.game_id = $1`,
+    [gameId, JSON.stringify(snapshot.players)]
+  );
+
+  const snapshotPickIds = snapshot.picks.map(p => p.pick_id);
+  await client.query(
+    `DELETE FROM picks
+     WHERE game_id = $1 AND gameweek >= $2 AND auto_assigned AND NOT (pick_id = ANY($3::int[]))`,
+    [gameId, gameweek, snapshotPickIds]
+  );
+
+  await client.query(
+    `UPDATE picks p SET result = s.result, pending_fixture_id = COALESCE(s.pending_fixture_id, p.pending_fixture_id)
+     FROM jsonb_to_recordset($2::jsonb) AS s(pick_id int, result text, pending_fixture_id int)
+     WHERE p.pick_id = s.pick_id AND p.game_id = $1`,
+    [gameId, JSON.stringify(snapshot.picks)]
+  );
+
+  // Picks made since the snapshot hadn't been settled at that point
+  // (pending_fixture_id stays to remember fixtures moved out of their gameweek)
+  await client.query(
+    `UPDATE picks SET result = NULL
+     WHERE game_id = $1 AND NOT (pick_id = ANY($2::int[]))`,
+    [gameId, snapshotPickIds]
+  );
+
+  await client.query(
+    'DELETE FROM gameweek_snapshots WHERE game_id = $1 AND gameweek >= $2',
+    [gameId, gameweek]
+  );
+  return true;
+}
+
+/**
+ * Discard all of a game's snapshots, e.g. before a full standings replay
+ * (which saves fresh ones as it goes).
+ */
+async function clearSnapshots(client, gameId) {
+  await client.query('DELETE FROM gameweek_snapshots WHERE game_id = $1', [gameId]);
+}
+
+module.exports = { saveSnapshot, listSnapshots, restoreSnapshot, clearSnapshots };
@@ -0,0 +1,15 @@
+// Console mail transport: logs messages instead of sending them
+
+const consoleTransport = {
+  name: 'console',
+
+  configError() {
+    return null;
+  },
+
+  async send({ from, to, subject, text }) {
+    console.log(`[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}\n`);
+  },
+};
+
+module.exports = { consoleTransport };
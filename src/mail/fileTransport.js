@@ -0,0 +1,36 @@
+// File mail transport, for testing without a mail server: writes each
+// message to MAIL_DIR (default data/mail) as a .eml file a mail client can open.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function mailDir() {
+  return process.env.MAIL_DIR || path.join(__dirname, '../../data/mail');
+}
+
+const fileTransport = {
+  name: 'file',
+
+  configError() {
+    return null;
+  },
+
+  async send({ from, to, subject, text }) {
+    await fs.mkdir(mailDir(), { recursive: true });
+    const date = new Date();
+    const safeTo = to.replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(mailDir(), `${date.toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`);
+    const message = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${date.toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+    ].join('\r\n');
+    await fs.writeFile(file, message, 'utf8');
+  },
+};
+
+module.exports = { fileTransport };
@@ -0,0 +1,46 @@
+// Mail transports. Each one sends a message in the same shape, so the code
+// sending mail doesn't care where it goes:
+//
+//   configError()                     → error message, or null if usable
+//   send({ from, to, subject, text }) → resolves once the message is handed over
+//
+// The transport in use is MAIL_TRANSPORT: smtp, file or console (the default,
+// so development never sends real mail). Messages come from MAIL_FROM.
+
+const { smtpTransport } = require('./smtpTransport');
+const { fileTransport } = require('./fileTransport');
+const { consoleTransport } = require('./consoleTransport');
+
+const TRANSPORTS = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [consoleTransport.name]: consoleTransport,
+};
+
+const DEFAULT_TRANSPORT = consoleTransport.name;
+
+function getMailFrom() {
+  return process.env.MAIL_FROM || 'Prem Picker <noreply@localhost>';
+}
+
+function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return transport;
+}
+
+/**
+ * Send a plain text message through the configured transport.
+ * Throws if the transport isn't usable or the message can't be sent.
+ */
+async function sendMail({ to, subject, text }) {
+  const transport = getMailTransport();
+  const configError = transport.configError();
+  if (configError) throw new Error(configError);
+  await transport.send({ from: getMailFrom(), to, subject, text });
+}
+
+module.exports = { getMailTransport, getMailFrom, sendMail };
@@ -0,0 +1,35 @@
+// SMTP mail transport (needs SMTP_HOST; SMTP_PORT, SMTP_USER, SMTP_PASSWORD
+// and SMTP_SECURE are optional)
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT || '587');
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+const smtpTransport = {
+  name: 'smtp',
+
+  configError() {
+    return process.env.SMTP_HOST ? null : 'SMTP_HOST not configured';
+  },
+
+  async send({ from, to, subject, text }) {
+    await getTransporter().sendMail({ from, to, subject, text });
+  },
+};
+
+module.exports = { smtpTransport };
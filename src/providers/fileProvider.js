@@ -0,0 +1,139 @@
+// Local file provider, for development, demos and tests without an API key
+// or network. Reads FIXTURE_DATA_DIR (default data/fixtures) on every call,
+// so editing a file is enough to "play" a result.
+//
+// Either <COMPETITION>-<season>.json:
+//   { "teams":   [{ "id", "name", "shortName", "crest" }],
+//     "matches": [{ "id", "matchday", "utcDate", "homeTeamId", "awayTeamId",
+//                   "homeScore", "awayScore", "status", "minute" }] }
+// or a pair of CSV files with a header row:
+//   <COMPETITION>-<season>-teams.csv   id,name,short_name,crest_url
+//   <COMPETITION>-<season>-matches.csv id,matchday,utc_date,home_team_id,away_team_id,home_score,away_score,status,minute
+//
+// minute (the minute of a match in play) is optional.
+// Statuses can be ours (scheduled, in_play, finished, postponed, abandoned)
+// or football-data.org's (FINISHED, IN_PLAY, ...).
+
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeStatus } = require('./footballData');
+
+const FIXTURE_STATUSES = ['scheduled', 'in_play', 'finished', 'postponed', 'abandoned'];
+
+function dataDir() {
+  return process.env.FIXTURE_DATA_DIR || path.join(__dirname, '../../data/fixtures');
+}
+
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Minimal CSV parsing: comma separated, double quotes around fields that contain commas
+function parseCsv(text) {
+  const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') { field += '"'; i++; }
+        else if (char === '"') quoted = false;
+        else field += char;
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field);
+    return fields.map(f => f.trim());
+  });
+
+  const [header, ...records] = rows;
+  return records.map(record => Object.fromEntries(header.map((key, i) => [key, record[i] ?? ''])));
+}
+
+function toInt(value) {
+  return value === '' || value == null ? null : parseInt(value);
+}
+
+// Load a competition season as { teams, matches } in the JSON file's shape
+async function loadSeason(competition, season) {
+  const base = path.join(dataDir(), `${competition}-${season}`);
+
+  const json = await readIfExists(`${base}.json`);
+  if (json) {
+    const data = JSON.parse(json);
+    return { teams: data.teams || [], matches: data.matches || [] };
+  }
+
+  const teamsCsv = await readIfExists(`${base}-teams.csv`);
+  const matchesCsv = await readIfExists(`${base}-matches.csv`);
+  if (teamsCsv && matchesCsv) {
+    return {
+      teams: parseCsv(teamsCsv).map(row => ({
+        id: toInt(row.id), name: row.name, shortName: row.short_name, crest: row.crest_url || null,
+      })),
+      matches: parseCsv(matchesCsv).map(row => ({
+        id: toInt(row.id),
+        matchday: toInt(row.matchday),
+        utcDate: row.utc_date || null,
+        homeTeamId: toInt(row.home_team_id),
+        awayTeamId: toInt(row.away_team_id),
+        homeScore: toInt(row.home_score),
+        awayScore: toInt(row.away_score),
+        status: row.status,
+        minute: toInt(row.minute),
+      })),
+    };
+  }
+
+  throw new Error(`No fixture file for ${competition} ${season} in ${dataDir()}`);
+}
+
+const fileProvider = {
+  name: 'file',
+  label: 'Local files',
+
+  configError() {
+    return null;
+  },
+
+  async getTeams(competition, season) {
+    const { teams } = await loadSeason(competition, season);
+    return teams.map(team => ({
+      apiId: team.id,
+      name: team.name,
+      shortName: team.shortName,
+      crestUrl: team.crest || null,
+    }));
+  },
+
+  async getFixtures(competition, season, { matchday } = {}) {
+    const { matches } = await loadSeason(competition, season);
+    return matches
+      .filter(match => !matchday || match.matchday === matchday)
+      .map(match => ({
+        apiMatchId: match.id,
+        gameweek: match.matchday,
+        homeTeamApiId: match.homeTeamId,
+        awayTeamApiId: match.awayTeamId,
+        matchDate: match.utcDate,
+        homeScore: match.homeScore ?? null,
+        awayScore: match.awayScore ?? null,
+        status: FIXTURE_STATUSES.includes(match.status) ? match.status : normalizeStatus(match.status),
+        minute: match.minute ?? null,
+      }));
+  },
+};
+
+module.exports = { fileProvider };
@@ -0,0 +1,67 @@
+// football-data.org provider (needs FOOTBALL_DATA_API_KEY)
+
+const API_BASE = 'https://api.football-data.org/v4';
+
+// football-data.org match statuses → pl_fixtures statuses
+function normalizeStatus(status) {
+  return status === 'FINISHED' ? 'finished'
+    : status === 'IN_PLAY' || status === 'PAUSED' ? 'in_play'
+    : status === 'POSTPONED' ? 'postponed'
+    : status === 'SUSPENDED' || status === 'CANCELLED' ? 'abandoned'
+    : 'scheduled';
+}
+
+function getApiKey() {
+  const apiKey = process.env.FOOTBALL_DATA_API_KEY;
+  if (!apiKey || apiKey === 'your-key-here' || apiKey === 'your-api-key-here') return null;
+  return apiKey;
+}
+
+async function apiGet(path) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    headers: { 'X-Auth-Token': getApiKey() },
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Football-data API error: ${response.status} ${errorText}`);
+  }
+  return response.json();
+}
+
+const footballDataProvider = {
+  name: 'football-data',
+  label: 'football-data.org',
+
+  configError() {
+    return getApiKey() ? null : 'FOOTBALL_DATA_API_KEY not configured';
+  },
+
+  async getTeams(competition, season) {
+    const data = await apiGet(`/competitions/${competition}/teams?season=${season}`);
+    return (data.teams || []).map(team => ({
+      apiId: team.id,
+      name: team.name,
+      shortName: team.tla,
+      crestUrl: team.crest,
+    }));
+  },
+
+  // football-data.org only supports a single matchday filter
+  async getFixtures(competition, season, { matchday } = {}) {
+    const matchdayFilter = matchday ? `&matchday=${matchday}` : '';
+    const data = await apiGet(`/competitions/${competition}/matches?season=${season}${matchdayFilter}`);
+    return (data.matches || []).map(match => ({
+      apiMatchId: match.id,
+      gameweek: match.matchday,
+      homeTeamApiId: match.homeTeam.id,
+      awayTeamApiId: match.awayTeam.id,
+      matchDate: match.utcDate,
+      homeScore: match.score?.fullTime?.home ?? null,
+      awayScore: match.score?.fullTime?.away ?? null,
+      status: normalizeStatus(match.status),
+      minute: match.minute ?? null,
+    }));
+  },
+};
+
+module.exports = { footballDataProvider, normalizeStatus };
@@ -0,0 +1,46 @@
+// Fixture data providers. Each one supplies a competition season's teams and
+// fixtures in the same shape, so imports and results updates don't care
+// where the data comes from:
+//
+//   configError()                                  → error message, or null if usable
+//   getTeams(competition, season)                  → [{ apiId, name, shortName, crestUrl }]
+//   getFixtures(competition, season, { matchday }) → [{ apiMatchId, gameweek, homeTeamApiId, awayTeamApiId,
+//                                                      matchDate, homeScore, awayScore, status, minute }]
+//
+// Scores of matches in play are the current score; minute is the minute of
+// a match in play, or null (always null if the provider doesn't know it).
+//
+// The provider in use is the fixture_provider setting, falling back to the
+// FIXTURE_PROVIDER environment variable, then football-data.org.
+
+const { footballDataProvider } = require('./footballData');
+const { fileProvider } = require('./fileProvider');
+
+const PROVIDERS = {
+  [footballDataProvider.name]: footballDataProvider,
+  [fileProvider.name]: fileProvider,
+};
+
+const DEFAULT_PROVIDER = footballDataProvider.name;
+
+function listProviders() {
+  return Object.values(PROVIDERS).map(({ name, label }) => ({ name, label }));
+}
+
+async function getProviderName(pool) {
+  const result = await pool.query(
+    "SELECT setting_value FROM app_settings WHERE setting_key = 'fixture_provider'"
+  );
+  return result.rows[0]?.setting_value || process.env.FIXTURE_PROVIDER || DEFAULT_PROVIDER;
+}
+
+async function getFixtureProvider(pool) {
+  const name = await getProviderName(pool);
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown fixture provider "${name}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { listProviders, getProviderName, getFixtureProvider };
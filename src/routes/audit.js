@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/connection');
+const { requireAdmin } = require('../middleware/requireAuth');
+const { listAudit } = require('../helpers/audit');
+
+// GET /api/audit - Site-wide audit log (admin only)
+// Optional ?gameId= to filter, ?limit= (max 1000)
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const gameId = req.query.gameId ? parseInt(req.query.gameId) : null;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    const entries = await listAudit(pool, { gameId, limit });
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
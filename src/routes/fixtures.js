@@ -2,18 +2,57 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/connection');
 const { requireAdmin } = require('../middleware/requireAuth');
-const { getCurrentSeason, autoDetectGameweek, updateSetting, isDeadlineOverridden } = require('../helpers/settings');
+const { recordAudit } = require('../helpers/audit');
+const { recordCorrection, applyProviderResults, reevaluateCorrections } = require('../helpers/scoreCorrections');
+const { applyLiveScores } = require('../helpers/liveScores');
+const { markPicksOnMovedFixture, importProviderFixtures } = require('../helpers/fixtureImport');
+const { autoDetectGameweek, updateSetting, isDeadlineOverridden } = require('../helpers/settings');
+const { getGameweekDeadline } = require('../helpers/deadlines');
+const {
+  DEFAULT_COMPETITION, listCompetitions, getCompetition, getCompetitionSeason, setCompetitionSeason,
+} = require('../helpers/competitions');
+const { listProviders, getProviderName, getFixtureProvider } = require('../providers');
 
-// GET /api/teams - List PL teams for current season
+// Competition and season from a query or body, defaulting to the Premier League
+// and the competition's current season
+async function resolveCompetitionSeason(params) {
+  const competition = params.competition || DEFAULT_COMPETITION;
+  const season = parseInt(params.season) || await getCompetitionSeason(pool, competition);
+  return { competition, season };
+}
+
+// GET /api/fixtures/competitions - Competitions games can be played against
+router.get('/competitions', async (req, res) => {
+  try {
+    const competitions = await listCompetitions(pool);
+    res.json({ success: true, competitions });
+  } catch (error) {
+    console.error('Error fetching competitions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/fixtures/providers - Fixture data providers and the one in use
+router.get('/providers', async (req, res) => {
+  try {
+    const current = await getProviderName(pool);
+    res.json({ success: true, providers: listProviders(), current });
+  } catch (error) {
+    console.error('Error fetching fixture providers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/teams?competition=&season= - List teams in a competition's season
 router.get('/teams', async (req, res) => {
   try {
-    const season = req.query.season || await getCurrentSeason(pool);
+    const { competition, season } = await resolveCompetitionSeason(req.query);
     const result = await pool.query(
       `SELECT team_id, name, short_name, api_id, crest_url, season
        FROM pl_teams
-       WHERE season = $1
+       WHERE season = $1 AND competition_code = $2
        ORDER BY name`,
-      [season]
+      [season, competition]
     );
     res.json({ success: true, teams: result.rows });
   } catch (error) {
@@ -26,19 +65,19 @@ router.get('/teams', async (req, res) => {
 router.get('/:gameweek', async (req, res) => {
   try {
     const { gameweek } = req.params;
-    const season = req.query.season || await getCurrentSeason(pool);
+    const { competition, season } = await resolveCompetitionSeason(req.query);
 
     const result = await pool.query(
       `SELECT f.fixture_id, f.season, f.gameweek,
               f.home_team_id, ht.name AS home_team, ht.short_name AS home_short,
               f.away_team_id, at.name AS away_team, at.short_name AS away_short,
-              f.match_date, f.home_score, f.away_score, f.status
+              f.match_date, f.home_score, f.away_score, f.status, f.manually_edited, f.updated_at
        FROM pl_fixtures f
        JOIN pl_teams ht ON f.home_team_id = ht.team_id
        JOIN pl_teams at ON f.away_team_id = at.team_id
-       WHERE f.gameweek = $1 AND f.season = $2
+       WHERE f.gameweek = $1 AND f.season = $2 AND f.competition_code = $3
        ORDER BY f.match_date`,
-      [gameweek, season]
+      [gameweek, season, competition]
     );
 
     res.json({ success: true, fixtures: result.rows });
@@ -48,26 +87,34 @@ router.get('/:gameweek', async (req, res) => {
   }
 });
 
-// GET /api/fixtures/:gameweek/deadline - Get deadline (earliest kickoff) for gameweek
+// GET /api/fixtures/:gameweek/deadline - Get the pick deadline for a gameweek
+// Pass ?gameId= for a game's own deadline rule (and competition and season);
+// otherwise the site default rule applies
 router.get('/:gameweek/deadline', async (req, res) => {
   try {
-    const { gameweek } = req.params;
-    const season = req.query.season || await getCurrentSeason(pool);
+    const gameweek = parseInt(req.params.gameweek);
+    let { competition, season } = await resolveCompetitionSeason(req.query);
+    let rule = null;
 
-    const result = await pool.query(
-      `SELECT MIN(match_date) AS deadline
-       FROM pl_fixtures
-       WHERE gameweek = $1 AND season = $2 AND match_date IS NOT NULL`,
-      [gameweek, season]
-    );
+    if (req.query.gameId) {
+      const gameResult = await pool.query(
+        'SELECT season, competition_code, deadline_rule FROM games WHERE game_id = $1',
+        [req.query.gameId]
+      );
+      if (gameResult.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Game not found' });
+      }
+      ({ season, competition_code: competition, deadline_rule: rule } = gameResult.rows[0]);
+    }
 
-    const deadline = result.rows[0]?.deadline;
+    const deadline = await getGameweekDeadline(pool, { competition, season, gameweek, rule });
     const deadlineOverride = await isDeadlineOverridden(pool);
     res.json({
       success: true,
-      gameweek: parseInt(gameweek),
+      gameweek,
       deadline,
-      isPast: deadlineOverride ? false : (deadline ? new Date(deadline) < new Date() : null)
+      isPast: deadlineOverride ? false : (deadline ? new Date(deadline) < new Date() : null),
+      overridden: deadlineOverride
     });
   } catch (error) {
     console.error('Error fetching deadline:', error);
@@ -75,34 +122,33 @@ router.get('/:gameweek/deadline', async (req, res) => {
   }
 });
 
-// POST /api/fixtures/import - Import fixtures from football-data.org (admin only)
+// POST /api/fixtures/import - Import fixtures from the fixture provider (admin only)
 router.post('/import', requireAdmin, async (req, res) => {
   try {
-    const apiKey = process.env.FOOTBALL_DATA_API_KEY;
-    if (!apiKey || apiKey === 'your-key-here' || apiKey === 'your-api-key-here') {
-      return res.status(400).json({ success: false, error: 'FOOTBALL_DATA_API_KEY not configured' });
+    const provider = await getFixtureProvider(pool);
+    const configError = provider.configError();
+    if (configError) {
+      return res.status(400).json({ success: false, error: configError });
     }
 
-    const season = req.body.season || await getCurrentSeason(pool);
+    const { competition: competitionCode, season } = await resolveCompetitionSeason(req.body);
+    const competition = await getCompetition(pool, competitionCode);
+    if (!competition) {
+      return res.status(400).json({ success: false, error: `Unknown competition "${competitionCode}"` });
+    }
     const upcomingOnly = req.body.upcomingOnly !== false; // default true
-    const headers = { 'X-Auth-Token': apiKey };
 
     // Fetch teams (always import all teams)
-    const teamsResponse = await fetch(`https://api.football-data.org/v4/competitions/PL/teams?season=${season}`, { headers });
-    if (!teamsResponse.ok) {
-      const errorText = await teamsResponse.text();
-      return res.status(teamsResponse.status).json({ success: false, error: `Football-data API error: ${errorText}` });
-    }
-    const teamsData = await teamsResponse.json();
+    const teams = await provider.getTeams(competition.code, season);
 
     let teamsImported = 0;
-    for (const team of teamsData.teams) {
+    for (const team of teams) {
       await pool.query(
-        `INSERT INTO pl_teams (name, short_name, api_id, crest_url, season)
-         VALUES ($1, $2, $3, $4, $5)
-         ON CONFLICT (short_name, season) DO UPDATE SET
+        `INSERT INTO pl_teams (name, short_name, api_id, crest_url, season, competition_code)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (short_name, season, competition_code) DO UPDATE SET
            name = EXCLUDED.name, api_id = EXCLUDED.api_id, crest_url = EXCLUDED.crest_url`,
-        [team.name, team.tla, team.id, team.crest, season]
+        [team.name, team.shortName, team.apiId, team.crestUrl, season, competition.code]
       );
       teamsImported++;
     }
@@ -110,98 +156,60 @@ router.post('/import', requireAdmin, async (req, res) => {
     // Determine which gameweeks to import
     let currentGw = null;
     if (upcomingOnly) {
-      currentGw = await autoDetectGameweek(pool, season);
+      currentGw = await autoDetectGameweek(pool, season, competition.code);
       // If we can't detect, fall back to importing everything
     }
 
-    // Fetch fixtures — use matchday filter if importing upcoming only and we know the current GW
-    let matchesUrl = `https://api.football-data.org/v4/competitions/PL/matches?season=${season}`;
-    if (upcomingOnly && currentGw) {
-      // Import current GW + next 2 GWs (covers the immediate upcoming period)
-      const fromGw = Math.max(1, currentGw);
-      const toGw = Math.min(38, currentGw + 2);
-      matchesUrl += `&matchday=${fromGw}`;
-      // football-data.org only supports single matchday filter, so fetch range by looping
-    }
-
-    // For upcoming-only with known GW, fetch just a few gameweeks
+    // For upcoming-only with known GW, fetch just a few gameweeks, one matchday at a time
     let allMatches = [];
     if (upcomingOnly && currentGw) {
+      // Import current GW + next 2 GWs (covers the immediate upcoming period)
       const fromGw = Math.max(1, currentGw);
-      const toGw = Math.min(38, currentGw + 2);
+      const toGw = Math.min(competition.gameweeks, currentGw + 2);
       for (let gw = fromGw; gw <= toGw; gw++) {
-        const gwUrl = `https://api.football-data.org/v4/competitions/PL/matches?season=${season}&matchday=${gw}`;
-        const gwResponse = await fetch(gwUrl, { headers });
-        if (gwResponse.ok) {
-          const gwData = await gwResponse.json();
-          allMatches.push(...(gwData.matches || []));
-        }
+        allMatches.push(...await provider.getFixtures(competition.code, season, { matchday: gw }));
       }
     } else {
       // Full season import
-      const matchesResponse = await fetch(`https://api.football-data.org/v4/competitions/PL/matches?season=${season}`, { headers });
-      if (!matchesResponse.ok) {
-        const errorText = await matchesResponse.text();
-        return res.status(matchesResponse.status).json({ success: false, error: `Football-data API error: ${errorText}` });
-      }
-      const matchesData = await matchesResponse.json();
-      allMatches = matchesData.matches || [];
+      allMatches = await provider.getFixtures(competition.code, season);
     }
 
-    let fixturesImported = 0;
-    for (const match of allMatches) {
-      // Look up team IDs by api_id
-      const homeTeam = await pool.query(
-        'SELECT team_id FROM pl_teams WHERE api_id = $1 AND season = $2',
-        [match.homeTeam.id, season]
-      );
-      const awayTeam = await pool.query(
-        'SELECT team_id FROM pl_teams WHERE api_id = $1 AND season = $2',
-        [match.awayTeam.id, season]
-      );
-
-      if (homeTeam.rows.length === 0 || awayTeam.rows.length === 0) continue;
-
-      const status = match.status === 'FINISHED' ? 'finished'
-        : match.status === 'IN_PLAY' || match.status === 'PAUSED' ? 'in_play'
-        : match.status === 'POSTPONED' ? 'postponed'
-        : 'scheduled';
+    const report = await importProviderFixtures(pool, competition.code, season, allMatches);
+    const reevaluated = await reevaluateCorrections(pool, report.corrections);
 
-      await pool.query(
-        `INSERT INTO pl_fixtures (season, gameweek, home_team_id, away_team_id, match_date, home_score, away_score, status, api_match_id)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-         ON CONFLICT (season, gameweek, home_team_id, away_team_id) DO UPDATE SET
-           match_date = EXCLUDED.match_date, home_score = EXCLUDED.home_score,
-           away_score = EXCLUDED.away_score, status = EXCLUDED.status,
-           api_match_id = EXCLUDED.api_match_id, updated_at = CURRENT_TIMESTAMP`,
-        [
-          season,
-          match.matchday,
-          homeTeam.rows[0].team_id,
-          awayTeam.rows[0].team_id,
-          match.utcDate,
-          match.score?.fullTime?.home ?? null,
-          match.score?.fullTime?.away ?? null,
-          status,
-          match.id
-        ]
-      );
-      fixturesImported++;
+    for (const move of report.moved) {
+      await recordAudit(pool, req, {
+        action: 'move_fixture',
+        target: `${competition.code} ${season}: ${move.match}`,
+        before: { gameweek: move.fromGameweek },
+        after: { gameweek: move.toGameweek, picksAffected: move.picksAffected },
+      });
     }
 
-    // Auto-update current_season and current_gameweek settings
-    await updateSetting(pool, 'current_season', season);
-    const detectedGw = await autoDetectGameweek(pool, season);
-    if (detectedGw != null) {
-      await updateSetting(pool, 'current_gameweek', detectedGw);
+    // Auto-update the competition's current season (and current_gameweek for the Premier League)
+    await setCompetitionSeason(pool, competition.code, season);
+    if (competition.code === DEFAULT_COMPETITION) {
+      const detectedGw = await autoDetectGameweek(pool, season);
+      if (detectedGw != null) {
+        await updateSetting(pool, 'current_gameweek', detectedGw);
+      }
     }
 
     const gwRange = (upcomingOnly && currentGw)
-      ? ` (GW${currentGw}-${Math.min(38, currentGw + 2)})`
+      ? ` (GW${currentGw}-${Math.min(competition.gameweeks, currentGw + 2)})`
       : ' (full season)';
     res.json({
       success: true,
-      message: `Imported ${teamsImported} teams and ${fixturesImported} fixtures${gwRange} for season ${season}/${season + 1}`
+      changes: {
+        moved: report.moved,
+        rescheduled: report.rescheduled,
+        duplicatesRemoved: report.duplicatesRemoved,
+        corrections: reevaluated,
+      },
+      message: `Imported ${teamsImported} ${competition.name} teams and ${report.imported} fixtures${gwRange} for season ${season}/${season + 1}`
+        + (report.kept > 0 ? `, keeping ${report.kept} manually edited fixtures` : '')
+        + (report.moved.length > 0 ? `. ${report.moved.length} fixtures moved to another gameweek` : '')
+        + (report.rescheduled.length > 0 ? `. ${report.rescheduled.length} kickoffs changed` : '')
     });
   } catch (error) {
     console.error('Error importing fixtures:', error);
@@ -209,47 +217,37 @@ router.post('/import', requireAdmin, async (req, res) => {
   }
 });
 
-// POST /api/fixtures/update-results - Fetch latest results from football-data.org (admin only)
+// POST /api/fixtures/update-results - Fetch latest results from the fixture provider (admin only)
 router.post('/update-results', requireAdmin, async (req, res) => {
   try {
-    const apiKey = process.env.FOOTBALL_DATA_API_KEY;
-    if (!apiKey || apiKey === 'your-key-here' || apiKey === 'your-api-key-here') {
-      return res.status(400).json({ success: false, error: 'FOOTBALL_DATA_API_KEY not configured' });
+    const provider = await getFixtureProvider(pool);
+    const configError = provider.configError();
+    if (configError) {
+      return res.status(400).json({ success: false, error: configError });
     }
 
-    const season = req.body.season || await getCurrentSeason(pool);
-    const headers = { 'X-Auth-Token': apiKey };
+    const { competition, season } = await resolveCompetitionSeason(req.body);
 
     // Fetch all matches for the season
-    const matchesResponse = await fetch(`https://api.football-data.org/v4/competitions/PL/matches?season=${season}`, { headers });
-    if (!matchesResponse.ok) {
-      const errorText = await matchesResponse.text();
-      return res.status(matchesResponse.status).json({ success: false, error: `Football-data API error: ${errorText}` });
-    }
-    const matchesData = await matchesResponse.json();
-
-    let updated = 0;
-    for (const match of matchesData.matches) {
-      if (match.status !== 'FINISHED') continue;
+    const matches = await provider.getFixtures(competition, season);
+    const live = await applyLiveScores(pool, matches);
+    const { updated, corrections } = await applyProviderResults(pool, matches);
+    const reevaluated = await reevaluateCorrections(pool, corrections);
 
-      const result = await pool.query(
-        `UPDATE pl_fixtures
-         SET home_score = $1, away_score = $2, status = 'finished', updated_at = CURRENT_TIMESTAMP
-         WHERE api_match_id = $3 AND status != 'finished'`,
-        [match.score.fullTime.home, match.score.fullTime.away, match.id]
-      );
-      updated += result.rowCount;
-    }
-
-    // Auto-update current_gameweek after results update
-    const detectedGw = await autoDetectGameweek(pool, season);
-    if (detectedGw != null) {
-      await updateSetting(pool, 'current_gameweek', detectedGw);
+    // Auto-update current_gameweek after results update (a Premier League setting)
+    if (competition === DEFAULT_COMPETITION) {
+      const detectedGw = await autoDetectGameweek(pool, season);
+      if (detectedGw != null) {
+        await updateSetting(pool, 'current_gameweek', detectedGw);
+      }
     }
 
     res.json({
       success: true,
+      corrections: reevaluated,
       message: `Updated ${updated} fixture results`
+        + (live > 0 ? `, ${live} live scores` : '')
+        + (corrections.length > 0 ? `, corrected ${corrections.length} scores (${reevaluated.length} games affected)` : '')
     });
   } catch (error) {
     console.error('Error updating results:', error);
@@ -257,4 +255,254 @@ router.post('/update-results', requireAdmin, async (req, res) => {
   }
 });
 
+// Admin fixture editing. Any edit marks the fixture manually_edited so
+// provider imports and results updates leave it alone until it's released.
+
+const FIXTURE_STATUSES = ['scheduled', 'in_play', 'finished', 'postponed', 'abandoned'];
+
+// Why a fixture's fields are invalid for its competition, or null if they're fine
+function fixtureError(fixture, competition) {
+  const { gameweek, status, home_score: homeScore, away_score: awayScore } = fixture;
+  if (!Number.isInteger(gameweek) || gameweek < 1 || gameweek > competition.gameweeks) {
+    return `gameweek must be between 1 and ${competition.gameweeks} for ${competition.name}`;
+  }
+  if (!FIXTURE_STATUSES.includes(status)) {
+    return `Invalid status. Must be one of: ${FIXTURE_STATUSES.join(', ')}`;
+  }
+  for (const score of [homeScore, awayScore]) {
+    if (score != null && (!Number.isInteger(score) || score < 0)) {
+      return 'Scores must be whole numbers of 0 or more';
+    }
+  }
+  if (status === 'finished' && (homeScore == null || awayScore == null)) {
+    return 'A finished fixture needs both scores';
+  }
+  if (fixture.match_date && isNaN(new Date(fixture.match_date))) {
+    return 'Invalid kickoff time';
+  }
+  return null;
+}
+
+function toScore(value) {
+  return value === '' || value == null ? null : Number(value);
+}
+
+// POST /api/fixtures - Add a fixture by hand (admin only)
+router.post('/', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { homeTeamId, awayTeamId, matchDate } = req.body;
+    const { competition: competitionCode, season } = await resolveCompetitionSeason(req.body);
+    const competition = await getCompetition(pool, competitionCode);
+    if (!competition) {
+      return res.status(400).json({ success: false, error: `Unknown competition "${competitionCode}"` });
+    }
+
+    const fixture = {
+      gameweek: parseInt(req.body.gameweek),
+      status: req.body.status || 'scheduled',
+      home_score: toScore(req.body.homeScore),
+      away_score: toScore(req.body.awayScore),
+      match_date: matchDate || null,
+    };
+    const validationError = fixtureError(fixture, competition);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+    if (!homeTeamId || !awayTeamId || parseInt(homeTeamId) === parseInt(awayTeamId)) {
+      return res.status(400).json({ success: false, error: 'Choose two different teams' });
+    }
+
+    const teams = await client.query(
+      `SELECT team_id, short_name FROM pl_teams
+       WHERE team_id = ANY($1::int[]) AND season = $2 AND competition_code = $3`,
+      [[parseInt(homeTeamId), parseInt(awayTeamId)], season, competition.code]
+    );
+    if (teams.rows.length !== 2) {
+      return res.status(400).json({ success: false, error: `Both teams must be in ${competition.name} ${season}` });
+    }
+    const shortName = (teamId) => teams.rows.find(t => t.team_id === parseInt(teamId)).short_name;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO pl_fixtures (competition_code, season, gameweek, home_team_id, away_team_id, match_date,
+                                home_score, away_score, status, manually_edited)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE)
+       RETURNING *`,
+      [
+        competition.code, season, fixture.gameweek, homeTeamId, awayTeamId, fixture.match_date,
+        fixture.home_score, fixture.away_score, fixture.status,
+      ]
+    );
+
+    await recordAudit(client, req, {
+      action: 'create_fixture',
+      target: `${competition.code} ${season} GW${fixture.gameweek}: ${shortName(homeTeamId)} v ${shortName(awayTeamId)}`,
+      after: {
+        match_date: fixture.match_date, status: fixture.status,
+        home_score: fixture.home_score, away_score: fixture.away_score,
+      },
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json({ success: true, fixture: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(400).json({ success: false, error: 'That fixture already exists in this gameweek' });
+    }
+    console.error('Error creating fixture:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/fixtures/:fixtureId - Reschedule, move gameweek or set score/status (admin only)
+// Send manuallyEdited: false to hand the fixture back to the provider sync.
+router.put('/:fixtureId', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const existing = await client.query(
+      `SELECT f.*, ht.short_name AS home_short, at.short_name AS away_short
+       FROM pl_fixtures f
+       JOIN pl_teams ht ON f.home_team_id = ht.team_id
+       JOIN pl_teams at ON f.away_team_id = at.team_id
+       WHERE f.fixture_id = $1`,
+      [req.params.fixtureId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Fixture not found' });
+    }
+    const before = existing.rows[0];
+    const competition = await getCompetition(pool, before.competition_code);
+
+    const { gameweek, matchDate, status, homeScore, awayScore, manuallyEdited } = req.body;
+    const releasing = manuallyEdited === false;
+    const fixture = {
+      gameweek: gameweek !== undefined ? parseInt(gameweek) : before.gameweek,
+      match_date: matchDate !== undefined ? (matchDate || null) : before.match_date,
+      status: status !== undefined ? status : before.status,
+      home_score: homeScore !== undefined ? toScore(homeScore) : before.home_score,
+      away_score: awayScore !== undefined ? toScore(awayScore) : before.away_score,
+    };
+    const validationError = fixtureError(fixture, competition);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    await client.query('BEGIN');
+
+    // A changed score on a finished fixture may change games that already processed it
+    const scoreCorrected = before.status === 'finished' && fixture.status === 'finished'
+      && (fixture.home_score !== before.home_score || fixture.away_score !== before.away_score);
+    const correction = scoreCorrected
+      ? await recordCorrection(client, before, fixture.home_score, fixture.away_score)
+      : null;
+
+    const result = await client.query(
+      `UPDATE pl_fixtures
+       SET gameweek = $2, match_date = $3, status = $4, home_score = $5, away_score = $6,
+           minute = CASE WHEN $4 = 'in_play' THEN minute END,
+           manually_edited = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE fixture_id = $1
+       RETURNING *`,
+      [
+        before.fixture_id, fixture.gameweek, fixture.match_date, fixture.status,
+        fixture.home_score, fixture.away_score, !releasing,
+      ]
+    );
+
+    // Picks on it in the gameweek it left are settled as postponed, as when an import moves it
+    const picksAffected = fixture.gameweek !== before.gameweek
+      ? await markPicksOnMovedFixture(client, before, before.gameweek)
+      : 0;
+
+    const auditFields = (f) => ({
+      gameweek: f.gameweek, match_date: f.match_date, status: f.status,
+      home_score: f.home_score, away_score: f.away_score, manually_edited: f.manually_edited,
+    });
+    await recordAudit(client, req, {
+      action: releasing ? 'release_fixture' : 'edit_fixture',
+      target: `${before.competition_code} ${before.season} GW${before.gameweek}: ${before.home_short} v ${before.away_short}`,
+      before: auditFields(before),
+      after: auditFields(result.rows[0]),
+    });
+
+    await client.query('COMMIT');
+
+    const reevaluated = correction ? await reevaluateCorrections(pool, [correction]) : [];
+    res.json({ success: true, fixture: result.rows[0], picksAffected, corrections: reevaluated });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(400).json({ success: false, error: 'That fixture already exists in the target gameweek' });
+    }
+    console.error('Error updating fixture:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/fixtures/:fixtureId - Remove a fixture nobody has picked (admin only)
+router.delete('/:fixtureId', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const existing = await client.query(
+      `SELECT f.*, ht.short_name AS home_short, at.short_name AS away_short
+       FROM pl_fixtures f
+       JOIN pl_teams ht ON f.home_team_id = ht.team_id
+       JOIN pl_teams at ON f.away_team_id = at.team_id
+       WHERE f.fixture_id = $1`,
+      [req.params.fixtureId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Fixture not found' });
+    }
+    const fixture = existing.rows[0];
+
+    // Picks on either team that gameweek (or waiting on this fixture) would lose their match
+    const picks = await client.query(
+      `SELECT COUNT(*) AS count
+       FROM picks p
+       JOIN games g ON p.game_id = g.game_id
+       WHERE p.pending_fixture_id = $1
+          OR (g.season = $2 AND g.competition_code = $3 AND p.gameweek = $4 AND p.pl_team_id IN ($5, $6))`,
+      [
+        fixture.fixture_id, fixture.season, fixture.competition_code, fixture.gameweek,
+        fixture.home_team_id, fixture.away_team_id,
+      ]
+    );
+    const pickCount = parseInt(picks.rows[0].count);
+    if (pickCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${pickCount} pick(s) depend on this fixture. Postpone or reschedule it instead.`
+      });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM pl_fixtures WHERE fixture_id = $1', [fixture.fixture_id]);
+    await recordAudit(client, req, {
+      action: 'delete_fixture',
+      target: `${fixture.competition_code} ${fixture.season} GW${fixture.gameweek}: ${fixture.home_short} v ${fixture.away_short}`,
+      before: {
+        match_date: fixture.match_date, status: fixture.status,
+        home_score: fixture.home_score, away_score: fixture.away_score,
+      },
+    });
+    await client.query('COMMIT');
+
+    res.json({ success: true, message: 'Fixture deleted' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting fixture:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -2,29 +2,47 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/connection');
 const { requireAuth, requireAdmin, requireGameAdmin } = require('../middleware/requireAuth');
-const { getCurrentSeason, getCurrentGameweek, getGameweekOverride, isDeadlineOverridden } = require('../helpers/settings');
+const { getCurrentSeason, isDeadlineOverridden, getGameweekForSeason } = require('../helpers/settings');
 const { ensureUserExists } = require('../helpers/userManager');
+const { validateRules, getBlockedTeamIds, kickoffsByGameweek } = require('../helpers/gameRules');
+const { deadlineRuleError, getGameweekDeadlines } = require('../helpers/deadlines');
+const {
+  recordPick, settleImportedPicks, getPlayerStandings, standingsChanges,
+} = require('../helpers/eliminationEngine');
+const { recordAudit, listAudit } = require('../helpers/audit');
+const { notify, notifyStandingsChanges } = require('../helpers/notifications');
+const { pushNotifications } = require('../helpers/push');
+const { DEFAULT_COMPETITION, getCompetition, getCompetitionSeason } = require('../helpers/competitions');
+const {
+  PLAYED_STATUSES, transitionGame, getStartDeadline, joinClosedReason,
+} = require('../helpers/gameLifecycle');
 const picksRouter = require('./picks');
 
 // Mount picks routes under /api/games/:id/
 router.use('/:id', picksRouter);
 
-// GET /api/games - List games
+// GET /api/games?season=&competition= - List games
+// Without a season, lists the current season plus any game still in play
+// (other competitions can be on a different season year).
 router.get('/', async (req, res) => {
   try {
+    const browsingSeason = !!req.query.season;
     const season = req.query.season || await getCurrentSeason(pool);
+    const competition = req.query.competition || null;
 
     const result = await pool.query(
-      `SELECT g.game_id, g.game_name, g.season, g.admin_email, g.start_gameweek,
-              g.status, g.is_draw, g.created_at,
+      `SELECT g.game_id, g.game_name, g.season, g.competition_code, c.name AS competition_name,
+              g.admin_email, g.start_gameweek, g.status, g.is_draw, g.created_at,
               COUNT(gp.player_id) AS player_count,
               COUNT(gp.player_id) FILTER (WHERE gp.status = 'alive') AS alive_count
        FROM games g
+       LEFT JOIN competitions c ON c.code = g.competition_code
        LEFT JOIN game_players gp ON g.game_id = gp.game_id
-       WHERE g.season = $1
-       GROUP BY g.game_id
+       WHERE (g.season = $1 OR (NOT $2 AND g.status IN ('draft', 'open', 'active')))
+         AND ($3::text IS NULL OR g.competition_code = $3)
+       GROUP BY g.game_id, c.name
        ORDER BY g.status ASC, g.created_at DESC`,
-      [season]
+      [season, browsingSeason, competition]
     );
 
     // If user is authenticated, add their membership info
@@ -51,13 +69,31 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/games/seasons - Seasons that have games, newest first (for browsing past seasons)
+router.get('/seasons', async (req, res) => {
+  try {
+    const currentSeason = await getCurrentSeason(pool);
+    const result = await pool.query('SELECT DISTINCT season FROM games ORDER BY season DESC');
+    const seasons = result.rows.map(r => r.season);
+    if (!seasons.includes(currentSeason)) seasons.unshift(currentSeason);
+
+    res.json({ success: true, currentSeason, seasons });
+  } catch (error) {
+    console.error('Error fetching seasons:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/games/:id - Get game detail with players
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
     const gameResult = await pool.query(
-      `SELECT * FROM games WHERE game_id = $1`,
+      `SELECT g.*, c.name AS competition_name, c.gameweeks AS competition_gameweeks
+       FROM games g
+       LEFT JOIN competitions c ON c.code = g.competition_code
+       WHERE g.game_id = $1`,
       [id]
     );
 
@@ -69,7 +105,7 @@ router.get('/:id', async (req, res) => {
 
     const playersResult = await pool.query(
       `SELECT gp.player_id, gp.user_email, gp.username, gp.status,
-              gp.eliminated_gameweek, gp.joined_at,
+              gp.lives_remaining, gp.eliminated_gameweek, gp.joined_at,
               COUNT(p.pick_id) AS picks_made
        FROM game_players gp
        LEFT JOIN picks p ON gp.player_id = p.game_player_id
@@ -95,7 +131,8 @@ router.get('/:id', async (req, res) => {
         ...game,
         invite_code: isAdmin ? game.invite_code : undefined
       },
-      players: playersResult.rows
+      players: playersResult.rows,
+      startDeadline: await getStartDeadline(pool, game)
     });
   } catch (error) {
     console.error('Error fetching game:', error);
@@ -106,29 +143,70 @@ router.get('/:id', async (req, res) => {
 // POST /api/games - Create a new game
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const { gameName, startGameweek } = req.body;
+    const {
+      gameName, startGameweek, drawRule, lives, allOutRule, rolloverResetTeams, postponedPolicy, missedPickRule,
+      teamReuseRule, teamReuseLimit, status, joinClosesAtDeadline, competition: competitionCode, scoreCorrectionRule,
+      doubleGameweekRule, deadlineMode, deadlineRule,
+    } = req.body;
 
     if (!gameName) {
       return res.status(400).json({ success: false, error: 'gameName is required' });
     }
 
-    const season = await getCurrentSeason(pool);
+    // New games start as a draft or straight away open for joining
+    if (status && !['draft', 'open'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be draft or open' });
+    }
+
+    const rulesError = validateRules({
+      drawRule, lives, allOutRule, postponedPolicy, missedPickRule, teamReuseRule, teamReuseLimit, scoreCorrectionRule,
+      doubleGameweekRule, deadlineMode,
+    });
+    if (rulesError) {
+      return res.status(400).json({ success: false, error: rulesError });
+    }
+    // No deadlineRule means the site default
+    if (deadlineRule && deadlineRuleError(deadlineRule)) {
+      return res.status(400).json({ success: false, error: deadlineRuleError(deadlineRule) });
+    }
+
+    const competition = await getCompetition(pool, competitionCode || DEFAULT_COMPETITION);
+    if (!competition) {
+      return res.status(400).json({ success: false, error: `Unknown competition "${competitionCode}"` });
+    }
+    if (startGameweek && (startGameweek < 1 || startGameweek > competition.gameweeks)) {
+      return res.status(400).json({
+        success: false, error: `startGameweek must be between 1 and ${competition.gameweeks} for ${competition.name}`
+      });
+    }
+
+    const season = await getCompetitionSeason(pool, competition.code);
     const inviteCode = Math.random().toString(36).substring(2, 10).toUpperCase();
 
     const result = await pool.query(
-      `INSERT INTO games (game_name, season, created_by_email, admin_email, invite_code, start_gameweek, status)
-       VALUES ($1, $2, $3, $3, $4, $5, 'active')
+      `INSERT INTO games (game_name, season, created_by_email, admin_email, invite_code, start_gameweek, status,
+                          draw_rule, lives, all_out_rule, rollover_reset_teams, postponed_policy, missed_pick_rule,
+                          team_reuse_rule, team_reuse_limit, join_closes_at_deadline, competition_code,
+                          score_correction_rule, double_gameweek_rule, deadline_mode, deadline_rule)
+       VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
        RETURNING *`,
-      [gameName, season, req.session.email, inviteCode, startGameweek || 1]
+      [
+        gameName, season, req.session.email, inviteCode, startGameweek || 1, status || 'open',
+        drawRule || 'eliminate', lives || 1, allOutRule || 'draw', !!rolloverResetTeams,
+        postponedPolicy || 'survive', missedPickRule || 'eliminate',
+        teamReuseRule || 'after_all', teamReuseRule === 'max_uses' ? teamReuseLimit : null,
+        joinClosesAtDeadline !== false, competition.code, scoreCorrectionRule || 'rerun',
+        doubleGameweekRule || 'first', deadlineMode || 'gameweek', deadlineRule || null
+      ]
     );
 
     const game = result.rows[0];
 
     // Auto-add the creator as a player
     await pool.query(
-      `INSERT INTO game_players (game_id, user_email, username)
-       VALUES ($1, $2, $3)`,
-      [game.game_id, req.session.email, req.session.username || req.session.email]
+      `INSERT INTO game_players (game_id, user_email, username, lives_remaining)
+       VALUES ($1, $2, $3, $4)`,
+      [game.game_id, req.session.email, req.session.username || req.session.email, game.lives]
     );
 
     res.status(201).json({
@@ -165,8 +243,9 @@ router.post('/join', requireAuth, async (req, res) => {
 
     const game = gameResult.rows[0];
 
-    if (game.status !== 'open') {
-      return res.status(400).json({ success: false, error: 'This game is no longer accepting players' });
+    const closedReason = await joinClosedReason(pool, game);
+    if (closedReason) {
+      return res.status(400).json({ success: false, error: closedReason });
     }
 
     // Check if already a member
@@ -180,9 +259,9 @@ router.post('/join', requireAuth, async (req, res) => {
     }
 
     await pool.query(
-      `INSERT INTO game_players (game_id, user_email, username)
-       VALUES ($1, $2, $3)`,
-      [game.game_id, req.session.email, req.session.username || req.session.email]
+      `INSERT INTO game_players (game_id, user_email, username, lives_remaining)
+       VALUES ($1, $2, $3, $4)`,
+      [game.game_id, req.session.email, req.session.username || req.session.email, game.lives]
     );
 
     res.json({
@@ -208,32 +287,93 @@ router.post('/:id/start', requireAuth, requireGameAdmin(), async (req, res) => {
 
     const game = gameResult.rows[0];
 
-    if (game.status !== 'open') {
-      return res.status(400).json({ success: false, error: 'Game is not in open status' });
+    const transitionError = await transitionGame(pool, game, 'active');
+    if (transitionError) {
+      return res.status(400).json({ success: false, error: transitionError });
     }
 
-    // Need at least 2 players
-    const playerCount = await pool.query(
-      'SELECT COUNT(*) AS count FROM game_players WHERE game_id = $1',
-      [id]
-    );
+    await recordAudit(pool, req, {
+      gameId: game.game_id,
+      action: 'change_status',
+      before: { status: game.status },
+      after: { status: 'active' },
+    });
+
+    res.json({
+      success: true,
+      message: 'Game started!'
+    });
+  } catch (error) {
+    console.error('Error starting game:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (parseInt(playerCount.rows[0].count) < 2) {
-      return res.status(400).json({ success: false, error: 'Need at least 2 players to start a game' });
+// POST /api/games/:id/status - Move a game through its lifecycle (game admin only)
+// Opening a game can also move its start, e.g. for one that went back to draft
+// when its first gameweek kicked off without enough players.
+router.post('/:id/status', requireAuth, requireGameAdmin(), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const startGameweek = req.body.startGameweek ? parseInt(req.body.startGameweek) : null;
+
+    if (!status) {
+      return res.status(400).json({ success: false, error: 'status is required' });
+    }
+    if (startGameweek && status !== 'open') {
+      return res.status(400).json({ success: false, error: 'startGameweek can only be changed when opening a game' });
     }
 
-    await pool.query(
-      `UPDATE games SET status = 'active' WHERE game_id = $1`,
-      [id]
-    );
+    const gameResult = await pool.query('SELECT * FROM games WHERE game_id = $1', [id]);
+    if (gameResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+    const game = gameResult.rows[0];
+
+    if (startGameweek) {
+      const competition = await getCompetition(pool, game.competition_code);
+      if (startGameweek < 1 || startGameweek > competition.gameweeks) {
+        return res.status(400).json({
+          success: false, error: `startGameweek must be between 1 and ${competition.gameweeks} for ${competition.name}`
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const moved = startGameweek ? { ...game, start_gameweek: startGameweek } : game;
+    if (startGameweek) {
+      await client.query('UPDATE games SET start_gameweek = $1 WHERE game_id = $2', [startGameweek, game.game_id]);
+    }
+
+    const transitionError = await transitionGame(client, moved, status);
+    if (transitionError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: transitionError });
+    }
+
+    await recordAudit(client, req, {
+      gameId: game.game_id,
+      action: 'change_status',
+      before: { status: game.status, start_gameweek: game.start_gameweek },
+      after: { status, start_gameweek: moved.start_gameweek },
+    });
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
-      message: 'Game started!'
+      status,
+      message: `Game is now ${status}${startGameweek ? `, starting GW${startGameweek}` : ''}`
     });
   } catch (error) {
-    console.error('Error starting game:', error);
+    await client.query('ROLLBACK');
+    console.error('Error changing game status:', error);
     res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -249,7 +389,7 @@ router.get('/:id/standings', async (req, res) => {
 
     const playersResult = await pool.query(
       `SELECT gp.player_id, gp.user_email, gp.username, gp.status,
-              gp.eliminated_gameweek,
+              gp.lives_remaining, gp.eliminated_gameweek,
               COUNT(p.pick_id) AS picks_made,
               COUNT(DISTINCT p.pl_team_id) AS teams_used
        FROM game_players gp
@@ -282,53 +422,52 @@ router.get('/:id/standings', async (req, res) => {
 router.get('/:id/history', async (req, res) => {
   try {
     const { id } = req.params;
-    const season = await getCurrentSeason(pool);
     const requestingUser = req.session?.email;
     const requestingRole = req.session?.role;
 
-    // Use gameweek override if set (testing mode), otherwise auto-detect
-    const gwOverride = await getGameweekOverride(pool);
-    let currentGameweek;
-    if (gwOverride != null) {
-      currentGameweek = gwOverride;
-    } else {
-      currentGameweek = await getCurrentGameweek(pool);
-      // Also try auto-detect from fixtures
-      const { autoDetectGameweek } = require('../helpers/settings');
-      const detected = await autoDetectGameweek(pool, season);
-      if (detected != null) currentGameweek = detected;
+    // Get the game to know its competition, season, start_gameweek and admin
+    const gameResult = await pool.query(
+      `SELECT season, competition_code, start_gameweek, admin_email, deadline_mode, deadline_rule
+       FROM games WHERE game_id = $1`,
+      [id]
+    );
+    if (gameResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
     }
+    const { season, competition_code: competition } = gameResult.rows[0];
+    const startGw = gameResult.rows[0].start_gameweek;
+
+    const currentGameweek = await getGameweekForSeason(pool, season, competition);
 
     // Check deadline override (testing mode)
     const deadlineOverride = await isDeadlineOverridden(pool);
 
-    // Get the game to know the start_gameweek and admin
-    const gameResult = await pool.query('SELECT start_gameweek, admin_email FROM games WHERE game_id = $1', [id]);
-    if (gameResult.rows.length === 0) {
-      return res.status(404).json({ success: false, error: 'Game not found' });
-    }
-    const startGw = gameResult.rows[0].start_gameweek;
     const isGameAdmin = requestingUser === gameResult.rows[0].admin_email || requestingRole === 'admin';
 
     // Get deadlines for all gameweeks that have fixtures
-    const deadlinesResult = await pool.query(
-      `SELECT gameweek, MIN(match_date) AS deadline
-       FROM pl_fixtures
-       WHERE season = $1 AND match_date IS NOT NULL
-       GROUP BY gameweek
-       ORDER BY gameweek`,
-      [season]
-    );
-    const deadlines = {};
-    deadlinesResult.rows.forEach(row => {
-      deadlines[row.gameweek] = row.deadline;
+    const deadlines = await getGameweekDeadlines(pool, {
+      competition, season, rule: gameResult.rows[0].deadline_rule,
     });
 
+    // Under rolling deadlines each pick is revealed when its team kicks off,
+    // and a gameweek is closed once every match going ahead has kicked off
+    const rolling = gameResult.rows[0].deadline_mode === 'rolling';
+    let kickoffs = {};
+    if (rolling && !deadlineOverride) {
+      const fixturesResult = await pool.query(
+        `SELECT gameweek, home_team_id, away_team_id, match_date, status
+         FROM pl_fixtures WHERE season = $1 AND competition_code = $2`,
+        [season, competition]
+      );
+      kickoffs = kickoffsByGameweek(fixturesResult.rows);
+    }
+
     // Get all picks for this game
     const result = await pool.query(
-      `SELECT p.pick_id, p.gameweek, p.result,
+      `SELECT p.pick_id, p.gameweek, p.result, p.auto_assigned,
               gp.player_id, gp.username, gp.user_email, gp.status AS player_status,
-              t.name AS team_name, t.short_name AS team_short
+              gp.lives_remaining,
+              t.team_id, t.name AS team_name, t.short_name AS team_short
        FROM picks p
        JOIN game_players gp ON p.game_player_id = gp.player_id
        JOIN pl_teams t ON p.pl_team_id = t.team_id
@@ -346,22 +485,27 @@ router.get('/:id/history', async (req, res) => {
       if (!history[gw]) {
         const deadline = deadlines[gw];
         // If deadline override is on, treat all deadlines as NOT passed
-        const deadlinePassed = deadlineOverride ? false : (deadline ? new Date(deadline) < now : false);
+        const deadlinePassed = deadlineOverride ? false
+          : rolling ? !!kickoffs[gw]?.allKickedOff
+          : (deadline ? new Date(deadline) < now : false);
         history[gw] = { deadlinePassed, picks: [] };
       }
 
       const isOwnPick = row.user_email === requestingUser;
+      const kickedOff = rolling && !!kickoffs[gw]?.kickedOffTeamIds.has(row.team_id);
 
-      if (history[gw].deadlinePassed || isOwnPick || isGameAdmin) {
+      if (history[gw].deadlinePassed || kickedOff || isOwnPick || isGameAdmin) {
         // Show the pick (team visible)
         history[gw].picks.push({
           pick_id: row.pick_id,
           player_id: row.player_id,
           username: row.username,
           user_email: row.user_email,
+          lives_remaining: row.lives_remaining,
           team_name: row.team_name,
           team_short: row.team_short,
           result: row.result,
+          auto_assigned: row.auto_assigned,
         });
       } else {
         // Deadline not passed and not own pick: hide team but show that a pick was made
@@ -370,6 +514,7 @@ router.get('/:id/history', async (req, res) => {
           player_id: row.player_id,
           username: row.username,
           user_email: row.user_email,
+          lives_remaining: row.lives_remaining,
           team_name: null,
           team_short: null,
           result: null,
@@ -390,8 +535,20 @@ router.get('/:id/history', async (req, res) => {
   }
 });
 
+// GET /api/games/:id/audit - Administrative changes to this game (visible to everyone)
+router.get('/:id/audit', async (req, res) => {
+  try {
+    const entries = await listAudit(pool, { gameId: parseInt(req.params.id) });
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching game audit log:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // DELETE /api/games/:id - Delete a game (game admin or site admin only)
 router.delete('/:id', requireAuth, async (req, res) => {
+  const client = await pool.connect();
   try {
     const { id } = req.params;
 
@@ -407,16 +564,31 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, error: 'Only the game admin can delete this game' });
     }
 
+    await client.query('BEGIN');
+
+    // The audit row outlives the game (audit_log has no foreign key to it)
+    await recordAudit(client, req, {
+      gameId: game.game_id,
+      action: 'delete_game',
+      target: game.game_name,
+      before: { status: game.status, admin_email: game.admin_email },
+    });
+
     // CASCADE handles picks and game_players
-    await pool.query('DELETE FROM games WHERE game_id = $1', [id]);
+    await client.query('DELETE FROM games WHERE game_id = $1', [id]);
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
       message: `Game "${game.game_name}" deleted successfully`
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error deleting game:', error);
     res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -445,12 +617,20 @@ router.post('/:id/add-player', requireAuth, requireGameAdmin(), async (req, res)
     const playerUsername = username || userInfo.username;
 
     const result = await pool.query(
-      `INSERT INTO game_players (game_id, user_email, username)
-       VALUES ($1, $2, $3)
+      `INSERT INTO game_players (game_id, user_email, username, lives_remaining)
+       VALUES ($1, $2, $3, (SELECT lives FROM games WHERE game_id = $1))
        RETURNING *`,
       [id, email.trim().toLowerCase(), playerUsername]
     );
 
+    const gameName = await pool.query('SELECT game_name FROM games WHERE game_id = $1', [id]);
+    await notify(pool, {
+      userEmails: [result.rows[0].user_email],
+      type: 'added_to_game',
+      message: `${req.session.username || req.session.email} added you to "${gameName.rows[0].game_name}"`,
+      gameId: parseInt(id),
+    });
+
     const msg = userInfo.created
       ? `Added ${playerUsername} to the game (account created — they'll need to set a password)`
       : `Added ${playerUsername} to the game`;
@@ -468,6 +648,7 @@ router.post('/:id/add-player', requireAuth, requireGameAdmin(), async (req, res)
 
 // POST /api/games/:id/import-pick - Import a pick for a player (game admin only, for retrospective entry)
 router.post('/:id/import-pick', requireAuth, requireGameAdmin(), async (req, res) => {
+  const client = await pool.connect();
   try {
     const { id } = req.params;
     const { playerEmail, gameweek, teamShortName } = req.body;
@@ -476,7 +657,15 @@ router.post('/:id/import-pick', requireAuth, requireGameAdmin(), async (req, res
       return res.status(400).json({ success: false, error: 'playerEmail, gameweek, and teamShortName are required' });
     }
 
-    const season = await getCurrentSeason(pool);
+    const gameResult = await pool.query('SELECT * FROM games WHERE game_id = $1', [id]);
+    if (gameResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+    const game = gameResult.rows[0];
+    const season = game.season;
+    if (!PLAYED_STATUSES.includes(game.status)) {
+      return res.status(400).json({ success: false, error: `Picks can't be imported into a ${game.status} game` });
+    }
 
     // Look up player
     const playerResult = await pool.query(
@@ -490,67 +679,68 @@ router.post('/:id/import-pick', requireAuth, requireGameAdmin(), async (req, res
 
     // Look up team
     const teamResult = await pool.query(
-      'SELECT team_id, name FROM pl_teams WHERE short_name = $1 AND season = $2',
-      [teamShortName.toUpperCase(), season]
+      'SELECT team_id, name FROM pl_teams WHERE short_name = $1 AND season = $2 AND competition_code = $3',
+      [teamShortName.toUpperCase(), season, game.competition_code]
     );
     if (teamResult.rows.length === 0) {
       return res.status(404).json({ success: false, error: `Team "${teamShortName}" not found for season ${season}` });
     }
     const team = teamResult.rows[0];
 
-    // Check if team's fixture exists and determine result
-    const fixtureResult = await pool.query(
-      `SELECT home_team_id, away_team_id, home_score, away_score, status
-       FROM pl_fixtures
-       WHERE (home_team_id = $1 OR away_team_id = $1) AND gameweek = $2 AND season = $3`,
-      [team.team_id, gameweek, season]
-    );
-
-    let result = null;
-    if (fixtureResult.rows.length > 0 && fixtureResult.rows[0].status === 'finished') {
-      const f = fixtureResult.rows[0];
-      const isHome = f.home_team_id === team.team_id;
-      if (f.home_score > f.away_score) {
-        result = isHome ? 'win' : 'loss';
-      } else if (f.home_score < f.away_score) {
-        result = isHome ? 'loss' : 'win';
-      } else {
-        result = 'draw';
-      }
+    // The game's team reuse rule applies to imported picks too
+    const blockedTeamIds = await getBlockedTeamIds(pool, game, player.player_id, gameweek, season);
+    if (blockedTeamIds.includes(team.team_id)) {
+      return res.status(400).json({
+        success: false,
+        error: `${player.username} can't pick ${team.name} in GW${gameweek} under this game's team reuse rule`
+      });
     }
 
-    // Upsert pick
-    const pickResult = await pool.query(
-      `INSERT INTO picks (game_id, game_player_id, gameweek, pl_team_id, result)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (game_id, game_player_id, gameweek) DO UPDATE SET
-         pl_team_id = EXCLUDED.pl_team_id, result = EXCLUDED.result, created_at = CURRENT_TIMESTAMP
-       RETURNING *`,
-      [id, player.player_id, gameweek, team.team_id, result]
+    await client.query('BEGIN');
+
+    const previousPick = await client.query(
+      `SELECT t.short_name AS team, p.result FROM picks p
+       JOIN pl_teams t ON p.pl_team_id = t.team_id
+       WHERE p.game_id = $1 AND p.game_player_id = $2 AND p.gameweek = $3`,
+      [id, player.player_id, gameweek]
     );
 
-    // If the result is a loss or draw, eliminate the player
-    let statusChanged = false;
-    if (result && result !== 'win') {
-      const updateResult = await pool.query(
-        `UPDATE game_players
-         SET status = 'eliminated', eliminated_gameweek = $1, eliminated_pick_id = $2
-         WHERE player_id = $3 AND status = 'alive'
-         RETURNING player_id`,
-        [gameweek, pickResult.rows[0].pick_id, player.player_id]
-      );
-      statusChanged = updateResult.rows.length > 0;
-    }
+    // Record the pick and settle it against its fixture (a loss costs a life)
+    const before = await getPlayerStandings(client, game.game_id);
+    const { pick, result, eliminated, revived } = await recordPick(
+      client, game, { playerId: player.player_id, gameweek, teamId: team.team_id }, season
+    );
+    // A completed game was settled when it finished; replay its standings to rework it
+    const completed = game.status === 'active'
+      && (await settleImportedPicks(client, game, parseInt(gameweek))).completed;
+
+    await recordAudit(client, req, {
+      gameId: game.game_id,
+      action: 'import_pick',
+      target: `${playerEmail} GW${gameweek}`,
+      before: previousPick.rows[0] || null,
+      after: { team: teamShortName.toUpperCase(), result, eliminated, revived, completed },
+    });
+    const changes = standingsChanges(before, await getPlayerStandings(client, game.game_id));
+    const notifications = await notifyStandingsChanges(
+      client, game, changes, `An imported GW${gameweek} pick`, parseInt(gameweek)
+    );
+
+    await client.query('COMMIT');
+    await pushNotifications(pool, notifications);
 
     res.json({
       success: true,
-      pick: pickResult.rows[0],
-      eliminated: statusChanged,
-      message: `Imported pick: ${player.username} → ${team.name} (GW${gameweek})${result ? ` [${result}]` : ''}${statusChanged ? ' — player eliminated' : ''}`
+      pick,
+      eliminated,
+      message: `Imported pick: ${player.username} → ${team.name} (GW${gameweek})${result ? ` [${result}]` : ''}${eliminated ? ' — player eliminated' : ''}${revived ? ' — player back in' : ''}${completed ? ' — game over' : ''}`
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error importing pick:', error);
     res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -568,12 +758,20 @@ router.post('/:id/bulk-import', requireAuth, requireGameAdmin(), async (req, res
       return res.status(400).json({ success: false, error: 'gameweeks array is required' });
     }
 
-    const season = await getCurrentSeason(pool);
+    const gameResult = await pool.query('SELECT * FROM games WHERE game_id = $1', [id]);
+    if (gameResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+    const game = gameResult.rows[0];
+    const season = game.season;
+    if (!PLAYED_STATUSES.includes(game.status)) {
+      return res.status(400).json({ success: false, error: `Picks can't be imported into a ${game.status} game` });
+    }
 
     // Get all team short names for lookup
     const teamsResult = await pool.query(
-      'SELECT team_id, short_name, name FROM pl_teams WHERE season = $1',
-      [season]
+      'SELECT team_id, short_name, name FROM pl_teams WHERE season = $1 AND competition_code = $2',
+      [season, game.competition_code]
     );
     const teamLookup = {};
     teamsResult.rows.forEach(t => {
@@ -582,7 +780,9 @@ router.post('/:id/bulk-import', requireAuth, requireGameAdmin(), async (req, res
 
     await client.query('BEGIN');
 
+    const before = await getPlayerStandings(client, game.game_id);
     const results = [];
+    let latestGameweek = null;
 
     for (const row of importRows) {
       const { email, username, picks } = row;
@@ -607,7 +807,9 @@ router.post('/:id/bulk-import', requireAuth, requireGameAdmin(), async (req, res
 
         // Add player to game
         playerResult = await client.query(
-          `INSERT INTO game_players (game_id, user_email, username) VALUES ($1, $2, $3) RETURNING player_id, username`,
+          `INSERT INTO game_players (game_id, user_email, username, lives_remaining)
+           VALUES ($1, $2, $3, (SELECT lives FROM games WHERE game_id = $1))
+           RETURNING player_id, username`,
           [id, trimmedEmail, playerUsername]
         );
       } else {
@@ -630,48 +832,45 @@ router.post('/:id/bulk-import', requireAuth, requireGameAdmin(), async (req, res
             continue;
           }
 
-          // Check fixture and determine result
-          const fixtureResult = await client.query(
-            `SELECT home_team_id, away_team_id, home_score, away_score, status
-             FROM pl_fixtures
-             WHERE (home_team_id = $1 OR away_team_id = $1) AND gameweek = $2 AND season = $3`,
-            [team.team_id, gw, season]
-          );
-
-          let result = null;
-          if (fixtureResult.rows.length > 0 && fixtureResult.rows[0].status === 'finished') {
-            const f = fixtureResult.rows[0];
-            const isHome = f.home_team_id === team.team_id;
-            if (f.home_score > f.away_score) {
-              result = isHome ? 'win' : 'loss';
-            } else if (f.home_score < f.away_score) {
-              result = isHome ? 'loss' : 'win';
-            } else {
-              result = 'draw';
-            }
+          const blockedTeamIds = await getBlockedTeamIds(client, game, playerId, gw, season);
+          if (blockedTeamIds.includes(team.team_id)) {
+            results.push({ email: trimmedEmail, error: `${team.name} can't be picked in GW${gw} under this game's team reuse rule` });
+            continue;
           }
 
-          // Upsert pick
-          await client.query(
-            `INSERT INTO picks (game_id, game_player_id, gameweek, pl_team_id, result)
-             VALUES ($1, $2, $3, $4, $5)
-             ON CONFLICT (game_id, game_player_id, gameweek) DO UPDATE SET
-               pl_team_id = EXCLUDED.pl_team_id, result = EXCLUDED.result, created_at = CURRENT_TIMESTAMP`,
-            [id, playerId, gw, team.team_id, result]
-          );
+          // Record the pick and settle it against its fixture (a loss costs a life)
+          await recordPick(client, game, { playerId, gameweek: gw, teamId: team.team_id }, season);
           picksImported++;
+          latestGameweek = Math.max(latestGameweek || 0, gw);
         }
       }
 
       results.push({ email: trimmedEmail, username: playerUsername, picksImported });
     }
 
+    const completed = game.status === 'active' && latestGameweek !== null
+      && (await settleImportedPicks(client, game, latestGameweek)).completed;
+
+    await recordAudit(client, req, {
+      gameId: parseInt(id),
+      action: 'bulk_import',
+      after: {
+        players: results.filter(r => !r.error).length,
+        picks: results.reduce((sum, r) => sum + (r.picksImported || 0), 0),
+        errors: results.filter(r => r.error).map(r => r.error),
+        completed,
+      },
+    });
+    const changes = standingsChanges(before, await getPlayerStandings(client, game.game_id));
+    const notifications = await notifyStandingsChanges(client, game, changes, 'Imported picks', latestGameweek);
+
     await client.query('COMMIT');
+    await pushNotifications(pool, notifications);
 
     res.json({
       success: true,
       results,
-      message: `Imported ${results.filter(r => !r.error).length} players with picks`
+      message: `Imported ${results.filter(r => !r.error).length} players with picks${completed ? ' — game over' : ''}`
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -706,9 +905,16 @@ router.post('/:id/set-player-status', requireAuth, requireGameAdmin(), async (re
       values.push(eliminatedGameweek);
       paramIndex++;
     } else if (status === 'alive') {
-      updateFields.push('eliminated_gameweek = NULL', 'eliminated_pick_id = NULL');
+      // A revived player needs at least one life to stay in
+      updateFields.push('eliminated_gameweek = NULL', 'eliminated_pick_id = NULL', 'lives_remaining = GREATEST(lives_remaining, 1)');
     }
 
+    const previous = await pool.query(
+      `SELECT player_id, username, status, lives_remaining, eliminated_gameweek FROM game_players
+       WHERE game_id = $1 AND user_email = $2`,
+      [id, playerEmail]
+    );
+
     const result = await pool.query(
       `UPDATE game_players SET ${updateFields.join(', ')}
        WHERE game_id = $2 AND user_email = $3
@@ -720,6 +926,32 @@ router.post('/:id/set-player-status', requireAuth, requireGameAdmin(), async (re
       return res.status(404).json({ success: false, error: 'Player not found in this game' });
     }
 
+    const updated = result.rows[0];
+    await recordAudit(pool, req, {
+      gameId: parseInt(id),
+      action: 'set_player_status',
+      target: playerEmail,
+      before: {
+        status: previous.rows[0].status,
+        lives_remaining: previous.rows[0].lives_remaining,
+        eliminated_gameweek: previous.rows[0].eliminated_gameweek,
+      },
+      after: {
+        status: updated.status,
+        lives_remaining: updated.lives_remaining,
+        eliminated_gameweek: updated.eliminated_gameweek,
+      },
+    });
+
+    const gameResult = await pool.query('SELECT game_id, game_name FROM games WHERE game_id = $1', [id]);
+    const changes = standingsChanges(
+      new Map([[updated.player_id, previous.rows[0]]]), new Map([[updated.player_id, updated]])
+    );
+    const notifications = await notifyStandingsChanges(
+      pool, gameResult.rows[0], changes, 'A game admin', updated.eliminated_gameweek
+    );
+    await pushNotifications(pool, notifications);
+
     res.json({
       success: true,
       player: result.rows[0],
@@ -751,11 +983,26 @@ router.post('/:id/transfer-admin', requireAuth, requireGameAdmin(), async (req,
       return res.status(400).json({ success: false, error: 'That email is not a player in this game' });
     }
 
+    const previous = await pool.query('SELECT admin_email, game_name FROM games WHERE game_id = $1', [id]);
+
     await pool.query(
       'UPDATE games SET admin_email = $1 WHERE game_id = $2',
       [newAdminEmail, id]
     );
 
+    await recordAudit(pool, req, {
+      gameId: parseInt(id),
+      action: 'transfer_admin',
+      before: { admin_email: previous.rows[0]?.admin_email },
+      after: { admin_email: newAdminEmail },
+    });
+    await notify(pool, {
+      userEmails: [newAdminEmail],
+      type: 'admin_transferred',
+      message: `You're now the admin of "${previous.rows[0].game_name}"`,
+      gameId: parseInt(id),
+    });
+
     res.json({
       success: true,
       message: `Game admin transferred to ${playerCheck.rows[0].username || newAdminEmail}`
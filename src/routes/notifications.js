@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/connection');
+const { requireAuth, requireAdmin } = require('../middleware/requireAuth');
+const { notify } = require('../helpers/notifications');
+const {
+  pushConfigError, getVapidPublicKey, subscriptionError, saveSubscription, removeSubscription,
+} = require('../helpers/push');
+
+// GET /api/notifications - My notifications, newest first, and how many are unread
+// Optional ?limit= (max 200)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await pool.query(
+      `SELECT n.notification_id, n.type, n.message, n.game_id, n.gameweek, n.read_at, n.created_at,
+              g.game_name
+       FROM notifications n
+       LEFT JOIN games g ON n.game_id = g.game_id
+       WHERE n.user_email = $1
+       ORDER BY n.created_at DESC, n.notification_id DESC
+       LIMIT $2`,
+      [req.session.email, limit]
+    );
+    const unread = await pool.query(
+      'SELECT COUNT(*) AS count FROM notifications WHERE user_email = $1 AND read_at IS NULL',
+      [req.session.email]
+    );
+
+    res.json({
+      success: true,
+      notifications: result.rows,
+      unreadCount: parseInt(unread.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/notifications - Send an announcement (site admin only)
+// Body: { message, gameId } for every player in a game, or { message, userEmail } for one user
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { message, gameId, userEmail } = req.body;
+
+    if (!message?.trim()) {
+      return res.status(400).json({ success: false, error: 'message is required' });
+    }
+    if (!gameId && !userEmail) {
+      return res.status(400).json({ success: false, error: 'gameId or userEmail is required' });
+    }
+
+    let userEmails = [userEmail];
+    if (gameId) {
+      const players = await pool.query('SELECT user_email FROM game_players WHERE game_id = $1', [gameId]);
+      if (players.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'No players found in that game' });
+      }
+      userEmails = players.rows.map(p => p.user_email);
+    }
+
+    await notify(pool, {
+      userEmails,
+      type: 'announcement',
+      message: message.trim(),
+      gameId: gameId ? parseInt(gameId) : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Sent to ${userEmails.length} user${userEmails.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/notifications/mark-read - Mark my notifications read
+// Body: { notificationIds } for just those, or nothing for all of them
+router.post('/mark-read', requireAuth, async (req, res) => {
+  try {
+    const { notificationIds } = req.body;
+    if (notificationIds !== undefined && !Array.isArray(notificationIds)) {
+      return res.status(400).json({ success: false, error: 'notificationIds must be an array' });
+    }
+
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE user_email = $1 AND read_at IS NULL
+         AND ($2::int[] IS NULL OR notification_id = ANY($2::int[]))`,
+      [req.session.email, notificationIds || null]
+    );
+
+    res.json({ success: true, marked: result.rowCount });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/notifications/push/public-key - VAPID key browsers subscribe with
+// publicKey is null when push isn't set up on this server
+router.get('/push/public-key', requireAuth, (req, res) => {
+  res.json({ success: true, publicKey: getVapidPublicKey() });
+});
+
+// POST /api/notifications/push/subscribe - Turn push on in this browser
+// Body: { subscription } (a PushSubscription as JSON)
+router.post('/push/subscribe', requireAuth, async (req, res) => {
+  try {
+    const configError = pushConfigError();
+    if (configError) {
+      return res.status(400).json({ success: false, error: configError });
+    }
+
+    const { subscription } = req.body;
+    const error = subscriptionError(subscription);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await saveSubscription(pool, req.session.email, subscription);
+    res.status(201).json({ success: true, message: 'Push notifications turned on for this browser' });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/notifications/push/unsubscribe - Turn push off in a browser
+// Body: { endpoint }
+router.post('/push/unsubscribe', requireAuth, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    if (!endpoint) {
+      return res.status(400).json({ success: false, error: 'endpoint is required' });
+    }
+
+    const removed = await removeSubscription(pool, req.session.email, endpoint);
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,34 @@ const express = require('express');
 const router = express.Router({ mergeParams: true });
 const pool = require('../db/connection');
 const { requireAuth, requireAdmin } = require('../middleware/requireAuth');
-const { getCurrentSeason, getCurrentGameweek, getGameweekOverride, isDeadlineOverridden, autoDetectGameweek } = require('../helpers/settings');
-
-// GET /api/games/:id/my-picks - Get my picks in this game
+const { isDeadlineOverridden, getGameweekForSeason } = require('../helpers/settings');
+const { getGameweekDeadline, hasDeadlinePassed } = require('../helpers/deadlines');
+const { getBlockedTeamIds, hasKickedOff, kickoffsByGameweek } = require('../helpers/gameRules');
+const {
+  countFixtures, countUnfinishedFixtures, isGameweekProcessed, processGameweek, replayStandings,
+  getPlayerStandings, standingsChanges,
+} = require('../helpers/eliminationEngine');
+const { listSnapshots, restoreSnapshot } = require('../helpers/snapshots');
+const { recordAudit } = require('../helpers/audit');
+const { PICKING_STATUSES, PLAYED_STATUSES } = require('../helpers/gameLifecycle');
+const { listCorrections, resolveCorrection } = require('../helpers/scoreCorrections');
+const { livePickStandings } = require('../helpers/liveScores');
+const { notifyGameweekOutcome, notifyStandingsChanges } = require('../helpers/notifications');
+const { pushNotifications } = require('../helpers/push');
+
+// GET /api/games/:id/my-picks?gameweek=N - Get my picks in this game
+// blockedTeamIds lists teams the reuse rule won't let me pick for that gameweek
 router.get('/my-picks', requireAuth, async (req, res) => {
   try {
     const gameId = req.params.id;
 
     const playerResult = await pool.query(
-      'SELECT player_id, status FROM game_players WHERE game_id = $1 AND user_email = $2',
+      `SELECT gp.player_id, gp.status, gp.lives_remaining, gp.autopick_team_ids,
+              g.game_id, g.season, g.competition_code, g.team_usage_reset_gameweek, g.postponed_policy, g.missed_pick_rule,
+              g.team_reuse_rule, g.team_reuse_limit, g.double_gameweek_rule, g.deadline_mode
+       FROM game_players gp
+       JOIN games g ON gp.game_id = g.game_id
+       WHERE gp.game_id = $1 AND gp.user_email = $2`,
       [gameId, req.session.email]
     );
 
@@ -19,9 +38,12 @@ router.get('/my-picks', requireAuth, async (req, res) => {
     }
 
     const gamePlayer = playerResult.rows[0];
+    const season = gamePlayer.season;
+    const competition = gamePlayer.competition_code;
+    const gameweek = parseInt(req.query.gameweek) || await getGameweekForSeason(pool, season, competition);
 
     const picksResult = await pool.query(
-      `SELECT p.pick_id, p.gameweek, p.result, p.created_at,
+      `SELECT p.pick_id, p.gameweek, p.result, p.auto_assigned, p.created_at,
               t.team_id, t.name AS team_name, t.short_name AS team_short, t.crest_url
        FROM picks p
        JOIN pl_teams t ON p.pl_team_id = t.team_id
@@ -30,9 +52,25 @@ router.get('/my-picks', requireAuth, async (req, res) => {
       [gamePlayer.player_id]
     );
 
+    // gamePlayer carries the game columns the reuse rule needs
+    const blockedTeamIds = await getBlockedTeamIds(pool, gamePlayer, gamePlayer.player_id, gameweek, season);
+
     res.json({
       success: true,
+      season,
+      competition,
+      gameweek,
       playerStatus: gamePlayer.status,
+      livesRemaining: gamePlayer.lives_remaining,
+      teamUsageResetGameweek: gamePlayer.team_usage_reset_gameweek,
+      postponedPolicy: gamePlayer.postponed_policy,
+      doubleGameweekRule: gamePlayer.double_gameweek_rule,
+      deadlineMode: gamePlayer.deadline_mode,
+      missedPickRule: gamePlayer.missed_pick_rule,
+      autopickTeamIds: gamePlayer.autopick_team_ids || [],
+      teamReuseRule: gamePlayer.team_reuse_rule,
+      teamReuseLimit: gamePlayer.team_reuse_limit,
+      blockedTeamIds,
       picks: picksResult.rows
     });
   } catch (error) {
@@ -41,56 +79,140 @@ router.get('/my-picks', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * A gameweek's picks, as far as they can be seen yet: all of them once the
+ * deadline passes, or under rolling deadlines those on teams whose match has
+ * kicked off. Returns { deadlinePassed, picks, hiddenCount }.
+ *
+ * @param {Object} game - games row (game_id, season, competition_code, deadline_mode, deadline_rule)
+ * @param {number} gameweek
+ */
+async function getVisiblePicks(game, gameweek) {
+  const { season, competition_code: competition } = game;
+
+  // Check if deadline has passed (respect override for testing)
+  const deadlineOverride = await isDeadlineOverridden(pool);
+  let deadlinePassed = false;
+  // Under rolling deadlines, the teams whose match has kicked off (their picks are revealed)
+  let kickedOffTeamIds = new Set();
+  if (game.deadline_mode === 'rolling') {
+    if (!deadlineOverride) {
+      const fixturesResult = await pool.query(
+        `SELECT gameweek, home_team_id, away_team_id, match_date, status
+         FROM pl_fixtures WHERE gameweek = $1 AND season = $2 AND competition_code = $3`,
+        [gameweek, season, competition]
+      );
+      const kickoffs = kickoffsByGameweek(fixturesResult.rows)[gameweek];
+      deadlinePassed = !!kickoffs?.allKickedOff;
+      kickedOffTeamIds = kickoffs?.kickedOffTeamIds || kickedOffTeamIds;
+    }
+  } else {
+    const deadline = await getGameweekDeadline(pool, { competition, season, gameweek, rule: game.deadline_rule });
+    deadlinePassed = await hasDeadlinePassed(pool, deadline, deadlineOverride);
+  }
+
+  // Don't reveal picks before deadline
+  if (!deadlinePassed && kickedOffTeamIds.size === 0) {
+    return { deadlinePassed, picks: [], hiddenCount: null };
+  }
+
+  const result = await pool.query(
+    `SELECT p.pick_id, p.gameweek, p.result, p.auto_assigned,
+            gp.player_id, gp.username, gp.user_email, gp.status AS player_status, gp.eliminated_gameweek,
+            t.team_id, t.name AS team_name, t.short_name AS team_short, t.crest_url
+     FROM picks p
+     JOIN game_players gp ON p.game_player_id = gp.player_id
+     JOIN pl_teams t ON p.pl_team_id = t.team_id
+     WHERE p.game_id = $1 AND p.gameweek = $2
+     ORDER BY gp.username`,
+    [game.game_id, gameweek]
+  );
+
+  // Rolling deadlines reveal only the picks on teams that have kicked off so far
+  const picks = deadlinePassed ? result.rows : result.rows.filter(p => kickedOffTeamIds.has(p.team_id));
+  return { deadlinePassed, picks, hiddenCount: result.rows.length - picks.length };
+}
+
 // GET /api/games/:id/picks/:gameweek - Get all picks for a gameweek
 router.get('/picks/:gameweek', async (req, res) => {
   try {
-    const gameId = req.params.id;
-    const { gameweek } = req.params;
-    const season = await getCurrentSeason(pool);
+    const gameweek = parseInt(req.params.gameweek);
 
-    // Check if deadline has passed (respect override for testing)
-    const deadlineOverride = await isDeadlineOverridden(pool);
-    const deadlineResult = await pool.query(
-      `SELECT MIN(match_date) AS deadline
-       FROM pl_fixtures
-       WHERE gameweek = $1 AND season = $2 AND match_date IS NOT NULL`,
-      [gameweek, season]
+    const gameResult = await pool.query(
+      'SELECT game_id, season, competition_code, deadline_mode, deadline_rule FROM games WHERE game_id = $1',
+      [req.params.id]
     );
+    if (gameResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
 
-    const deadline = deadlineResult.rows[0]?.deadline;
-    const deadlinePassed = deadlineOverride ? false : (deadline ? new Date(deadline) < new Date() : false);
-
-    if (!deadlinePassed) {
-      // Don't reveal picks before deadline
+    const { deadlinePassed, picks, hiddenCount } = await getVisiblePicks(gameResult.rows[0], gameweek);
+    if (hiddenCount === null) {
       return res.json({
         success: true,
-        gameweek: parseInt(gameweek),
+        gameweek,
         deadlinePassed: false,
         picks: [],
         message: 'Picks are hidden until the deadline passes'
       });
     }
 
-    const result = await pool.query(
-      `SELECT p.pick_id, p.gameweek, p.result,
-              gp.username, gp.user_email, gp.status AS player_status,
-              t.name AS team_name, t.short_name AS team_short, t.crest_url
-       FROM picks p
-       JOIN game_players gp ON p.game_player_id = gp.player_id
-       JOIN pl_teams t ON p.pl_team_id = t.team_id
-       WHERE p.game_id = $1 AND p.gameweek = $2
-       ORDER BY gp.username`,
-      [gameId, gameweek]
+    res.json({ success: true, gameweek, deadlinePassed, picks, hiddenCount });
+  } catch (error) {
+    console.error('Error fetching gameweek picks:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/games/:id/live?gameweek=N - Live scores for a gameweek (default: the current one)
+// and how each alive player's pick stands right now. Picks are shown as they'd be
+// in /picks/:gameweek; players knocked out that gameweek stay listed.
+router.get('/live', async (req, res) => {
+  try {
+    const gameResult = await pool.query('SELECT * FROM games WHERE game_id = $1', [req.params.id]);
+    if (gameResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Game not found' });
+    }
+    const game = gameResult.rows[0];
+    const gameweek = parseInt(req.query.gameweek)
+      || await getGameweekForSeason(pool, game.season, game.competition_code);
+
+    const fixturesResult = await pool.query(
+      `SELECT f.fixture_id, f.home_team_id, f.away_team_id, f.match_date, f.status, f.minute,
+              f.home_score, f.away_score, ht.short_name AS home_short, at.short_name AS away_short
+       FROM pl_fixtures f
+       JOIN pl_teams ht ON f.home_team_id = ht.team_id
+       JOIN pl_teams at ON f.away_team_id = at.team_id
+       WHERE f.gameweek = $1 AND f.season = $2 AND f.competition_code = $3
+       ORDER BY f.match_date NULLS LAST, f.fixture_id`,
+      [gameweek, game.season, game.competition_code]
     );
+    const fixtures = fixturesResult.rows;
+
+    const { deadlinePassed, picks, hiddenCount } = await getVisiblePicks(game, gameweek);
+    const inGame = picks.filter(p => p.player_status === 'alive' || p.eliminated_gameweek === gameweek);
 
     res.json({
       success: true,
-      gameweek: parseInt(gameweek),
-      deadlinePassed: true,
-      picks: result.rows
+      gameweek,
+      live: fixtures.some(f => f.status === 'in_play'),
+      deadlinePassed,
+      fixtures,
+      standings: livePickStandings(game, inGame, fixtures).map(p => ({
+        playerId: p.player_id,
+        username: p.username,
+        teamId: p.team_id,
+        teamName: p.team_name,
+        teamShort: p.team_short,
+        crestUrl: p.crest_url,
+        playerStatus: p.player_status,
+        state: p.state,
+        surviving: p.surviving,
+      })),
+      hiddenCount: hiddenCount || 0,
     });
   } catch (error) {
-    console.error('Error fetching gameweek picks:', error);
+    console.error('Error fetching live standings:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -99,24 +221,12 @@ router.get('/picks/:gameweek', async (req, res) => {
 router.post('/picks', requireAuth, async (req, res) => {
   try {
     const gameId = req.params.id;
-    const { plTeamId } = req.body;
+    const plTeamId = parseInt(req.body.plTeamId);
 
     if (!plTeamId) {
       return res.status(400).json({ success: false, error: 'plTeamId is required' });
     }
 
-    const season = await getCurrentSeason(pool);
-
-    // Use gameweek override if set (testing mode), otherwise auto-detect
-    const gwOverride = await getGameweekOverride(pool);
-    let currentGameweek;
-    if (gwOverride != null) {
-      currentGameweek = gwOverride;
-    } else {
-      const detected = await autoDetectGameweek(pool, season);
-      currentGameweek = detected != null ? detected : await getCurrentGameweek(pool);
-    }
-
     // 1. Check game exists and is active
     const gameResult = await pool.query('SELECT * FROM games WHERE game_id = $1', [gameId]);
     if (gameResult.rows.length === 0) {
@@ -124,8 +234,14 @@ router.post('/picks', requireAuth, async (req, res) => {
     }
     const game = gameResult.rows[0];
 
-    if (game.status !== 'active') {
-      return res.status(400).json({ success: false, error: 'Game is not active' });
+    // Fixtures, teams and deadlines all come from the game's own competition and season
+    // (the gameweek override applies to the current Premier League season only)
+    const season = game.season;
+    const competition = game.competition_code;
+    const currentGameweek = await getGameweekForSeason(pool, season, competition);
+
+    if (!PICKING_STATUSES.includes(game.status)) {
+      return res.status(400).json({ success: false, error: 'Game is not accepting picks' });
     }
 
     if (currentGameweek < game.start_gameweek) {
@@ -147,58 +263,96 @@ router.post('/picks', requireAuth, async (req, res) => {
     }
 
     // 3. Check deadline hasn't passed (skip if deadline override is on)
+    //    Under the void-and-repick policy, a player whose pick is on a postponed
+    //    fixture (or one moved to another gameweek) may still switch to a team
+    //    that hasn't kicked off yet.
+    //    Under rolling deadlines there's no gameweek deadline: a pick locks when
+    //    its team's match kicks off, and only teams yet to play can be picked
+    let repicking = false;
+    const rolling = game.deadline_mode === 'rolling';
     const deadlineOverride = await isDeadlineOverridden(pool);
-    if (!deadlineOverride) {
-      const deadlineResult = await pool.query(
-        `SELECT MIN(match_date) AS deadline
-         FROM pl_fixtures
-         WHERE gameweek = $1 AND season = $2 AND match_date IS NOT NULL`,
-        [currentGameweek, season]
+    if (!deadlineOverride && rolling) {
+      const currentPickFixtures = await pool.query(
+        `SELECT t.name, f.status, f.match_date
+         FROM picks p
+         JOIN pl_teams t ON p.pl_team_id = t.team_id
+         JOIN pl_fixtures f ON (f.home_team_id = p.pl_team_id OR f.away_team_id = p.pl_team_id)
+           AND f.gameweek = p.gameweek AND f.season = $4 AND f.competition_code = $5
+         WHERE p.game_id = $1 AND p.game_player_id = $2 AND p.gameweek = $3`,
+        [gameId, player.player_id, currentGameweek, season, competition]
       );
-      const deadline = deadlineResult.rows[0]?.deadline;
-      if (deadline && new Date(deadline) < new Date()) {
-        return res.status(400).json({ success: false, error: 'Deadline has passed for this gameweek' });
+      const locked = currentPickFixtures.rows.find(f => hasKickedOff(f));
+      if (locked) {
+        return res.status(400).json({ success: false, error: `Your pick is locked — ${locked.name}'s match has kicked off` });
+      }
+    } else if (!deadlineOverride) {
+      const deadline = await getGameweekDeadline(pool, {
+        competition, season, gameweek: currentGameweek, rule: game.deadline_rule,
+      });
+      if (await hasDeadlinePassed(pool, deadline, deadlineOverride)) {
+        if (game.postponed_policy === 'void') {
+          const postponedPick = await pool.query(
+            `SELECT p.pick_id FROM picks p
+             WHERE p.game_id = $1 AND p.game_player_id = $2 AND p.gameweek = $3 AND p.result IS NULL
+               AND (EXISTS (
+                      SELECT 1 FROM pl_fixtures moved
+                      WHERE moved.fixture_id = p.pending_fixture_id AND moved.gameweek <> p.gameweek
+                    )
+                    OR (EXISTS (
+                          SELECT 1 FROM pl_fixtures f
+                          WHERE (f.home_team_id = p.pl_team_id OR f.away_team_id = p.pl_team_id)
+                            AND f.gameweek = p.gameweek AND f.season = $4 AND f.competition_code = $5
+                            AND f.status IN ('postponed', 'abandoned')
+                        )
+                        -- in a double gameweek, the team's other fixture may still be going ahead
+                        AND NOT EXISTS (
+                          SELECT 1 FROM pl_fixtures f
+                          WHERE (f.home_team_id = p.pl_team_id OR f.away_team_id = p.pl_team_id)
+                            AND f.gameweek = p.gameweek AND f.season = $4 AND f.competition_code = $5
+                            AND f.status NOT IN ('postponed', 'abandoned')
+                        )))`,
+            [gameId, player.player_id, currentGameweek, season, competition]
+          );
+          repicking = postponedPick.rows.length > 0;
+        }
+        if (!repicking) {
+          return res.status(400).json({ success: false, error: 'Deadline has passed for this gameweek' });
+        }
       }
     }
 
-    // 4. Check team has a fixture this gameweek
+    // 4. Check team has a fixture this gameweek that is going ahead
+    //    (a team in a double gameweek has two)
     const fixtureResult = await pool.query(
-      `SELECT fixture_id FROM pl_fixtures
+      `SELECT fixture_id, status, match_date FROM pl_fixtures
        WHERE (home_team_id = $1 OR away_team_id = $1)
-         AND gameweek = $2 AND season = $3`,
-      [plTeamId, currentGameweek, season]
+         AND gameweek = $2 AND season = $3 AND competition_code = $4
+       ORDER BY match_date NULLS LAST, fixture_id`,
+      [plTeamId, currentGameweek, season, competition]
     );
     if (fixtureResult.rows.length === 0) {
       return res.status(400).json({ success: false, error: 'This team does not have a fixture this gameweek' });
     }
+    const playable = fixtureResult.rows.filter(f => !['postponed', 'abandoned'].includes(f.status));
+    if (playable.length === 0) {
+      const { status } = fixtureResult.rows[0];
+      return res.status(400).json({ success: false, error: `This team's fixture has been ${status} — please pick another team` });
+    }
+    if ((repicking || (rolling && !deadlineOverride)) && playable.some(f => hasKickedOff(f))) {
+      const error = repicking
+        ? 'You can only repick a team whose match has not kicked off yet'
+        : "This team's match has already kicked off";
+      return res.status(400).json({ success: false, error });
+    }
 
-    // 5. Check team hasn't been used before (unless all 20 used)
-    const usedTeamsResult = await pool.query(
-      `SELECT DISTINCT pl_team_id FROM picks
-       WHERE game_player_id = $1 AND game_id = $2`,
-      [player.player_id, gameId]
-    );
-    const usedTeamIds = usedTeamsResult.rows.map(r => r.pl_team_id);
-
-    // Check if they're updating their current pick for this gameweek
-    const existingPickResult = await pool.query(
-      `SELECT pl_team_id FROM picks
-       WHERE game_player_id = $1 AND game_id = $2 AND gameweek = $3`,
-      [player.player_id, gameId, currentGameweek]
-    );
-    const currentPickTeamId = existingPickResult.rows[0]?.pl_team_id;
-
-    // Filter out the current gameweek's pick from "used" list (since they're replacing it)
-    const usedExcludingCurrent = usedTeamIds.filter(id => id !== currentPickTeamId);
-
-    const totalTeamsResult = await pool.query(
-      'SELECT COUNT(*) AS count FROM pl_teams WHERE season = $1',
-      [season]
-    );
-    const totalTeams = parseInt(totalTeamsResult.rows[0].count);
-
-    if (usedExcludingCurrent.includes(plTeamId) && usedExcludingCurrent.length < totalTeams) {
-      return res.status(400).json({ success: false, error: 'You have already used this team' });
+    // 5. Check the game's team reuse rule allows this team
+    //    (the pick being replaced, voided picks and picks before a rollover reset don't count)
+    const blockedTeamIds = await getBlockedTeamIds(pool, game, player.player_id, currentGameweek, season);
+    if (blockedTeamIds.includes(plTeamId)) {
+      const error = game.team_reuse_rule === 'max_uses'
+        ? `You have already used this team ${game.team_reuse_limit} times`
+        : 'You have already used this team';
+      return res.status(400).json({ success: false, error });
     }
 
     // 6. Upsert pick
@@ -206,7 +360,8 @@ router.post('/picks', requireAuth, async (req, res) => {
       `INSERT INTO picks (game_id, game_player_id, gameweek, pl_team_id)
        VALUES ($1, $2, $3, $4)
        ON CONFLICT (game_id, game_player_id, gameweek) DO UPDATE SET
-         pl_team_id = EXCLUDED.pl_team_id, created_at = CURRENT_TIMESTAMP
+         pl_team_id = EXCLUDED.pl_team_id, auto_assigned = FALSE, pending_fixture_id = NULL,
+         created_at = CURRENT_TIMESTAMP
        RETURNING *`,
       [gameId, player.player_id, currentGameweek, plTeamId]
     );
@@ -229,6 +384,43 @@ router.post('/picks', requireAuth, async (req, res) => {
   }
 });
 
+// PUT /api/games/:id/autopick-preferences - Save my fallback teams for missed deadlines
+router.put('/autopick-preferences', requireAuth, async (req, res) => {
+  try {
+    const gameId = req.params.id;
+    const { teamIds } = req.body;
+
+    if (!Array.isArray(teamIds) || !teamIds.every(Number.isInteger)) {
+      return res.status(400).json({ success: false, error: 'teamIds must be an array of team IDs' });
+    }
+
+    const teamsResult = await pool.query(
+      `SELECT t.team_id FROM pl_teams t
+       JOIN games g ON g.season = t.season AND g.competition_code = t.competition_code
+       WHERE t.team_id = ANY($1) AND g.game_id = $2`,
+      [teamIds, gameId]
+    );
+    if (teamsResult.rows.length !== new Set(teamIds).size) {
+      return res.status(400).json({ success: false, error: 'Unknown team in teamIds' });
+    }
+
+    const result = await pool.query(
+      `UPDATE game_players SET autopick_team_ids = $1
+       WHERE game_id = $2 AND user_email = $3
+       RETURNING autopick_team_ids`,
+      [[...new Set(teamIds)], gameId, req.session.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'You are not in this game' });
+    }
+
+    res.json({ success: true, autopickTeamIds: result.rows[0].autopick_team_ids });
+  } catch (error) {
+    console.error('Error saving autopick preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // DELETE /api/games/:id/picks/:gameweek/:playerEmail - Delete a specific pick (admin only)
 router.delete('/picks/:gameweek/:playerEmail', requireAdmin, async (req, res) => {
   try {
@@ -253,6 +445,14 @@ router.delete('/picks/:gameweek/:playerEmail', requireAdmin, async (req, res) =>
       return res.status(404).json({ success: false, error: 'No pick found for this player/gameweek' });
     }
 
+    const deleted = result.rows[0];
+    await recordAudit(pool, req, {
+      gameId: parseInt(gameId),
+      action: 'delete_pick',
+      target: `${playerEmail} GW${gameweek}`,
+      before: { pl_team_id: deleted.pl_team_id, result: deleted.result, auto_assigned: deleted.auto_assigned },
+    });
+
     res.json({
       success: true,
       message: `Deleted ${playerResult.rows[0].username}'s pick for GW${gameweek}`
@@ -263,177 +463,240 @@ router.delete('/picks/:gameweek/:playerEmail', requireAdmin, async (req, res) =>
   }
 });
 
+/**
+ * Check a game's gameweek can be processed, then run the elimination engine
+ * inside the caller's open transaction. Shared by process-results and its preview.
+ * Returns { status, error } if it can't be processed, otherwise { game, outcome }.
+ */
+async function runProcessResults(client, gameId, gameweek) {
+  const gameResult = await client.query('SELECT * FROM games WHERE game_id = $1 FOR UPDATE', [gameId]);
+  if (gameResult.rows.length === 0) {
+    return { status: 404, error: 'Game not found' };
+  }
+  const game = gameResult.rows[0];
+
+  if (game.status !== 'active') {
+    return { status: 400, error: 'Game is not active' };
+  }
+
+  if (await countFixtures(client, gameweek, game.season, game.competition_code) === 0) {
+    return { status: 400, error: `No fixtures loaded for GW${gameweek}` };
+  }
+
+  // Every fixture must be finished (postponed/abandoned ones won't be)
+  const unfinished = await countUnfinishedFixtures(client, gameweek, game.season, game.competition_code);
+  if (unfinished > 0) {
+    return { status: 400, error: `${unfinished} fixtures still not finished in GW${gameweek}` };
+  }
+
+  // Processing twice would take lives twice; undo the gameweek first to rerun it
+  if (await isGameweekProcessed(client, game.game_id, gameweek)) {
+    return { status: 409, error: `GW${gameweek} has already been processed. Undo it first to process it again.` };
+  }
+
+  const outcome = await processGameweek(client, game, gameweek, game.season);
+  return { game, outcome };
+}
+
+function processResultsMessage(gameweek, { eliminated, alive, rolledOver }) {
+  if (rolledOver) return `Everyone went out — rollover! All ${alive} players continue into GW${gameweek + 1}.`;
+  if (alive === 0) return `Shared draw! All ${eliminated.length} remaining players eliminated.`;
+  if (alive === 1) return 'Game over! We have a winner!';
+  return `${eliminated.length} eliminated, ${alive} still alive.`;
+}
+
 // POST /api/games/:id/process-results - Process results for a gameweek (admin only)
 router.post('/process-results', requireAdmin, async (req, res) => {
   const client = await pool.connect();
   try {
     const gameId = req.params.id;
-    const { gameweek } = req.body;
+    const gameweek = parseInt(req.body.gameweek);
 
     if (!gameweek) {
       return res.status(400).json({ success: false, error: 'gameweek is required' });
     }
 
-    const season = await getCurrentSeason(pool);
-
     await client.query('BEGIN');
 
-    // 1. Get game info
-    const gameResult = await client.query('SELECT * FROM games WHERE game_id = $1', [gameId]);
-    if (gameResult.rows.length === 0) {
+    const run = await runProcessResults(client, gameId, gameweek);
+    if (run.error) {
       await client.query('ROLLBACK');
-      return res.status(404).json({ success: false, error: 'Game not found' });
+      return res.status(run.status).json({ success: false, error: run.error });
     }
-    const game = gameResult.rows[0];
+    const { eliminated, alive, rolledOver, completed } = run.outcome;
 
-    if (game.status !== 'active') {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ success: false, error: 'Game is not active' });
-    }
+    await recordAudit(client, req, {
+      gameId: run.game.game_id,
+      action: 'process_results',
+      target: `GW${gameweek}`,
+      after: { eliminated: eliminated.length, remaining: alive, rolledOver, completed },
+    });
+    const notifications = await notifyGameweekOutcome(client, run.game, gameweek, run.outcome);
 
-    // 2. Check all fixtures in this gameweek are finished
-    const unfinishedResult = await client.query(
-      `SELECT COUNT(*) AS count FROM pl_fixtures
-       WHERE gameweek = $1 AND season = $2 AND status != 'finished'`,
-      [gameweek, season]
-    );
-    if (parseInt(unfinishedResult.rows[0].count) > 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({
-        success: false,
-        error: `${unfinishedResult.rows[0].count} fixtures still not finished in GW${gameweek}`
-      });
+    await client.query('COMMIT');
+    await pushNotifications(pool, notifications);
+
+    res.json({
+      success: true,
+      gameweek,
+      eliminated: rolledOver ? 0 : eliminated.length,
+      remaining: alive,
+      gameStatus: completed ? 'completed' : 'active',
+      rolledOver,
+      message: processResultsMessage(gameweek, run.outcome)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error processing results:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/games/:id/process-results/preview - Dry run of process-results (admin only)
+// Runs the same processing in a transaction that is always rolled back, and
+// reports who would go out, who would lose a life and whether the game would end.
+router.post('/process-results/preview', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const gameId = req.params.id;
+    const gameweek = parseInt(req.body.gameweek);
+
+    if (!gameweek) {
+      return res.status(400).json({ success: false, error: 'gameweek is required' });
     }
 
-    // 3. Build team results map from fixtures
-    const fixturesResult = await client.query(
-      `SELECT home_team_id, away_team_id, home_score, away_score
-       FROM pl_fixtures
-       WHERE gameweek = $1 AND season = $2 AND status = 'finished'`,
-      [gameweek, season]
+    await client.query('BEGIN');
+
+    const beforeResult = await client.query(
+      'SELECT player_id, status, lives_remaining FROM game_players WHERE game_id = $1',
+      [gameId]
     );
+    const before = new Map(beforeResult.rows.map(p => [p.player_id, p]));
 
-    const teamResults = {};
-    for (const f of fixturesResult.rows) {
-      if (f.home_score > f.away_score) {
-        teamResults[f.home_team_id] = 'win';
-        teamResults[f.away_team_id] = 'loss';
-      } else if (f.home_score < f.away_score) {
-        teamResults[f.home_team_id] = 'loss';
-        teamResults[f.away_team_id] = 'win';
-      } else {
-        teamResults[f.home_team_id] = 'draw';
-        teamResults[f.away_team_id] = 'draw';
-      }
+    const run = await runProcessResults(client, gameId, gameweek);
+    if (run.error) {
+      await client.query('ROLLBACK');
+      return res.status(run.status).json({ success: false, error: run.error });
     }
 
-    // 4. Update pick results
-    const picksResult = await client.query(
-      `SELECT p.pick_id, p.game_player_id, p.pl_team_id
-       FROM picks p
-       WHERE p.game_id = $1 AND p.gameweek = $2`,
+    const afterResult = await client.query(
+      `SELECT gp.player_id, gp.username, gp.status, gp.lives_remaining,
+              p.result, p.auto_assigned, t.name AS team_name
+       FROM game_players gp
+       LEFT JOIN picks p ON p.game_player_id = gp.player_id AND p.gameweek = $2
+       LEFT JOIN pl_teams t ON p.pl_team_id = t.team_id
+       WHERE gp.game_id = $1
+       ORDER BY gp.username`,
       [gameId, gameweek]
     );
 
+    await client.query('ROLLBACK');
+
     const eliminated = [];
+    const livesLost = [];
     const survived = [];
+    let winner = null;
+
+    for (const player of afterResult.rows) {
+      const was = before.get(player.player_id);
+      if (was?.status !== 'alive') continue;
+
+      const row = {
+        username: player.username,
+        teamName: player.team_name,
+        result: player.result,
+        autoAssigned: player.auto_assigned,
+        livesRemaining: player.lives_remaining,
+      };
+      if (player.status === 'winner') winner = player.username;
+      if (['eliminated', 'drawn'].includes(player.status)) eliminated.push(row);
+      else if (player.lives_remaining < was.lives_remaining) livesLost.push(row);
+      else survived.push(row);
+    }
 
-    for (const pick of picksResult.rows) {
-      const result = teamResults[pick.pl_team_id] || 'loss';
-      await client.query(
-        'UPDATE picks SET result = $1 WHERE pick_id = $2',
-        [result, pick.pick_id]
-      );
+    const { rolledOver, completed } = run.outcome;
+    res.json({
+      success: true,
+      gameweek,
+      eliminated,
+      livesLost,
+      survived,
+      rolledOver,
+      gameEnds: completed,
+      winner,
+      message: processResultsMessage(gameweek, run.outcome)
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error previewing results:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
 
-      if (result !== 'win') {
-        eliminated.push({ playerId: pick.game_player_id, pickId: pick.pick_id });
-      } else {
-        survived.push(pick.game_player_id);
-      }
+// GET /api/games/:id/snapshots - Gameweeks that can be undone (admin only)
+router.get('/snapshots', requireAdmin, async (req, res) => {
+  try {
+    const snapshots = await listSnapshots(pool, req.params.id);
+    res.json({ success: true, snapshots });
+  } catch (error) {
+    console.error('Error fetching snapshots:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/games/:id/undo-gameweek - Restore the game to before a gameweek was processed (admin only)
+// Later processed gameweeks are undone as well.
+router.post('/undo-gameweek', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const gameId = req.params.id;
+    const gameweek = parseInt(req.body.gameweek);
+
+    if (!gameweek) {
+      return res.status(400).json({ success: false, error: 'gameweek is required' });
     }
 
-    // 5. Auto-eliminate players who didn't submit a pick
-    const alivePlayers = await client.query(
-      `SELECT player_id FROM game_players
-       WHERE game_id = $1 AND status = 'alive'`,
-      [gameId]
-    );
+    await client.query('BEGIN');
 
-    const playersWhoPicked = new Set(picksResult.rows.map(p => p.game_player_id));
-    for (const player of alivePlayers.rows) {
-      if (!playersWhoPicked.has(player.player_id)) {
-        eliminated.push({ playerId: player.player_id, pickId: null });
-      }
+    // Archived games are frozen; restoring would quietly reactivate them
+    const gameResult = await client.query('SELECT * FROM games WHERE game_id = $1', [gameId]);
+    if (gameResult.rows.length > 0 && !PLAYED_STATUSES.includes(gameResult.rows[0].status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Can't undo gameweeks of a ${gameResult.rows[0].status} game` });
     }
 
-    // 6. Mark eliminated players
-    for (const e of eliminated) {
-      await client.query(
-        `UPDATE game_players
-         SET status = 'eliminated', eliminated_gameweek = $1, eliminated_pick_id = $2
-         WHERE player_id = $3 AND status = 'alive'`,
-        [gameweek, e.pickId, e.playerId]
-      );
+    const before = await getPlayerStandings(client, gameId);
+    const restored = await restoreSnapshot(client, gameId, gameweek);
+    if (!restored) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: `No processing of GW${gameweek} to undo` });
     }
 
-    // 7. Check for winner/draw
-    const remainingResult = await client.query(
-      `SELECT COUNT(*) AS count FROM game_players
-       WHERE game_id = $1 AND status = 'alive'`,
-      [gameId]
+    await recordAudit(client, req, {
+      gameId: parseInt(gameId),
+      action: 'undo_gameweek',
+      target: `GW${gameweek}`,
+    });
+    const changes = standingsChanges(before, await getPlayerStandings(client, gameId));
+    const notifications = await notifyStandingsChanges(
+      client, gameResult.rows[0], changes, `Undoing GW${gameweek}`, gameweek
     );
-    const remaining = parseInt(remainingResult.rows[0].count);
-
-    let gameStatus = 'active';
-
-    if (remaining === 1) {
-      // Winner!
-      const winnerResult = await client.query(
-        `SELECT player_id FROM game_players
-         WHERE game_id = $1 AND status = 'alive'`,
-        [gameId]
-      );
-      await client.query(
-        `UPDATE game_players SET status = 'winner' WHERE player_id = $1`,
-        [winnerResult.rows[0].player_id]
-      );
-      await client.query(
-        `UPDATE games SET status = 'completed', winner_player_id = $1 WHERE game_id = $2`,
-        [winnerResult.rows[0].player_id, gameId]
-      );
-      gameStatus = 'completed';
-    } else if (remaining === 0) {
-      // Shared draw — the players eliminated THIS week share the draw
-      for (const e of eliminated) {
-        await client.query(
-          `UPDATE game_players SET status = 'drawn' WHERE player_id = $1`,
-          [e.playerId]
-        );
-      }
-      await client.query(
-        `UPDATE games SET status = 'completed', is_draw = TRUE WHERE game_id = $1`,
-        [gameId]
-      );
-      gameStatus = 'completed';
-    }
 
     await client.query('COMMIT');
+    await pushNotifications(pool, notifications);
 
     res.json({
       success: true,
-      gameweek: parseInt(gameweek),
-      eliminated: eliminated.length,
-      remaining,
-      gameStatus,
-      message: remaining === 0
-        ? `Shared draw! All ${eliminated.length} remaining players eliminated.`
-        : remaining === 1
-        ? 'Game over! We have a winner!'
-        : `${eliminated.length} eliminated, ${remaining} still alive.`
+      gameweek,
+      message: `Restored to before GW${gameweek} was processed. Fix any wrong scores before it is processed again.`
     });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Error processing results:', error);
+    console.error('Error undoing gameweek:', error);
     res.status(500).json({ success: false, error: error.message });
   } finally {
     client.release();
@@ -446,14 +709,12 @@ router.post('/update-standings', requireAdmin, async (req, res) => {
   const client = await pool.connect();
   try {
     const gameId = req.params.id;
-    const { upToGameweek } = req.body;
+    const upToGameweek = parseInt(req.body.upToGameweek);
 
     if (!upToGameweek) {
       return res.status(400).json({ success: false, error: 'upToGameweek is required' });
     }
 
-    const season = await getCurrentSeason(pool);
-
     await client.query('BEGIN');
 
     // 1. Get game info
@@ -465,167 +726,89 @@ router.post('/update-standings', requireAdmin, async (req, res) => {
     const game = gameResult.rows[0];
     const startGw = game.start_gameweek || 1;
 
-    // 2. Reset all players to alive
-    await client.query(
-      `UPDATE game_players SET status = 'alive', eliminated_gameweek = NULL, eliminated_pick_id = NULL
-       WHERE game_id = $1`,
-      [gameId]
-    );
-
-    // 3. Reset game status
-    await client.query(
-      `UPDATE games SET status = 'active', winner_player_id = NULL, is_draw = FALSE WHERE game_id = $1`,
-      [gameId]
-    );
-
-    // 4. Clear all pick results for this game
-    await client.query(
-      `UPDATE picks SET result = NULL WHERE game_id = $1`,
-      [gameId]
-    );
-
-    let totalEliminated = 0;
-    let finalGameStatus = 'active';
-    let lastProcessedGw = startGw;
-
-    // 5. Replay each gameweek from start to upToGameweek
-    for (let gw = startGw; gw <= upToGameweek; gw++) {
-      // Check if any finished fixtures exist for this GW
-      const fixturesResult = await client.query(
-        `SELECT home_team_id, away_team_id, home_score, away_score
-         FROM pl_fixtures
-         WHERE gameweek = $1 AND season = $2 AND status = 'finished'`,
-        [gw, season]
-      );
-
-      if (fixturesResult.rows.length === 0) continue; // Skip GWs with no finished fixtures
-      lastProcessedGw = gw;
-
-      // Build team results
-      const teamResults = {};
-      for (const f of fixturesResult.rows) {
-        if (f.home_score > f.away_score) {
-          teamResults[f.home_team_id] = 'win';
-          teamResults[f.away_team_id] = 'loss';
-        } else if (f.home_score < f.away_score) {
-          teamResults[f.home_team_id] = 'loss';
-          teamResults[f.away_team_id] = 'win';
-        } else {
-          teamResults[f.home_team_id] = 'draw';
-          teamResults[f.away_team_id] = 'draw';
-        }
-      }
-
-      // Update pick results for this GW
-      const picksResult = await client.query(
-        `SELECT p.pick_id, p.game_player_id, p.pl_team_id
-         FROM picks p
-         WHERE p.game_id = $1 AND p.gameweek = $2`,
-        [gameId, gw]
-      );
+    if (!PLAYED_STATUSES.includes(game.status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Can't recalculate standings of a ${game.status} game` });
+    }
 
-      const eliminatedThisGw = [];
+    // 2. Reset everything and replay each gameweek from start to upToGameweek
+    const before = await getPlayerStandings(client, game.game_id);
+    const { totalEliminated, remaining, gameStatus: finalGameStatus } =
+      await replayStandings(client, game, upToGameweek);
 
-      for (const pick of picksResult.rows) {
-        const result = teamResults[pick.pl_team_id] || null;
-        if (result) {
-          await client.query(
-            'UPDATE picks SET result = $1 WHERE pick_id = $2',
-            [result, pick.pick_id]
-          );
-        }
+    await recordAudit(client, req, {
+      gameId: parseInt(gameId),
+      action: 'update_standings',
+      target: `GW${startGw}-${upToGameweek}`,
+      after: { totalEliminated, remaining, gameStatus: finalGameStatus },
+    });
+    const changes = standingsChanges(before, await getPlayerStandings(client, game.game_id));
+    const notifications = await notifyStandingsChanges(client, game, changes, 'Recalculating the standings');
 
-        // Check if player is still alive before eliminating
-        const playerStatus = await client.query(
-          `SELECT status FROM game_players WHERE player_id = $1`,
-          [pick.game_player_id]
-        );
+    await client.query('COMMIT');
+    await pushNotifications(pool, notifications);
 
-        if (playerStatus.rows[0]?.status === 'alive' && result && result !== 'win') {
-          eliminatedThisGw.push({ playerId: pick.game_player_id, pickId: pick.pick_id });
-        }
-      }
+    res.json({
+      success: true,
+      totalEliminated,
+      remaining,
+      gameStatus: finalGameStatus,
+      message: `Standings recalculated (GW${startGw}-${upToGameweek}). ${totalEliminated} eliminated, ${remaining} alive.`
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating standings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    client.release();
+  }
+});
 
-      // Auto-eliminate alive players who didn't pick this GW
-      const alivePlayers = await client.query(
-        `SELECT player_id FROM game_players WHERE game_id = $1 AND status = 'alive'`,
-        [gameId]
-      );
-      const playersWhoPicked = new Set(picksResult.rows.map(p => p.game_player_id));
-      for (const player of alivePlayers.rows) {
-        if (!playersWhoPicked.has(player.player_id)) {
-          eliminatedThisGw.push({ playerId: player.player_id, pickId: null });
-        }
-      }
+// GET /api/games/:id/score-corrections - Corrected scores that affected this game
+// Visible to every player, with what the correction changed for each of them.
+router.get('/score-corrections', async (req, res) => {
+  try {
+    const corrections = await listCorrections(pool, { gameId: parseInt(req.params.id) });
+    res.json({ success: true, corrections });
+  } catch (error) {
+    console.error('Error fetching score corrections:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // Apply eliminations
-      for (const e of eliminatedThisGw) {
-        await client.query(
-          `UPDATE game_players
-           SET status = 'eliminated', eliminated_gameweek = $1, eliminated_pick_id = $2
-           WHERE player_id = $3 AND status = 'alive'`,
-          [gw, e.pickId, e.playerId]
-        );
-      }
-      totalEliminated += eliminatedThisGw.length;
+// POST /api/games/:id/score-corrections/:correctionId/resolve - Replay or dismiss a flagged correction (admin only)
+// Body: { action: 'rerun' | 'dismiss' }
+router.post('/score-corrections/:correctionId/resolve', requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
 
-      // Check for winner/draw
-      const remainingResult = await client.query(
-        `SELECT COUNT(*) AS count FROM game_players WHERE game_id = $1 AND status = 'alive'`,
-        [gameId]
-      );
-      const remaining = parseInt(remainingResult.rows[0].count);
-
-      if (remaining === 1) {
-        const winnerResult = await client.query(
-          `SELECT player_id FROM game_players WHERE game_id = $1 AND status = 'alive'`,
-          [gameId]
-        );
-        await client.query(
-          `UPDATE game_players SET status = 'winner' WHERE player_id = $1`,
-          [winnerResult.rows[0].player_id]
-        );
-        await client.query(
-          `UPDATE games SET status = 'completed', winner_player_id = $1 WHERE game_id = $2`,
-          [winnerResult.rows[0].player_id, gameId]
-        );
-        finalGameStatus = 'completed';
-        break;
-      } else if (remaining === 0) {
-        for (const e of eliminatedThisGw) {
-          await client.query(
-            `UPDATE game_players SET status = 'drawn' WHERE player_id = $1`,
-            [e.playerId]
-          );
-        }
-        await client.query(
-          `UPDATE games SET status = 'completed', is_draw = TRUE WHERE game_id = $1`,
-          [gameId]
-        );
-        finalGameStatus = 'completed';
-        break;
-      }
+    const gameResult = await client.query('SELECT * FROM games WHERE game_id = $1 FOR UPDATE', [req.params.id]);
+    if (gameResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Game not found' });
     }
 
-    // Final count
-    const finalRemaining = await client.query(
-      `SELECT COUNT(*) AS count FROM game_players WHERE game_id = $1 AND status = 'alive'`,
-      [gameId]
+    const resolved = await resolveCorrection(
+      client, req, gameResult.rows[0], parseInt(req.params.correctionId), req.body.action
     );
-    const remaining = parseInt(finalRemaining.rows[0].count);
+    if (resolved.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: resolved.error });
+    }
 
     await client.query('COMMIT');
+    await pushNotifications(pool, resolved.notifications);
 
     res.json({
       success: true,
-      totalEliminated,
-      remaining,
-      gameStatus: finalGameStatus,
-      message: `Standings recalculated (GW${startGw}-${upToGameweek}). ${totalEliminated} eliminated, ${remaining} alive.`
+      message: req.body.action === 'rerun'
+        ? 'Standings replayed with the corrected score. Undo now goes back to the replayed gameweeks only.'
+        : 'Score correction dismissed. Standings are unchanged.'
     });
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Error updating standings:', error);
+    console.error('Error resolving score correction:', error);
     res.status(500).json({ success: false, error: error.message });
   } finally {
     client.release();
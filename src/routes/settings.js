@@ -3,6 +3,9 @@ const router = express.Router();
 const pool = require('../db/connection');
 const { requireAdmin } = require('../middleware/requireAuth');
 const { getCurrentSeason, autoDetectGameweek, getGameweekOverride, isDeadlineOverridden } = require('../helpers/settings');
+const { recordAudit } = require('../helpers/audit');
+const { listProviders } = require('../providers');
+const { deadlineRuleError } = require('../helpers/deadlines');
 
 // GET /api/settings - Get all settings (with auto-detected gameweek)
 router.get('/', async (req, res) => {
@@ -107,6 +110,21 @@ router.put('/:key', requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, error: 'value is required' });
     }
 
+    const providerNames = listProviders().map(p => p.name);
+    if (key === 'fixture_provider' && !providerNames.includes(value)) {
+      return res.status(400).json({
+        success: false, error: `Invalid fixture provider. Must be one of: ${providerNames.join(', ')}`
+      });
+    }
+    if (key === 'deadline_rule' && deadlineRuleError(value)) {
+      return res.status(400).json({ success: false, error: deadlineRuleError(value) });
+    }
+
+    const previous = await pool.query(
+      'SELECT setting_value FROM app_settings WHERE setting_key = $1',
+      [key]
+    );
+
     const result = await pool.query(
       `INSERT INTO app_settings (setting_key, setting_value)
        VALUES ($1, $2)
@@ -116,6 +134,13 @@ router.put('/:key', requireAdmin, async (req, res) => {
       [key, String(value)]
     );
 
+    await recordAudit(pool, req, {
+      action: 'update_setting',
+      target: key,
+      before: previous.rows[0] ? { value: previous.rows[0].setting_value } : null,
+      after: { value: String(value) },
+    });
+
     res.json({
       success: true,
       message: `Setting '${key}' updated successfully`,
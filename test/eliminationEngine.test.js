@@ -0,0 +1,299 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SEASON, startDatabase, resetDatabase, createGame, pick, standings, getGame, inTransaction,
+} = require('./helpers/db');
+const {
+  processGameweek, replayStandings, isGameweekProcessed, recordPick, settleImportedPicks,
+} = require('../src/helpers/eliminationEngine');
+const { restoreSnapshot } = require('../src/helpers/snapshots');
+
+// Fixtures (test/fixtures/PL-2024.json):
+//   GW1  ARS 2-0 AVL · CHE 1-1 LIV · MCI 3-1 MUN · NEW 0-1 TOT
+//   GW2  AVL 0-2 CHE · LIV 2-2 MCI · MUN v NEW postponed · TOT 1-3 ARS
+//   GW3  ARS 1-0 LIV · AVL 2-1 MUN · CHE v MCI and TOT v NEW still to play
+
+let db;
+
+before(async () => {
+  db = await startDatabase();
+});
+
+after(async () => {
+  await db.stop();
+});
+
+beforeEach(async () => {
+  await resetDatabase(db.pool);
+});
+
+function processGw(game, gameweek) {
+  return inTransaction(db.pool, client => processGameweek(client, game, gameweek, SEASON));
+}
+
+async function pickResults(game, gameweek) {
+  const result = await db.pool.query(
+    `SELECT gp.username, p.result, p.pending_fixture_id
+     FROM picks p JOIN game_players gp ON p.game_player_id = gp.player_id
+     WHERE p.game_id = $1 AND p.gameweek = $2`,
+    [game.game_id, gameweek]
+  );
+  return Object.fromEntries(result.rows.map(p => [p.username, p]));
+}
+
+describe('draw rules', () => {
+  async function playGw1(drawRule) {
+    const { game, players } = await createGame(db.pool, {
+      draw_rule: drawRule, players: ['alice', 'bob', 'carol', 'dave'],
+    });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await pick(db.pool, game, players.bob, 1, 'CHE');
+    await pick(db.pool, game, players.carol, 1, 'NEW');
+    await pick(db.pool, game, players.dave, 1, 'MCI');
+    const outcome = await processGw(game, 1);
+    return { game, outcome };
+  }
+
+  it('eliminates a player whose team drew under the eliminate rule', async () => {
+    const { game, outcome } = await playGw1('eliminate');
+
+    assert.equal(outcome.eliminated.length, 2);
+    assert.equal(outcome.alive, 2);
+    const result = await standings(db.pool, game);
+    assert.equal(result.bob.status, 'eliminated');
+    assert.equal(result.carol.status, 'eliminated');
+    assert.equal(result.alice.status, 'alive');
+    assert.equal((await pickResults(game, 1)).bob.result, 'draw');
+  });
+
+  it('keeps a player whose team drew under the survive rule', async () => {
+    const { game, outcome } = await playGw1('survive');
+
+    assert.equal(outcome.eliminated.length, 1);
+    const result = await standings(db.pool, game);
+    assert.equal(result.bob.status, 'alive');
+    assert.equal(result.carol.status, 'eliminated');
+  });
+});
+
+describe('lives and winners', () => {
+  it('takes a life before eliminating a player with more than one', async () => {
+    const { game, players } = await createGame(db.pool, { lives: 2, players: ['alice', 'bob'] });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await pick(db.pool, game, players.bob, 1, 'NEW');
+    await processGw(game, 1);
+
+    assert.deepEqual(await standings(db.pool, game), {
+      alice: { status: 'alive', lives: 2 },
+      bob: { status: 'alive', lives: 1 },
+    });
+  });
+
+  it('takes a life from a player who made no pick', async () => {
+    const { game, players } = await createGame(db.pool, { players: ['alice', 'bob', 'carol'] });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await pick(db.pool, game, players.bob, 1, 'TOT');
+    await processGw(game, 1);
+
+    const result = await standings(db.pool, game);
+    assert.equal(result.carol.status, 'eliminated');
+    assert.equal(result.alice.status, 'alive');
+  });
+
+  it('completes the game when one player is left', async () => {
+    const { game, players } = await createGame(db.pool, { players: ['alice', 'bob'] });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await pick(db.pool, game, players.bob, 1, 'AVL');
+    const outcome = await processGw(game, 1);
+
+    assert.equal(outcome.completed, true);
+    const updated = await getGame(db.pool, game);
+    assert.equal(updated.status, 'completed');
+    assert.equal(updated.winner_player_id, players.alice.player_id);
+    assert.equal((await standings(db.pool, game)).alice.status, 'winner');
+  });
+});
+
+describe('everyone out', () => {
+  async function allLose(allOutRule) {
+    const { game, players } = await createGame(db.pool, { all_out_rule: allOutRule, players: ['alice', 'bob'] });
+    await pick(db.pool, game, players.alice, 1, 'AVL');
+    await pick(db.pool, game, players.bob, 1, 'NEW');
+    const outcome = await processGw(game, 1);
+    return { game, outcome };
+  }
+
+  it('ends in a shared draw under the draw rule', async () => {
+    const { game, outcome } = await allLose('draw');
+
+    assert.equal(outcome.completed, true);
+    assert.equal((await getGame(db.pool, game)).is_draw, true);
+    const result = await standings(db.pool, game);
+    assert.equal(result.alice.status, 'drawn');
+    assert.equal(result.bob.status, 'drawn');
+  });
+
+  it('brings everyone back with one life under the rollover rule', async () => {
+    const { game, outcome } = await allLose('rollover');
+
+    assert.equal(outcome.rolledOver, true);
+    assert.equal(outcome.completed, false);
+    assert.equal((await getGame(db.pool, game)).status, 'active');
+    assert.deepEqual(await standings(db.pool, game), {
+      alice: { status: 'alive', lives: 1 },
+      bob: { status: 'alive', lives: 1 },
+    });
+  });
+});
+
+describe('postponed policy', () => {
+  async function pickPostponed(policy) {
+    const { game, players } = await createGame(db.pool, {
+      postponed_policy: policy, start_gameweek: 2, players: ['alice', 'bob'],
+    });
+    await pick(db.pool, game, players.alice, 2, 'MUN');
+    await pick(db.pool, game, players.bob, 2, 'ARS');
+    await processGw(game, 2);
+    return game;
+  }
+
+  it('lets the player through under survive', async () => {
+    const game = await pickPostponed('survive');
+
+    assert.equal((await pickResults(game, 2)).alice.result, 'postponed');
+    assert.equal((await standings(db.pool, game)).alice.status, 'alive');
+  });
+
+  it('voids the pick under void', async () => {
+    const game = await pickPostponed('void');
+
+    assert.equal((await pickResults(game, 2)).alice.result, 'void');
+    assert.equal((await standings(db.pool, game)).alice.status, 'alive');
+  });
+
+  it('carries the pick to the rescheduled fixture under carry', async () => {
+    const game = await pickPostponed('carry');
+
+    const alicePick = (await pickResults(game, 2)).alice;
+    assert.equal(alicePick.result, 'pending');
+    assert.ok(alicePick.pending_fixture_id);
+    assert.equal((await standings(db.pool, game)).alice.status, 'alive');
+  });
+});
+
+describe('autopick', () => {
+  it('picks for a player who missed a rolling deadline once every match has kicked off', async () => {
+    const { game, players } = await createGame(db.pool, {
+      missed_pick_rule: 'autopick', deadline_mode: 'rolling', players: ['alice', 'bob'],
+    });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await processGw(game, 1);
+
+    assert.ok((await pickResults(game, 1)).bob);
+    assert.equal((await standings(db.pool, game)).bob.status, 'alive');
+  });
+});
+
+describe('no fixtures', () => {
+  it('refuses to settle a gameweek with no fixtures loaded', async () => {
+    const { game, players } = await createGame(db.pool, { players: ['alice', 'bob'] });
+    await pick(db.pool, game, players.alice, 5, 'ARS');
+
+    await assert.rejects(processGw(game, 5), /No fixtures loaded for GW5/);
+    assert.equal((await standings(db.pool, game)).alice.status, 'alive');
+  });
+});
+
+describe('replay', () => {
+  it('rebuilds the same standings from the picks', async () => {
+    const { game, players } = await createGame(db.pool, { lives: 2, players: ['alice', 'bob', 'carol'] });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await pick(db.pool, game, players.bob, 1, 'CHE');
+    await pick(db.pool, game, players.carol, 1, 'NEW');
+    await pick(db.pool, game, players.alice, 2, 'CHE');
+    await pick(db.pool, game, players.bob, 2, 'ARS');
+    await pick(db.pool, game, players.carol, 2, 'AVL');
+    await processGw(game, 1);
+    await processGw(game, 2);
+    const processed = await standings(db.pool, game);
+
+    const replay = await inTransaction(db.pool, client => replayStandings(client, game, 2));
+
+    assert.deepEqual(await standings(db.pool, game), processed);
+    assert.equal(replay.gameStatus, 'active');
+    assert.equal(replay.remaining, 2);
+    assert.equal(processed.carol.status, 'eliminated');
+  });
+
+  it('leaves a gameweek still in progress for processing', async () => {
+    const { game, players } = await createGame(db.pool, { start_gameweek: 3, players: ['alice', 'bob', 'carol'] });
+    await pick(db.pool, game, players.alice, 3, 'ARS');
+    await pick(db.pool, game, players.bob, 3, 'CHE');
+    await pick(db.pool, game, players.carol, 3, 'MUN');
+
+    await inTransaction(db.pool, client => replayStandings(client, game, 3));
+
+    assert.equal(await isGameweekProcessed(db.pool, game.game_id, 3), false);
+    assert.equal((await standings(db.pool, game)).carol.status, 'alive');
+
+    await db.pool.query(
+      `UPDATE pl_fixtures SET status = 'finished', home_score = 2, away_score = 0
+       WHERE gameweek = 3 AND status = 'scheduled'`
+    );
+    await processGw(game, 3);
+
+    const result = await standings(db.pool, game);
+    assert.equal(result.bob.status, 'alive');
+    assert.equal(result.carol.status, 'eliminated');
+  });
+});
+
+describe('imported picks', () => {
+  it('completes the game when an import leaves one player', async () => {
+    const { game, players } = await createGame(db.pool, { players: ['alice', 'bob'] });
+    const importPick = async (client, player, short) => {
+      const team = await client.query('SELECT team_id FROM pl_teams WHERE short_name = $1', [short]);
+      await recordPick(client, game, { playerId: player.player_id, gameweek: 1, teamId: team.rows[0].team_id }, SEASON);
+    };
+
+    const outcome = await inTransaction(db.pool, async client => {
+      await importPick(client, players.alice, 'ARS');
+      await importPick(client, players.bob, 'AVL');
+      return settleImportedPicks(client, game, 1);
+    });
+
+    assert.equal(outcome.completed, true);
+    assert.equal((await getGame(db.pool, game)).winner_player_id, players.alice.player_id);
+    assert.equal((await standings(db.pool, game)).bob.status, 'eliminated');
+  });
+});
+
+describe('undo', () => {
+  it('puts the game back to before the gameweek so it can be processed again', async () => {
+    const { game, players } = await createGame(db.pool, { players: ['alice', 'bob', 'carol'] });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await pick(db.pool, game, players.bob, 1, 'AVL');
+    await pick(db.pool, game, players.carol, 1, 'TOT');
+    await processGw(game, 1);
+    assert.equal((await standings(db.pool, game)).bob.status, 'eliminated');
+
+    const restored = await inTransaction(db.pool, client => restoreSnapshot(client, game.game_id, 1));
+
+    assert.equal(restored, true);
+    assert.equal((await standings(db.pool, game)).bob.status, 'alive');
+    assert.equal((await pickResults(game, 1)).bob.result, null);
+    assert.equal(await isGameweekProcessed(db.pool, game.game_id, 1), false);
+
+    await processGw(game, 1);
+    assert.equal((await standings(db.pool, game)).bob.status, 'eliminated');
+  });
+
+  it('counts a processed gameweek as processed', async () => {
+    const { game, players } = await createGame(db.pool, { players: ['alice', 'bob', 'carol'] });
+    await pick(db.pool, game, players.alice, 1, 'ARS');
+    await processGw(game, 1);
+
+    assert.equal(await isGameweekProcessed(db.pool, game.game_id, 1), true);
+    assert.equal(await isGameweekProcessed(db.pool, game.game_id, 2), false);
+  });
+});
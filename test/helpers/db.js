@@ -0,0 +1,145 @@
+// Test database: a throwaway Postgres (embedded-postgres) with schema.sql
+// loaded, and the fixtures in test/fixtures imported through the file
+// provider, the same way an admin import would.
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Pool } = require('pg');
+const { fileProvider } = require('../../src/providers/fileProvider');
+const { importProviderFixtures } = require('../../src/helpers/fixtureImport');
+
+process.env.FIXTURE_DATA_DIR = path.join(__dirname, '../fixtures');
+
+const COMPETITION = 'PL';
+const SEASON = 2024;
+
+// Tables emptied before each test (the fixtures are then imported again)
+const TEST_TABLES = [
+  'pl_teams', 'pl_fixtures', 'games', 'game_players', 'picks', 'gameweek_snapshots', 'score_corrections',
+  'score_correction_games', 'audit_log', 'notifications',
+];
+
+/**
+ * Start Postgres and load the schema and fixtures.
+ * Returns { pool, stop }.
+ */
+async function startDatabase() {
+  const { default: EmbeddedPostgres } = await import('embedded-postgres');
+  const databaseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prem-picker-test-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+
+  // Postgres won't run as root; embedded-postgres then runs it as a postgres user
+  const postgres = new EmbeddedPostgres({
+    databaseDir, port, user: 'postgres', password: 'postgres',
+    persistent: false, createPostgresUser: process.getuid?.() === 0, onLog: () => {},
+  });
+  await postgres.initialise();
+  await postgres.start();
+
+  const pool = new Pool({ host: 'localhost', port, user: 'postgres', password: 'postgres', database: 'postgres' });
+  await pool.query(await fs.readFile(path.join(__dirname, '../../schema.sql'), 'utf8'));
+
+  return {
+    pool,
+    async stop() {
+      await pool.end();
+      await postgres.stop();
+      await fs.rm(databaseDir, { recursive: true, force: true });
+    },
+  };
+}
+
+async function importFixtures(pool) {
+  for (const team of await fileProvider.getTeams(COMPETITION, SEASON)) {
+    await pool.query(
+      `INSERT INTO pl_teams (name, short_name, api_id, crest_url, season, competition_code)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [team.name, team.shortName, team.apiId, team.crestUrl, SEASON, COMPETITION]
+    );
+  }
+  await importProviderFixtures(pool, COMPETITION, SEASON, await fileProvider.getFixtures(COMPETITION, SEASON));
+}
+
+/**
+ * Empty the tables and import the fixtures again, as the files have them.
+ */
+async function resetDatabase(pool) {
+  await pool.query(`TRUNCATE ${TEST_TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+  await importFixtures(pool);
+}
+
+/**
+ * Create an active game with these players, each on the game's lives.
+ * Returns { game, players } with players keyed by username.
+ */
+async function createGame(pool, { players, ...rules }) {
+  const columns = { game_name: 'Test game', season: SEASON, created_by_email: 'admin@test', admin_email: 'admin@test',
+    status: 'active', start_gameweek: 1, ...rules };
+  const names = Object.keys(columns);
+  const gameResult = await pool.query(
+    `INSERT INTO games (${names.join(', ')}) VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+    Object.values(columns)
+  );
+  const game = gameResult.rows[0];
+
+  const byName = {};
+  for (const username of players) {
+    const result = await pool.query(
+      `INSERT INTO game_players (game_id, user_email, username, lives_remaining)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [game.game_id, `${username}@test`, username, game.lives]
+    );
+    byName[username] = result.rows[0];
+  }
+  return { game, players: byName };
+}
+
+/**
+ * Make a pick, by team short name.
+ */
+async function pick(pool, game, player, gameweek, teamShortName) {
+  await pool.query(
+    `INSERT INTO picks (game_id, game_player_id, gameweek, pl_team_id)
+     SELECT $1, $2, $3, team_id FROM pl_teams WHERE short_name = $4 AND season = $5 AND competition_code = $6`,
+    [game.game_id, player.player_id, gameweek, teamShortName, SEASON, COMPETITION]
+  );
+}
+
+/**
+ * Each player's { status, lives } keyed by username.
+ */
+async function standings(pool, game) {
+  const result = await pool.query(
+    'SELECT username, status, lives_remaining FROM game_players WHERE game_id = $1 ORDER BY username',
+    [game.game_id]
+  );
+  return Object.fromEntries(result.rows.map(p => [p.username, { status: p.status, lives: p.lives_remaining }]));
+}
+
+async function getGame(pool, game) {
+  const result = await pool.query('SELECT * FROM games WHERE game_id = $1', [game.game_id]);
+  return result.rows[0];
+}
+
+/**
+ * Run fn in a transaction on its own client, as the routes and cron do.
+ */
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  COMPETITION, SEASON, startDatabase, resetDatabase, createGame, pick, standings, getGame, inTransaction,
+};